@@ -0,0 +1,102 @@
+/**
+ * PIXEL PALACE - Achievements
+ * Per-game goals unlocked by events on the arcade event bus
+ */
+
+const Achievements = {
+    STORAGE_KEY: 'pixelPalaceAchievements',
+    list: [],
+    unlocked: null, // Unlock dates keyed by "gameId.achievementId"
+
+    /**
+     * Add a game's achievements
+     * @param {string} gameId - The game identifier
+     * @param {Array} achievements - { id, name, description, event, test } where test
+     *     receives the bus event and returns true when the goal is met
+     */
+    register(gameId, achievements) {
+        for (const achievement of achievements) {
+            this.list.push({ ...achievement, game: gameId, key: `${gameId}.${achievement.id}` });
+        }
+    },
+
+    /**
+     * Achievements belonging to one game
+     * @param {string} gameId - The game identifier
+     * @returns {Array} Achievement definitions
+     */
+    getForGame(gameId) {
+        return this.list.filter(achievement => achievement.game === gameId);
+    },
+
+    /**
+     * Load unlock dates from localStorage once
+     * @returns {Object} Unlock dates keyed by achievement key
+     */
+    load() {
+        if (!this.unlocked) {
+            try {
+                this.unlocked = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            } catch (e) {
+                console.warn('Could not read achievements', e);
+                this.unlocked = {};
+            }
+        }
+        return this.unlocked;
+    },
+
+    /**
+     * Write unlock dates to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.unlocked));
+        } catch (e) {
+            console.warn('Could not save achievements', e);
+        }
+    },
+
+    /**
+     * When an achievement was unlocked
+     * @param {string} key - Achievement key
+     * @returns {string|null} ISO date, or null while locked
+     */
+    getUnlockDate(key) {
+        return this.load()[key] || null;
+    },
+
+    /**
+     * Listen for every game event on the controller's bus
+     * @param {Object} controller - The arcade controller
+     */
+    attach(controller) {
+        for (const type of Object.values(GameEvent)) {
+            controller.on(type, event => this.handleEvent(event));
+        }
+    },
+
+    /**
+     * Unlock whatever an event completes; demos and replays don't count
+     * @param {Object} event - Bus event
+     */
+    handleEvent(event) {
+        if (!event.live) return;
+        
+        for (const achievement of this.list) {
+            if (achievement.game === event.game && achievement.event === event.type &&
+                !this.getUnlockDate(achievement.key) && achievement.test(event)) {
+                this.unlock(achievement);
+            }
+        }
+    },
+
+    /**
+     * Record an unlock and announce it
+     * @param {Object} achievement - The achievement
+     */
+    unlock(achievement) {
+        this.load()[achievement.key] = new Date().toISOString();
+        this.save();
+        ArcadeController.emit(GameEvent.ACHIEVEMENT_UNLOCKED, { achievement });
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * PIXEL PALACE - Game AI
+ * Base class for the computer players that run the attract-mode demos
+ */
+
+class GameAI {
+    /**
+     * Create an AI player for a game
+     * @param {BaseGame} game - The game to play
+     */
+    constructor(game) {
+        this.game = game;
+        this.held = {}; // Actions currently held down
+    }
+
+    /**
+     * Decide what to press; called once per simulation tick before update()
+     */
+    think() { }
+
+    /**
+     * Press or release an action, sending events only when the state changes
+     * @param {string} action - An InputAction value
+     * @param {boolean} pressed - Whether the action should be held
+     */
+    hold(action, pressed) {
+        if (!!this.held[action] === pressed) return;
+        
+        this.held[action] = pressed;
+        const event = { action, player: 0, repeat: false };
+        if (pressed) {
+            this.game.handleKeyDown(event);
+        } else {
+            this.game.handleKeyUp(event);
+        }
+    }
+
+    /**
+     * Press and immediately release an action
+     * @param {string} action - An InputAction value
+     */
+    tap(action) {
+        this.hold(action, true);
+        this.hold(action, false);
+    }
+}
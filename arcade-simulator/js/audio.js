@@ -0,0 +1,300 @@
+/**
+ * PIXEL PALACE - Sound Engine
+ * Sound effects defined as data, played through a master/SFX/music mixer
+ */
+
+// ========================================
+// SOUND DEFINITIONS
+// ========================================
+
+/*
+ * A sound is a single oscillator voice:
+ *   wave      - Oscillator type (default 'sine')
+ *   volume    - Peak gain
+ *   attack    - Seconds to fade in (default 0)
+ *   duration  - Seconds until the voice has decayed and stops
+ *   notes     - Frequencies in Hz, played in sequence
+ *   step      - Seconds between notes
+ *   slide     - Optional frequency to glide to exponentially from the first note
+ *   slideTime - Seconds the glide takes (default: duration)
+ *   maxVoices - How many copies may overlap before the oldest is cut off (default 3)
+ *   duck      - Whether music dips while the sound plays (default true)
+ */
+const DEFAULT_SOUNDS = {
+    select: { volume: 0.1, duration: 0.1, notes: [440] },
+    confirm: { volume: 0.1, duration: 0.2, notes: [523.25, 659.25], step: 0.1 },
+    start: { volume: 0.1, duration: 0.4, notes: [261.63, 329.63, 392, 523.25], step: 0.1, maxVoices: 1 },
+    gameover: { volume: 0.1, duration: 0.6, notes: [392, 349.23, 329.63, 261.63], step: 0.15, maxVoices: 1 },
+    highscore: {
+        wave: 'square',
+        volume: 0.08,
+        duration: 0.5,
+        notes: [523.25, 659.25, 783.99, 1046.50],
+        step: 0.1,
+        maxVoices: 1
+    },
+    pause: { volume: 0.1, duration: 0.15, notes: [220], maxVoices: 1 },
+    move: { volume: 0.02, duration: 0.03, notes: [150], maxVoices: 1, duck: false },
+    hit: { wave: 'square', volume: 0.1, duration: 0.1, notes: [150], slide: 50 },
+    destroy: { wave: 'square', volume: 0.1, duration: 0.1, notes: [150], slide: 50 },
+    shoot: { wave: 'square', volume: 0.05, duration: 0.1, notes: [600], slide: 200 },
+    line: { wave: 'square', volume: 0.08, duration: 0.2, notes: [523.25, 659.25, 783.99], step: 0.05 },
+    achievement: {
+        wave: 'square',
+        volume: 0.06,
+        duration: 0.45,
+        notes: [783.99, 1046.50, 1318.51, 1567.98],
+        step: 0.08,
+        maxVoices: 1
+    }
+};
+
+// ========================================
+// SOUND ENGINE
+// ========================================
+
+class SoundEngine {
+    /**
+     * Create the sound engine; call init() to open the audio context
+     * @param {Object} sounds - Sounds available to every game
+     */
+    constructor(sounds = DEFAULT_SOUNDS) {
+        this.sounds = sounds;
+        this.context = null;
+        this.buses = {};
+        this.voices = [];
+        this.maxVoices = 12; // Voices across all sounds
+        this.muted = false;
+    }
+
+    /**
+     * Open the audio context and build the mixer:
+     * sfx and music buses feed the master bus, and music
+     * passes through a ducking stage first
+     */
+    init() {
+        try {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+        } catch (e) {
+            console.warn('Web Audio API not supported');
+            return;
+        }
+        
+        this.buses.master = this.context.createGain();
+        this.buses.master.connect(this.context.destination);
+        
+        for (const name of ['sfx', 'music']) {
+            this.buses[name] = this.context.createGain();
+            this.buses[name].connect(this.buses.master);
+        }
+        
+        this.buses.duck = this.context.createGain();
+        this.buses.duck.connect(this.buses.music);
+        
+        for (const bus of SoundEngine.BUSES) {
+            this.applyVolume(bus);
+        }
+    }
+
+    /**
+     * Resume the context; browsers start it suspended until a user gesture
+     */
+    resume() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * Get a bus volume from settings
+     * @param {string} bus - 'master', 'sfx' or 'music'
+     * @returns {number} Volume between 0 and 1
+     */
+    getVolume(bus) {
+        const volumes = Settings.get('volumes', {});
+        return bus in volumes ? volumes[bus] : SoundEngine.DEFAULT_VOLUMES[bus];
+    }
+
+    /**
+     * Set and persist a bus volume
+     * @param {string} bus - 'master', 'sfx' or 'music'
+     * @param {number} value - Volume between 0 and 1
+     */
+    setVolume(bus, value) {
+        const volume = Math.round(Math.max(0, Math.min(1, value)) * 10) / 10;
+        Settings.set('volumes', { ...Settings.get('volumes', {}), [bus]: volume });
+        this.applyVolume(bus);
+    }
+
+    /**
+     * Push a bus volume to its gain node
+     * @param {string} bus - 'master', 'sfx' or 'music'
+     */
+    applyVolume(bus) {
+        if (!this.context) return;
+        
+        const volume = bus === 'master' && this.muted ? 0 : this.getVolume(bus);
+        this.buses[bus].gain.setValueAtTime(volume, this.context.currentTime);
+    }
+
+    /**
+     * Mute or unmute everything
+     * @param {boolean} muted - Whether sound is off
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolume('master');
+    }
+
+    /**
+     * Play a sound effect
+     * @param {string} name - Sound name
+     * @param {Object} pack - Game sounds checked before the shared ones
+     */
+    play(name, pack = {}) {
+        if (!this.context) return;
+        
+        const sound = pack[name] || this.sounds[name];
+        if (!sound) {
+            console.warn(`Unknown sound "${name}"`);
+            return;
+        }
+        
+        const {
+            wave = 'sine',
+            volume,
+            attack = 0,
+            duration,
+            notes,
+            step = 0,
+            slide = null,
+            slideTime = duration,
+            maxVoices = 3,
+            duck = true
+        } = sound;
+        
+        this.limitVoices(name, maxVoices);
+        
+        const now = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        const gainNode = this.context.createGain();
+        
+        oscillator.type = wave;
+        oscillator.connect(gainNode);
+        gainNode.connect(this.buses.sfx);
+        
+        notes.forEach((frequency, index) => {
+            oscillator.frequency.setValueAtTime(frequency, now + index * step);
+        });
+        if (slide) {
+            oscillator.frequency.exponentialRampToValueAtTime(slide, now + slideTime);
+        }
+        
+        if (attack > 0) {
+            gainNode.gain.setValueAtTime(0.0001, now);
+            gainNode.gain.linearRampToValueAtTime(volume, now + attack);
+        } else {
+            gainNode.gain.setValueAtTime(volume, now);
+        }
+        gainNode.gain.exponentialRampToValueAtTime(Math.min(0.01, volume), now + duration);
+        
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+        
+        const voice = { name, oscillator, gainNode };
+        oscillator.onended = () => this.releaseVoice(voice);
+        this.voices.push(voice);
+        
+        if (duck) {
+            this.duck(duration);
+        }
+    }
+
+    /**
+     * Dip the music under a sound effect
+     * @param {number} duration - Seconds the sound lasts
+     */
+    duck(duration) {
+        const now = this.context.currentTime;
+        const gain = this.buses.duck.gain;
+        
+        gain.cancelScheduledValues(now);
+        gain.setTargetAtTime(SoundEngine.DUCK_LEVEL, now, 0.01);
+        gain.setTargetAtTime(1, now + duration, 0.1);
+    }
+
+    /**
+     * Cut off the oldest voices so a new one fits within the limits
+     * @param {string} name - Sound about to play
+     * @param {number} limit - Voices allowed for this sound
+     */
+    limitVoices(name, limit) {
+        const same = this.voices.filter(voice => voice.name === name);
+        for (const voice of same.slice(0, Math.max(0, same.length - limit + 1))) {
+            this.stopVoice(voice);
+        }
+        
+        while (this.voices.length >= this.maxVoices) {
+            this.stopVoice(this.voices[0]);
+        }
+    }
+
+    /**
+     * Silence a voice immediately
+     * @param {Object} voice - The voice
+     */
+    stopVoice(voice) {
+        const now = this.context.currentTime;
+        voice.gainNode.gain.cancelScheduledValues(now);
+        voice.gainNode.gain.setValueAtTime(0, now);
+        
+        try {
+            voice.oscillator.stop(now);
+        } catch (e) {
+            // Already stopped
+        }
+        this.releaseVoice(voice);
+    }
+
+    /**
+     * Forget a finished voice
+     * @param {Object} voice - The voice
+     */
+    releaseVoice(voice) {
+        const index = this.voices.indexOf(voice);
+        if (index === -1) return;
+        
+        this.voices.splice(index, 1);
+        voice.gainNode.disconnect();
+    }
+}
+
+SoundEngine.BUSES = ['master', 'sfx', 'music'];
+SoundEngine.DEFAULT_VOLUMES = { master: 0.8, sfx: 1, music: 0.6 };
+SoundEngine.DUCK_LEVEL = 0.4; // Music gain while a sound effect plays
+
+// ========================================
+// AUDIO SETTINGS PAGE
+// ========================================
+
+SettingsScreen.registerPage({
+    id: 'audio',
+    title: 'AUDIO',
+    rows: () => SoundEngine.BUSES.map(bus => {
+        const change = (delta) => {
+            const audio = ArcadeController.audio;
+            audio.setVolume(bus, audio.getVolume(bus) + delta);
+            ArcadeController.playSound('select');
+        };
+        
+        return {
+            label: bus.toUpperCase(),
+            value: () => {
+                const level = Math.round(ArcadeController.audio.getVolume(bus) * 10);
+                return '■'.repeat(level) + '□'.repeat(10 - level);
+            },
+            left: () => change(-0.1),
+            right: () => change(0.1)
+        };
+    })
+});
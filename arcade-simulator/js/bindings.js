@@ -0,0 +1,386 @@
+/**
+ * PIXEL PALACE - Key Bindings
+ * Maps physical keys to logical actions, globally and per game
+ */
+
+const KeyBindings = {
+    SETTINGS_KEY: 'bindings',
+
+    // Default keys per player; player 2 only has gameplay actions
+    DEFAULTS: [
+        {
+            up: ['ArrowUp'],
+            down: ['ArrowDown'],
+            left: ['ArrowLeft'],
+            right: ['ArrowRight'],
+            fire: ['Space'],
+            start: ['Enter'],
+            pause: ['KeyP'],
+            back: ['Escape']
+        },
+        {
+            up: ['KeyW'],
+            down: ['KeyS'],
+            left: ['KeyA'],
+            right: ['KeyD'],
+            fire: ['KeyF']
+        }
+    ],
+
+    PRESETS: {
+        ARROWS: [
+            { up: ['ArrowUp'], down: ['ArrowDown'], left: ['ArrowLeft'], right: ['ArrowRight'], fire: ['Space'] },
+            { up: ['KeyW'], down: ['KeyS'], left: ['KeyA'], right: ['KeyD'], fire: ['KeyF'] }
+        ],
+        WASD: [
+            { up: ['KeyW'], down: ['KeyS'], left: ['KeyA'], right: ['KeyD'], fire: ['Space'] },
+            { up: ['ArrowUp'], down: ['ArrowDown'], left: ['ArrowLeft'], right: ['ArrowRight'], fire: ['ShiftRight'] }
+        ]
+    },
+
+    ACTION_LABELS: {
+        up: 'UP',
+        down: 'DOWN',
+        left: 'LEFT',
+        right: 'RIGHT',
+        fire: 'FIRE',
+        start: 'START',
+        pause: 'PAUSE',
+        back: 'BACK'
+    },
+
+    KEY_LABELS: {
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        Space: 'SPACE',
+        Enter: 'ENTER',
+        Escape: 'ESC',
+        Backquote: '`',
+        Minus: '-',
+        Equal: '=',
+        BracketLeft: '[',
+        BracketRight: ']',
+        Semicolon: ';',
+        Quote: "'",
+        Comma: ',',
+        Period: '.',
+        Slash: '/',
+        Backslash: '\\'
+    },
+
+    // Extra actions declared by individual games: { gameId: { action: { label, keys } } }
+    gameActions: {},
+
+    /**
+     * Declare actions specific to one game
+     * @param {string} gameId - The game identifier
+     * @param {Object} actions - { action: { label, keys, button } } with player 1 default keys
+     */
+    registerActions(gameId, actions) {
+        this.gameActions[gameId] = actions;
+    },
+
+    /**
+     * Stored bindings: full global maps plus per-game overrides
+     * @returns {Object} { global: [p1, p2], games: { gameId: [p1, p2] } }
+     */
+    getStore() {
+        const store = Settings.get(this.SETTINGS_KEY, null) || {};
+        return {
+            global: store.global || [{}, {}],
+            games: store.games || {}
+        };
+    },
+
+    /**
+     * Persist bindings
+     * @param {Object} store - The bindings store
+     */
+    setStore(store) {
+        Settings.set(this.SETTINGS_KEY, store);
+    },
+
+    /**
+     * Actions available to a player in a scope
+     * @param {string} scope - 'global' or a game id
+     * @param {number} player - Player index
+     * @returns {Array} Action names
+     */
+    getActions(scope, player) {
+        const base = Object.keys(this.DEFAULTS[player]);
+        const extra = player === 0 && this.gameActions[scope] ? Object.keys(this.gameActions[scope]) : [];
+        return [...extra, ...base];
+    },
+
+    /**
+     * Label for an action in the settings screen
+     * @param {string} action - Action name
+     * @param {string} scope - 'global' or a game id
+     * @returns {string} Display label
+     */
+    getActionLabel(action, scope) {
+        const gameAction = this.gameActions[scope] && this.gameActions[scope][action];
+        return gameAction ? gameAction.label : (this.ACTION_LABELS[action] || action.toUpperCase());
+    },
+
+    /**
+     * Keys bound to an action for every game
+     * @param {string} action - Action name
+     * @param {number} player - Player index
+     * @returns {Array} Key codes
+     */
+    getGlobalKeys(action, player) {
+        const stored = this.getStore().global[player] || {};
+        return stored[action] || this.DEFAULTS[player][action] || [];
+    },
+
+    /**
+     * Keys bound to an action, taking per-game overrides into account
+     * @param {string} action - Action name
+     * @param {string} scope - 'global' or a game id
+     * @param {number} player - Player index
+     * @returns {Array} Key codes
+     */
+    getKeys(action, scope, player = 0) {
+        if (scope !== 'global') {
+            const overrides = (this.getStore().games[scope] || [])[player] || {};
+            if (overrides[action]) return overrides[action];
+            
+            const gameAction = this.gameActions[scope] && this.gameActions[scope][action];
+            if (gameAction) return player === 0 ? gameAction.keys : [];
+        }
+        return this.getGlobalKeys(action, player);
+    },
+
+    /**
+     * Whether a per-game scope overrides an action
+     * @param {string} action - Action name
+     * @param {string} scope - A game id
+     * @param {number} player - Player index
+     * @returns {boolean} True if overridden
+     */
+    isOverridden(action, scope, player) {
+        const overrides = (this.getStore().games[scope] || [])[player] || {};
+        return !!overrides[action];
+    },
+
+    /**
+     * Bind an action to keys
+     * @param {string} scope - 'global' or a game id
+     * @param {number} player - Player index
+     * @param {string} action - Action name
+     * @param {Array} codes - Key codes
+     */
+    setKeys(scope, player, action, codes) {
+        const store = this.getStore();
+        const maps = scope === 'global' ? store.global : (store.games[scope] = store.games[scope] || [{}, {}]);
+        
+        maps[player] = { ...maps[player], [action]: codes };
+        this.setStore(store);
+    },
+
+    /**
+     * Drop a binding back to its inherited value (global or default)
+     * @param {string} scope - 'global' or a game id
+     * @param {number} player - Player index
+     * @param {string} action - Action name
+     */
+    clearKeys(scope, player, action) {
+        const store = this.getStore();
+        const maps = scope === 'global' ? store.global : store.games[scope];
+        
+        if (maps && maps[player]) {
+            delete maps[player][action];
+            this.setStore(store);
+        }
+    },
+
+    /**
+     * Apply a named preset to a scope
+     * @param {string} scope - 'global' or a game id
+     * @param {string} name - Preset name
+     */
+    applyPreset(scope, name) {
+        const preset = this.PRESETS[name];
+        preset.forEach((keys, player) => {
+            for (const [action, codes] of Object.entries(keys)) {
+                this.setKeys(scope, player, action, codes);
+            }
+        });
+    },
+
+    /**
+     * Remove every custom binding in a scope
+     * @param {string} scope - 'global' or a game id
+     */
+    reset(scope) {
+        const store = this.getStore();
+        if (scope === 'global') {
+            store.global = [{}, {}];
+        } else {
+            delete store.games[scope];
+        }
+        this.setStore(store);
+    },
+
+    /**
+     * Find the action a key triggers
+     * @param {string} code - The key code
+     * @param {string} scope - 'global' or a game id
+     * @param {Array} players - Player indices to consider
+     * @returns {Object|null} { action, player }
+     */
+    resolve(code, scope, players = [0]) {
+        for (const player of players) {
+            for (const action of this.getActions(scope, player)) {
+                if (this.getKeys(action, scope, player).includes(code)) {
+                    return { action, player };
+                }
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Find bindings that share a key with another action in the same scope
+     * @param {string} scope - 'global' or a game id
+     * @returns {Set} Conflicting "player:action" pairs
+     */
+    findConflicts(scope) {
+        const owners = new Map();
+        const conflicts = new Set();
+        
+        this.DEFAULTS.forEach((defaults, player) => {
+            for (const action of this.getActions(scope, player)) {
+                for (const code of this.getKeys(action, scope, player)) {
+                    const id = `${player}:${action}`;
+                    if (owners.has(code) && owners.get(code) !== id) {
+                        conflicts.add(id);
+                        conflicts.add(owners.get(code));
+                    } else {
+                        owners.set(code, id);
+                    }
+                }
+            }
+        });
+        
+        return conflicts;
+    },
+
+    /**
+     * Display label for a key code
+     * @param {string} code - The key code
+     * @returns {string} Label such as "↑", "SPACE" or "W"
+     */
+    keyLabel(code) {
+        if (this.KEY_LABELS[code]) return this.KEY_LABELS[code];
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit\d$/.test(code)) return code.slice(5);
+        if (/^Numpad/.test(code)) return `NUM${code.slice(6).toUpperCase()}`;
+        
+        return code.replace(/(Left|Right)$/, '').toUpperCase();
+    },
+
+    /**
+     * Label the keys for a group of actions, as shown in the instructions
+     * @param {Array} actions - Action names
+     * @param {string} scope - A game id
+     * @param {number} player - Player index
+     * @returns {string} e.g. "↑ ↓ ← →"
+     */
+    describe(actions, scope, player = 0) {
+        return actions
+            .map(action => this.getKeys(action, scope, player).map(code => this.keyLabel(code)).join('/'))
+            .filter(label => label)
+            .join(' ');
+    }
+};
+
+// ========================================
+// CONTROLS SETTINGS PAGE
+// ========================================
+
+const ControlsSettings = {
+    scopeIndex: 0,
+    player: 0,
+    presetIndex: 0,
+
+    /**
+     * Scopes the player can edit: all games, then each registered game
+     * @returns {Array} { id, name } entries
+     */
+    getScopes() {
+        return [
+            { id: 'global', name: 'ALL GAMES' },
+            ...ArcadeController.games.map(game => ({ id: game.id, name: game.name }))
+        ];
+    },
+
+    /**
+     * Rows for the settings overlay
+     * @returns {Array} Row definitions
+     */
+    rows() {
+        const scopes = this.getScopes();
+        const scope = scopes[this.scopeIndex % scopes.length];
+        const presets = Object.keys(KeyBindings.PRESETS);
+        const conflicts = KeyBindings.findConflicts(scope.id);
+        
+        const rows = [
+            {
+                label: 'SCOPE',
+                value: () => scope.name,
+                left: () => { this.scopeIndex = (this.scopeIndex - 1 + scopes.length) % scopes.length; },
+                right: () => { this.scopeIndex = (this.scopeIndex + 1) % scopes.length; }
+            },
+            {
+                label: 'PLAYER',
+                value: () => String(this.player + 1),
+                left: () => {
+                    this.player = (this.player - 1 + KeyBindings.DEFAULTS.length) % KeyBindings.DEFAULTS.length;
+                },
+                right: () => { this.player = (this.player + 1) % KeyBindings.DEFAULTS.length; }
+            },
+            {
+                label: 'PRESET',
+                value: () => presets[this.presetIndex],
+                left: () => { this.presetIndex = (this.presetIndex - 1 + presets.length) % presets.length; },
+                right: () => { this.presetIndex = (this.presetIndex + 1) % presets.length; },
+                activate: () => KeyBindings.applyPreset(scope.id, presets[this.presetIndex])
+            }
+        ];
+        
+        for (const action of KeyBindings.getActions(scope.id, this.player)) {
+            const inherited = scope.id !== 'global' && !KeyBindings.isOverridden(action, scope.id, this.player);
+            
+            rows.push({
+                label: KeyBindings.getActionLabel(action, scope.id),
+                value: () => {
+                    const keys = KeyBindings.getKeys(action, scope.id, this.player);
+                    const label = keys.map(code => KeyBindings.keyLabel(code)).join(' / ') || '---';
+                    return inherited ? `${label} *` : label;
+                },
+                warning: () => conflicts.has(`${this.player}:${action}`),
+                activate: () => SettingsScreen.captureKey(code =>
+                    KeyBindings.setKeys(scope.id, this.player, action, [code])),
+                clear: () => KeyBindings.clearKeys(scope.id, this.player, action)
+            });
+        }
+        
+        rows.push({
+            label: 'RESET SCOPE',
+            value: () => '',
+            activate: () => KeyBindings.reset(scope.id)
+        });
+        
+        return rows;
+    }
+};
+
+SettingsScreen.registerPage({
+    id: 'controls',
+    title: 'CONTROLS',
+    rows: () => ControlsSettings.rows()
+});
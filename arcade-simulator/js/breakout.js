@@ -17,7 +17,7 @@ class BreakoutGame extends BaseGame {
             height: 12,
             x: 0,
             y: 0,
-            speed: 8
+            speed: 480 // px per second
         };
         
         // Ball settings
@@ -27,7 +27,7 @@ class BreakoutGame extends BaseGame {
             radius: 8,
             dx: 0,
             dy: 0,
-            speed: 5
+            speed: 300 // px per second
         };
         
         // Brick settings
@@ -41,6 +41,8 @@ class BreakoutGame extends BaseGame {
         
         this.bricks = [];
         this.lives = 3;
+        this.lifeLost = false; // Whether any life has been lost this run, for achievements
+        this.level = 1;
         this.ballLaunched = false;
         
         // Input state
@@ -79,6 +81,8 @@ class BreakoutGame extends BaseGame {
         this.createBricks();
         
         this.lives = 3;
+        this.lifeLost = false;
+        this.level = 1;
         this.ballLaunched = false;
     }
 
@@ -101,7 +105,7 @@ class BreakoutGame extends BaseGame {
         
         this.ballLaunched = true;
         // Random angle between -45 and 45 degrees
-        const angle = (Math.random() * 90 - 45) * Math.PI / 180;
+        const angle = this.rng.range(-45, 45) * Math.PI / 180;
         this.ball.dx = Math.sin(angle) * this.ball.speed;
         this.ball.dy = -Math.cos(angle) * this.ball.speed;
         this.playSound('shoot');
@@ -131,33 +135,33 @@ class BreakoutGame extends BaseGame {
     }
 
     /**
-     * Handle key down events
-     * @param {KeyboardEvent} e - The keyboard event
+     * Handle action presses
+     * @param {Object} e - The input event ({ action, player, repeat })
      */
     handleKeyDown(e) {
-        switch (e.code) {
-            case 'ArrowLeft':
+        switch (e.action) {
+            case InputAction.LEFT:
                 this.keys.left = true;
                 break;
-            case 'ArrowRight':
+            case InputAction.RIGHT:
                 this.keys.right = true;
                 break;
-            case 'Space':
+            case InputAction.FIRE:
                 this.launchBall();
                 break;
         }
     }
 
     /**
-     * Handle key up events
-     * @param {KeyboardEvent} e - The keyboard event
+     * Handle action releases
+     * @param {Object} e - The input event ({ action, player, repeat })
      */
     handleKeyUp(e) {
-        switch (e.code) {
-            case 'ArrowLeft':
+        switch (e.action) {
+            case InputAction.LEFT:
                 this.keys.left = false;
                 break;
-            case 'ArrowRight':
+            case InputAction.RIGHT:
                 this.keys.right = false;
                 break;
         }
@@ -165,14 +169,17 @@ class BreakoutGame extends BaseGame {
 
     /**
      * Update game state
+     * @param {number} dt - Timestep in ms
      */
-    update() {
+    update(dt) {
+        const seconds = dt / 1000;
+        
         // Move paddle
         if (this.keys.left && this.paddle.x > 0) {
-            this.paddle.x -= this.paddle.speed;
+            this.paddle.x -= this.paddle.speed * seconds;
         }
         if (this.keys.right && this.paddle.x < this.canvas.width - this.paddle.width) {
-            this.paddle.x += this.paddle.speed;
+            this.paddle.x += this.paddle.speed * seconds;
         }
         
         // Keep paddle in bounds
@@ -186,8 +193,8 @@ class BreakoutGame extends BaseGame {
         }
         
         // Move ball
-        this.ball.x += this.ball.dx;
-        this.ball.y += this.ball.dy;
+        this.ball.x += this.ball.dx * seconds;
+        this.ball.y += this.ball.dy * seconds;
         
         // Wall collision (left/right)
         if (this.ball.x - this.ball.radius < 0 || 
@@ -208,7 +215,9 @@ class BreakoutGame extends BaseGame {
         // Bottom - lose life
         if (this.ball.y + this.ball.radius > this.canvas.height) {
             this.lives--;
+            this.lifeLost = true;
             this.playSound('hit');
+            this.emit(GameEvent.LIFE_LOST, { lives: this.lives });
             
             if (this.lives <= 0) {
                 this.triggerGameOver();
@@ -227,7 +236,8 @@ class BreakoutGame extends BaseGame {
         // Check win condition
         if (this.checkWin()) {
             // Create new level with faster ball
-            this.ball.speed += 1;
+            this.level++;
+            this.ball.speed += 60;
             this.createBricks();
             this.resetBall();
             this.addScore(100); // Bonus for clearing level
@@ -295,6 +305,11 @@ class BreakoutGame extends BaseGame {
                     brick.status = 0;
                     this.addScore(brick.points);
                     this.playSound('destroy');
+                    this.emit(GameEvent.BRICK_DESTROYED, {
+                        remaining: this.bricks.flat().filter(other => other.status === 1).length,
+                        lives: this.lives,
+                        lifeLost: this.lifeLost
+                    });
                     
                     return; // Only hit one brick per frame
                 }
@@ -317,6 +332,61 @@ class BreakoutGame extends BaseGame {
         return true;
     }
 
+    /**
+     * Extra stats stored with a leaderboard entry
+     * @returns {Object} Stat values keyed by name
+     */
+    getStats() {
+        return { level: this.level };
+    }
+
+    /**
+     * Music speeds up as the wall is cleared
+     * @returns {number} 0 to 1
+     */
+    getMusicIntensity() {
+        const bricks = this.bricks.flat();
+        if (bricks.length === 0) return 0;
+        return bricks.filter(brick => brick.status === 0).length / bricks.length;
+    }
+
+    /**
+     * Game-specific state for a save
+     * @returns {Object} Paddle, ball, brick grid, lives and level
+     */
+    serialize() {
+        return {
+            paddleX: this.paddle.x,
+            ball: { x: this.ball.x, y: this.ball.y, dx: this.ball.dx, dy: this.ball.dy, speed: this.ball.speed },
+            bricks: this.bricks.map(column => column.map(brick => brick.status)),
+            lives: this.lives,
+            lifeLost: this.lifeLost,
+            level: this.level,
+            ballLaunched: this.ballLaunched
+        };
+    }
+
+    /**
+     * Load state written by serialize()
+     * @param {Object} state - Saved state
+     */
+    deserialize(state) {
+        this.paddle.x = state.paddleX;
+        Object.assign(this.ball, state.ball);
+        
+        // Brick positions and colors come from createBricks(); only hits are saved
+        state.bricks.forEach((column, c) => {
+            column.forEach((status, r) => {
+                this.bricks[c][r].status = status;
+            });
+        });
+        
+        this.lives = state.lives;
+        this.lifeLost = state.lifeLost;
+        this.level = state.level;
+        this.ballLaunched = state.ballLaunched;
+    }
+
     /**
      * Render the game
      */
@@ -463,7 +533,7 @@ class BreakoutGame extends BaseGame {
      */
     drawLaunchPrompt() {
         const ctx = this.ctx;
-        const pulse = Math.sin(performance.now() / 300) * 0.3 + 0.7;
+        const pulse = Math.sin(this.clock.now() / 300) * 0.3 + 0.7;
         
         ctx.fillStyle = `rgba(255, 255, 255, ${pulse})`;
         ctx.font = '10px "Press Start 2P"';
@@ -505,3 +575,122 @@ class BreakoutGame extends BaseGame {
         ctx.closePath();
     }
 }
+
+// ========================================
+// ATTRACT MODE AI
+// ========================================
+
+/**
+ * Tracks where the ball will cross the paddle line, aiming a little
+ * off-centre so the rally doesn't settle into a straight vertical bounce
+ */
+class BreakoutAI extends GameAI {
+    /**
+     * Create a Breakout AI
+     * @param {BreakoutGame} game - The game to play
+     */
+    constructor(game) {
+        super(game);
+        this.launchDelay = 45; // Ticks to wait before serving
+        this.waited = 0;
+        this.aimOffset = 0;
+        this.rallies = 0;
+        this.wasFalling = false;
+    }
+
+    /**
+     * Serve, then keep the paddle under the ball
+     */
+    think() {
+        const { ball, paddle } = this.game;
+        
+        if (!this.game.ballLaunched) {
+            this.hold(InputAction.LEFT, false);
+            this.hold(InputAction.RIGHT, false);
+            if (++this.waited >= this.launchDelay) {
+                this.waited = 0;
+                this.tap(InputAction.FIRE);
+            }
+            return;
+        }
+        
+        // Pick a new aim point each time the ball starts coming down
+        const falling = ball.dy > 0;
+        if (falling && !this.wasFalling) {
+            this.aimOffset = ((this.rallies++ % 3) - 1) * paddle.width * 0.25;
+        }
+        this.wasFalling = falling;
+        
+        const targetX = (falling ? this.predictLanding() : ball.x) - this.aimOffset;
+        const diff = targetX - (paddle.x + paddle.width / 2);
+        
+        this.hold(InputAction.LEFT, diff < -6);
+        this.hold(InputAction.RIGHT, diff > 6);
+    }
+
+    /**
+     * Where the falling ball will reach the paddle, following wall bounces
+     * @returns {number} X position
+     */
+    predictLanding() {
+        const { ball, paddle, canvas } = this.game;
+        const time = (paddle.y - ball.radius - ball.y) / ball.dy;
+        const min = ball.radius;
+        const span = canvas.width - 2 * ball.radius;
+        
+        // Unfold the reflections off the side walls
+        let position = (ball.x + ball.dx * time - min) % (2 * span);
+        if (position < 0) position += 2 * span;
+        return min + (position <= span ? position : 2 * span - position);
+    }
+}
+
+ArcadeController.registerGame({
+    id: 'breakout',
+    name: 'BREAKOUT',
+    icon: '🧱',
+    controls: [
+        { actions: [InputAction.LEFT, InputAction.RIGHT], label: 'MOVE PADDLE' },
+        { actions: [InputAction.FIRE], label: 'LAUNCH BALL' },
+        { actions: [InputAction.PAUSE], label: 'PAUSE' }
+    ],
+    tips: ['DESTROY ALL BRICKS!'],
+    factory: (controller) => new BreakoutGame(controller),
+    ai: (game) => new BreakoutAI(game),
+    sounds: {
+        bounce: { volume: 0.05, duration: 0.05, notes: [440], maxVoices: 1, duck: false }
+    },
+    achievements: [
+        {
+            id: 'wrecking-ball',
+            name: 'WRECKING BALL',
+            description: 'CLEAR A WHOLE WALL',
+            event: GameEvent.BRICK_DESTROYED,
+            test: (e) => e.remaining === 0
+        },
+        {
+            id: 'flawless',
+            name: 'FLAWLESS',
+            description: 'CLEAR A WALL WITHOUT LOSING A LIFE',
+            event: GameEvent.BRICK_DESTROYED,
+            test: (e) => e.remaining === 0 && !e.lifeLost
+        }
+    ],
+    music: {
+        bpm: 132,
+        stepsPerBeat: 4,
+        channels: [
+            {
+                wave: 'square',
+                volume: 0.025,
+                pattern: 'A4 C5 E5 A5 E5 C5 A4 C5 | F4 A4 C5 F5 C5 A4 F4 A4 | G4 B4 D5 G5 D5 B4 G4 B4 | E4 G#4 B4 E5 B4 G#4 E4 G#4'
+            },
+            {
+                wave: 'triangle',
+                volume: 0.08,
+                pattern: 'A2 - - - A3 - - - | F2 - - - F3 - - - | G2 - - - G3 - - - | E2 - - - E3 - - -'
+            },
+            { wave: 'noise', volume: 0.03, pattern: 'X . . . x . . . x . . . x . x .' }
+        ]
+    }
+});
@@ -0,0 +1,161 @@
+/**
+ * PIXEL PALACE - Input Layer
+ * Logical arcade actions and gamepad polling
+ */
+
+// ========================================
+// LOGICAL ACTIONS
+// ========================================
+
+const InputAction = {
+    UP: 'up',
+    DOWN: 'down',
+    LEFT: 'left',
+    RIGHT: 'right',
+    FIRE: 'fire',
+    START: 'start',
+    PAUSE: 'pause',
+    BACK: 'back'
+};
+
+// ========================================
+// GAMEPAD INPUT
+// ========================================
+
+class GamepadInput {
+    /**
+     * Create a gamepad poller
+     * @param {Function} onAction - Called with (action, pressed, player) on every change
+     * @param {Object} source - Object providing getGamepads(), navigator by default
+     */
+    constructor(onAction, source = navigator) {
+        this.onAction = onAction;
+        this.source = source;
+        this.maxPlayers = 2;
+        this.deadzone = 0.5;
+        this.pollId = null;
+        
+        // Last reported action state per player
+        this.held = Array.from({ length: this.maxPlayers }, () => ({}));
+        
+        // Standard gamepad layout button indices
+        this.buttonMap = {
+            0: InputAction.FIRE,   // A / Cross
+            2: InputAction.FIRE,   // X / Square
+            1: InputAction.START,  // B / Circle
+            8: InputAction.BACK,   // Select / Back
+            9: InputAction.PAUSE,  // Start
+            12: InputAction.UP,
+            13: InputAction.DOWN,
+            14: InputAction.LEFT,
+            15: InputAction.RIGHT
+        };
+        
+        // Spare buttons (Y / Triangle and the shoulders) for the current game's own actions
+        this.gameButtons = {};
+    }
+
+    /**
+     * Listen for pads being plugged in and out
+     */
+    attach() {
+        window.addEventListener('gamepadconnected', () => this.start());
+        window.addEventListener('gamepaddisconnected', () => {
+            this.poll();
+            if (this.getPads().length === 0) {
+                this.stop();
+            }
+        });
+        
+        // Pads connected before the page loaded only show up once polled
+        if (this.getPads().length > 0) {
+            this.start();
+        }
+    }
+
+    /**
+     * Start polling every animation frame
+     */
+    start() {
+        if (this.pollId !== null) return;
+        
+        const loop = () => {
+            this.poll();
+            this.pollId = requestAnimationFrame(loop);
+        };
+        loop();
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        if (this.pollId !== null) {
+            cancelAnimationFrame(this.pollId);
+            this.pollId = null;
+        }
+    }
+
+    /**
+     * Connected pads in player order
+     * @returns {Array} Gamepad objects
+     */
+    getPads() {
+        if (!this.source || typeof this.source.getGamepads !== 'function') return [];
+        
+        return Array.from(this.source.getGamepads() || [])
+            .filter(pad => pad && pad.connected !== false)
+            .sort((a, b) => a.index - b.index)
+            .slice(0, this.maxPlayers);
+    }
+
+    /**
+     * Read the actions a pad is currently holding
+     * @param {Gamepad} pad - The gamepad
+     * @returns {Object} Pressed state keyed by action
+     */
+    readPad(pad) {
+        const actions = {};
+        
+        pad.buttons.forEach((button, index) => {
+            const action = this.buttonMap[index] || this.gameButtons[index];
+            const pressed = typeof button === 'object' ? button.pressed : button > 0.5;
+            if (action && pressed) {
+                actions[action] = true;
+            }
+        });
+        
+        // Left stick doubles as the d-pad
+        const [x = 0, y = 0] = pad.axes;
+        if (x <= -this.deadzone) actions[InputAction.LEFT] = true;
+        if (x >= this.deadzone) actions[InputAction.RIGHT] = true;
+        if (y <= -this.deadzone) actions[InputAction.UP] = true;
+        if (y >= this.deadzone) actions[InputAction.DOWN] = true;
+        
+        return actions;
+    }
+
+    /**
+     * Sample every pad and report actions that changed since the last poll
+     */
+    poll() {
+        const pads = this.getPads();
+        
+        for (let player = 0; player < this.maxPlayers; player++) {
+            const pad = pads[player];
+            const current = pad ? this.readPad(pad) : {};
+            const previous = this.held[player];
+            
+            // Game actions come and go with the game, so check whatever either poll held
+            const actions = new Set([...Object.values(InputAction), ...Object.keys(current), ...Object.keys(previous)]);
+            for (const action of actions) {
+                const isDown = !!current[action];
+                if (isDown !== !!previous[action]) {
+                    this.onAction(action, isDown, player);
+                }
+            }
+            
+            this.held[player] = current;
+        }
+    }
+}
@@ -17,7 +17,7 @@ class SpaceInvadersGame extends BaseGame {
             y: 0,
             width: 40,
             height: 20,
-            speed: 6
+            speed: 360 // px per second
         };
         
         // Aliens
@@ -36,13 +36,16 @@ class SpaceInvadersGame extends BaseGame {
         // Bullets
         this.playerBullets = [];
         this.alienBullets = [];
-        this.bulletSpeed = 8;
-        this.alienBulletSpeed = 4;
+        this.bulletSpeed = 480; // px per second
+        this.alienBulletSpeed = 240; // px per second
+        this.alienFireRate = 1.2; // average alien shots per second
         this.canShoot = true;
         this.shootCooldown = 300; // ms
+        this.shootTimer = 0;
         
         // Shields
         this.shields = [];
+        this.shieldBlocksLost = 0;
         
         // Input state
         this.keys = {
@@ -55,7 +58,7 @@ class SpaceInvadersGame extends BaseGame {
         
         // Animation
         this.alienFrame = 0;
-        this.lastFrameTime = 0;
+        this.alienFrameTimer = 0;
     }
 
     /**
@@ -77,9 +80,12 @@ class SpaceInvadersGame extends BaseGame {
         this.alienBullets = [];
         
         this.wave = 1;
+        this.shieldBlocksLost = 0;
         this.alienSpeed = 1;
         this.alienMoveInterval = 1000;
         this.canShoot = true;
+        this.shootTimer = 0;
+        this.alienFrameTimer = 0;
     }
 
     /**
@@ -151,33 +157,33 @@ class SpaceInvadersGame extends BaseGame {
     }
 
     /**
-     * Handle key down events
-     * @param {KeyboardEvent} e - The keyboard event
+     * Handle action presses
+     * @param {Object} e - The input event ({ action, player, repeat })
      */
     handleKeyDown(e) {
-        switch (e.code) {
-            case 'ArrowLeft':
+        switch (e.action) {
+            case InputAction.LEFT:
                 this.keys.left = true;
                 break;
-            case 'ArrowRight':
+            case InputAction.RIGHT:
                 this.keys.right = true;
                 break;
-            case 'Space':
+            case InputAction.FIRE:
                 this.shoot();
                 break;
         }
     }
 
     /**
-     * Handle key up events
-     * @param {KeyboardEvent} e - The keyboard event
+     * Handle action releases
+     * @param {Object} e - The input event ({ action, player, repeat })
      */
     handleKeyUp(e) {
-        switch (e.code) {
-            case 'ArrowLeft':
+        switch (e.action) {
+            case InputAction.LEFT:
                 this.keys.left = false;
                 break;
-            case 'ArrowRight':
+            case InputAction.RIGHT:
                 this.keys.right = false;
                 break;
         }
@@ -197,11 +203,8 @@ class SpaceInvadersGame extends BaseGame {
         });
         
         this.canShoot = false;
+        this.shootTimer = this.shootCooldown;
         this.playSound('shoot');
-        
-        setTimeout(() => {
-            this.canShoot = true;
-        }, this.shootCooldown);
     }
 
     /**
@@ -212,7 +215,7 @@ class SpaceInvadersGame extends BaseGame {
         if (aliveAliens.length === 0) return;
         
         // Random alien shoots
-        const shooter = aliveAliens[Math.floor(Math.random() * aliveAliens.length)];
+        const shooter = this.rng.pick(aliveAliens);
         
         this.alienBullets.push({
             x: shooter.x + shooter.width / 2 - 2,
@@ -224,41 +227,51 @@ class SpaceInvadersGame extends BaseGame {
 
     /**
      * Update game state
+     * @param {number} dt - Timestep in ms
      */
-    update() {
-        const now = performance.now();
+    update(dt) {
+        const seconds = dt / 1000;
         
         // Move player
         if (this.keys.left && this.player.x > 0) {
-            this.player.x -= this.player.speed;
+            this.player.x -= this.player.speed * seconds;
         }
         if (this.keys.right && this.player.x < this.canvas.width - this.player.width) {
-            this.player.x += this.player.speed;
+            this.player.x += this.player.speed * seconds;
+        }
+        
+        // Shot cooldown
+        if (!this.canShoot) {
+            this.shootTimer -= dt;
+            if (this.shootTimer <= 0) {
+                this.canShoot = true;
+            }
         }
         
         // Update alien animation
-        if (now - this.lastFrameTime > 500) {
+        this.alienFrameTimer += dt;
+        if (this.alienFrameTimer > 500) {
             this.alienFrame = (this.alienFrame + 1) % 2;
-            this.lastFrameTime = now;
+            this.alienFrameTimer = 0;
         }
         
         // Move aliens
-        this.alienMoveTimer += 16; // Approximate frame time
+        this.alienMoveTimer += dt;
         if (this.alienMoveTimer >= this.alienMoveInterval) {
             this.alienMoveTimer = 0;
             this.moveAliens();
         }
         
-        // Alien shooting (random chance each frame)
-        if (Math.random() < 0.02) {
+        // Alien shooting (random chance scaled to the timestep)
+        if (this.rng.chance(this.alienFireRate * seconds)) {
             this.alienShoot();
         }
         
         // Update player bullets
-        this.updatePlayerBullets();
+        this.updatePlayerBullets(seconds);
         
         // Update alien bullets
-        this.updateAlienBullets();
+        this.updateAlienBullets(seconds);
         
         // Check win condition
         if (this.aliens.every(a => !a.alive)) {
@@ -312,11 +325,12 @@ class SpaceInvadersGame extends BaseGame {
 
     /**
      * Update player bullets
+     * @param {number} seconds - Timestep in seconds
      */
-    updatePlayerBullets() {
+    updatePlayerBullets(seconds) {
         for (let i = this.playerBullets.length - 1; i >= 0; i--) {
             const bullet = this.playerBullets[i];
-            bullet.y -= this.bulletSpeed;
+            bullet.y -= this.bulletSpeed * seconds;
             
             // Remove if off screen
             if (bullet.y + bullet.height < 0) {
@@ -348,11 +362,12 @@ class SpaceInvadersGame extends BaseGame {
 
     /**
      * Update alien bullets
+     * @param {number} seconds - Timestep in seconds
      */
-    updateAlienBullets() {
+    updateAlienBullets(seconds) {
         for (let i = this.alienBullets.length - 1; i >= 0; i--) {
             const bullet = this.alienBullets[i];
-            bullet.y += this.alienBulletSpeed;
+            bullet.y += this.alienBulletSpeed * seconds;
             
             // Remove if off screen
             if (bullet.y > this.canvas.height) {
@@ -402,6 +417,7 @@ class SpaceInvadersGame extends BaseGame {
                     
                     if (block.health <= 0) {
                         shield.blocks.splice(j, 1);
+                        this.shieldBlocksLost++;
                     }
                     
                     return;
@@ -414,6 +430,8 @@ class SpaceInvadersGame extends BaseGame {
      * Start next wave
      */
     nextWave() {
+        this.emit(GameEvent.WAVE_CLEARED, { wave: this.wave, shieldBlocksLost: this.shieldBlocksLost });
+        
         this.wave++;
         this.alienSpeed += 0.5;
         this.alienMoveInterval = Math.max(200, 1000 - this.wave * 100);
@@ -424,6 +442,69 @@ class SpaceInvadersGame extends BaseGame {
         this.playSound('line');
     }
 
+    /**
+     * Extra stats stored with a leaderboard entry
+     * @returns {Object} Stat values keyed by name
+     */
+    getStats() {
+        return { wave: this.wave };
+    }
+
+    /**
+     * Music speeds up as the fleet thins out
+     * @returns {number} 0 to 1
+     */
+    getMusicIntensity() {
+        if (this.aliens.length === 0) return 0;
+        return this.aliens.filter(alien => !alien.alive).length / this.aliens.length;
+    }
+
+    /**
+     * Game-specific state for a save
+     * @returns {Object} Ship, aliens, bullets, shields, wave and timers
+     */
+    serialize() {
+        return {
+            playerX: this.player.x,
+            aliens: this.aliens.map(alien => ({ ...alien })),
+            alienDirection: this.alienDirection,
+            alienSpeed: this.alienSpeed,
+            alienMoveTimer: this.alienMoveTimer,
+            alienMoveInterval: this.alienMoveInterval,
+            playerBullets: this.playerBullets.map(bullet => ({ ...bullet })),
+            alienBullets: this.alienBullets.map(bullet => ({ ...bullet })),
+            canShoot: this.canShoot,
+            shootTimer: this.shootTimer,
+            shields: this.shields.map(shield => ({ blocks: shield.blocks.map(block => ({ ...block })) })),
+            shieldBlocksLost: this.shieldBlocksLost,
+            wave: this.wave,
+            alienFrame: this.alienFrame,
+            alienFrameTimer: this.alienFrameTimer
+        };
+    }
+
+    /**
+     * Load state written by serialize()
+     * @param {Object} state - Saved state
+     */
+    deserialize(state) {
+        this.player.x = state.playerX;
+        this.aliens = state.aliens;
+        this.alienDirection = state.alienDirection;
+        this.alienSpeed = state.alienSpeed;
+        this.alienMoveTimer = state.alienMoveTimer;
+        this.alienMoveInterval = state.alienMoveInterval;
+        this.playerBullets = state.playerBullets;
+        this.alienBullets = state.alienBullets;
+        this.canShoot = state.canShoot;
+        this.shootTimer = state.shootTimer;
+        this.shields = state.shields;
+        this.shieldBlocksLost = state.shieldBlocksLost;
+        this.wave = state.wave;
+        this.alienFrame = state.alienFrame;
+        this.alienFrameTimer = state.alienFrameTimer;
+    }
+
     /**
      * Render the game
      */
@@ -710,3 +791,138 @@ class SpaceInvadersGame extends BaseGame {
         ctx.strokeRect(1, 1, this.canvas.width - 2, this.canvas.height - 2);
     }
 }
+
+// ========================================
+// ATTRACT MODE AI
+// ========================================
+
+/**
+ * Sidesteps alien bullets heading for the ship, otherwise lines up
+ * under the nearest alien and fires
+ */
+class InvadersAI extends GameAI {
+    /**
+     * Create a Space Invaders AI
+     * @param {SpaceInvadersGame} game - The game to play
+     */
+    constructor(game) {
+        super(game);
+        this.dangerZone = 150; // px above the ship where bullets are dodged
+    }
+
+    /**
+     * Dodge or aim, then steer toward the chosen spot
+     */
+    think() {
+        const { player, canvas } = this.game;
+        const center = player.x + player.width / 2;
+        const threat = this.findThreat();
+        let targetX;
+        
+        if (threat) {
+            // Step out from under the bullet, toward the side with more room
+            const bulletX = threat.x + threat.width / 2;
+            const goLeft = bulletX === center ? center > canvas.width / 2 : bulletX > center;
+            targetX = bulletX + (goLeft ? -1 : 1) * player.width;
+            if (targetX < player.width / 2 || targetX > canvas.width - player.width / 2) {
+                targetX = bulletX + (goLeft ? 1 : -1) * player.width;
+            }
+        } else {
+            const alien = this.findTarget(center);
+            if (!alien) return;
+            
+            targetX = alien.x + alien.width / 2;
+            if (Math.abs(targetX - center) < alien.width / 3) {
+                this.tap(InputAction.FIRE);
+            }
+        }
+        
+        const diff = targetX - center;
+        this.hold(InputAction.LEFT, diff < -4);
+        this.hold(InputAction.RIGHT, diff > 4);
+    }
+
+    /**
+     * The closest alien bullet about to hit the ship
+     * @returns {Object|undefined} The bullet
+     */
+    findThreat() {
+        const { player, alienBullets } = this.game;
+        const margin = 8;
+        
+        return alienBullets
+            .filter(bullet =>
+                bullet.y + bullet.height > player.y - this.dangerZone && bullet.y < player.y + player.height &&
+                bullet.x + bullet.width > player.x - margin && bullet.x < player.x + player.width + margin)
+            .sort((a, b) => b.y - a.y)[0];
+    }
+
+    /**
+     * The living alien nearest the ship horizontally
+     * @param {number} center - Ship centre x
+     * @returns {Object|undefined} The alien
+     */
+    findTarget(center) {
+        let best;
+        let bestDistance = Infinity;
+        
+        for (const alien of this.game.aliens) {
+            if (!alien.alive) continue;
+            
+            const distance = Math.abs(alien.x + alien.width / 2 - center);
+            if (distance < bestDistance) {
+                best = alien;
+                bestDistance = distance;
+            }
+        }
+        
+        return best;
+    }
+}
+
+ArcadeController.registerGame({
+    id: 'invaders',
+    name: 'SPACE INVADERS',
+    icon: '👾',
+    controls: [
+        { actions: [InputAction.LEFT, InputAction.RIGHT], label: 'MOVE SHIP' },
+        { actions: [InputAction.FIRE], label: 'FIRE' },
+        { actions: [InputAction.PAUSE], label: 'PAUSE' }
+    ],
+    tips: ['DESTROY THE ALIEN INVASION!'],
+    factory: (controller) => new SpaceInvadersGame(controller),
+    ai: (game) => new InvadersAI(game),
+    sounds: {
+        // A low thump for each step of the fleet's march
+        move: { wave: 'square', volume: 0.04, duration: 0.08, notes: [55], maxVoices: 1, duck: false }
+    },
+    achievements: [
+        {
+            id: 'first-wave',
+            name: 'DEFENDER',
+            description: 'CLEAR THE FIRST WAVE',
+            event: GameEvent.WAVE_CLEARED,
+            test: () => true
+        },
+        {
+            id: 'iron-curtain',
+            name: 'IRON CURTAIN',
+            description: 'CLEAR WAVE 5 WITHOUT LOSING A SHIELD BLOCK',
+            event: GameEvent.WAVE_CLEARED,
+            test: (e) => e.wave >= 5 && e.shieldBlocksLost === 0
+        }
+    ],
+    music: {
+        bpm: 90,
+        speedup: 1,
+        channels: [
+            {
+                wave: 'square',
+                volume: 0.02,
+                pattern: 'E4 - - - . . . . | G4 - - - F#4 - - - | E4 - - - . . . . | B3 - - - C4 - B3 -'
+            },
+            { wave: 'triangle', volume: 0.1, pattern: 'E2 . D2 . C2 . B1 .' },
+            { wave: 'noise', volume: 0.015, pattern: 'x . . . . . . .' }
+        ]
+    }
+});
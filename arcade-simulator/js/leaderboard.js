@@ -0,0 +1,163 @@
+/**
+ * PIXEL PALACE - Leaderboards
+ * Top-10 score tables per game, persisted in localStorage; modes other than a
+ * game's default keep their own table under "gameId:modeId"
+ */
+
+const Leaderboard = {
+    STORAGE_KEY: 'pixelPalaceLeaderboards',
+    LEGACY_KEY: 'pixelPalaceScores',
+    INITIALS_KEY: 'pixelPalaceInitials',
+    SIZE: 10,
+
+    // Short labels for per-game stats in the score table
+    STAT_LABELS: {
+        lines: 'LN',
+        level: 'LV',
+        wave: 'WV'
+    },
+
+    /**
+     * Read all tables, migrating the old single-score format if needed
+     * @returns {Object} Entry arrays keyed by game id
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(this.STORAGE_KEY);
+            if (stored) {
+                return JSON.parse(stored);
+            }
+            return this.migrate();
+        } catch (e) {
+            console.warn('Could not read leaderboards', e);
+            return {};
+        }
+    },
+
+    /**
+     * Write all tables
+     * @param {Object} tables - Entry arrays keyed by game id
+     */
+    save(tables) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(tables));
+        } catch (e) {
+            console.warn('Could not save leaderboards', e);
+        }
+    },
+
+    /**
+     * Convert pixelPalaceScores ({ gameId: score }) into leaderboard tables
+     * @returns {Object} The migrated tables
+     */
+    migrate() {
+        const legacy = JSON.parse(localStorage.getItem(this.LEGACY_KEY) || '{}');
+        const tables = {};
+        
+        for (const [gameId, score] of Object.entries(legacy)) {
+            if (typeof score === 'number' && score > 0) {
+                tables[gameId] = [{ initials: '???', score, date: null, stats: {} }];
+            }
+        }
+        
+        this.save(tables);
+        localStorage.removeItem(this.LEGACY_KEY);
+        return tables;
+    },
+
+    /**
+     * Get the table for a game
+     * @param {string} gameId - The game identifier
+     * @returns {Array} Entries, best first
+     */
+    getEntries(gameId) {
+        return this.load()[gameId] || [];
+    },
+
+    /**
+     * Get the best score for a game
+     * @param {string} gameId - The game identifier
+     * @returns {number} The top score
+     */
+    getTopScore(gameId) {
+        const entries = this.getEntries(gameId);
+        return entries.length > 0 ? entries[0].score : 0;
+    },
+
+    /**
+     * Check whether a score earns a place in the table
+     * @param {string} gameId - The game identifier
+     * @param {number} score - The score
+     * @returns {boolean} True if the score makes the top 10
+     */
+    qualifies(gameId, score) {
+        if (score <= 0) return false;
+        
+        const entries = this.getEntries(gameId);
+        return entries.length < this.SIZE || score > entries[entries.length - 1].score;
+    },
+
+    /**
+     * Add a score to a game's table
+     * @param {string} gameId - The game identifier
+     * @param {string} initials - Three-letter initials
+     * @param {number} score - The score
+     * @param {Object} stats - Extra per-game stats
+     * @returns {number} Zero-based rank of the new entry, or -1 if it didn't place
+     */
+    addEntry(gameId, initials, score, stats = {}) {
+        const tables = this.load();
+        const entries = tables[gameId] || [];
+        const entry = { initials, score, date: new Date().toISOString(), stats };
+        
+        // Ties go below existing entries
+        let rank = entries.findIndex(existing => score > existing.score);
+        if (rank === -1) rank = entries.length;
+        
+        entries.splice(rank, 0, entry);
+        tables[gameId] = entries.slice(0, this.SIZE);
+        this.save(tables);
+        
+        return rank < this.SIZE ? rank : -1;
+    },
+
+    /**
+     * Get the initials last entered on this machine
+     * @returns {string} Three letters
+     */
+    getLastInitials() {
+        return localStorage.getItem(this.INITIALS_KEY) || 'AAA';
+    },
+
+    /**
+     * Remember initials for the next entry
+     * @param {string} initials - Three letters
+     */
+    setLastInitials(initials) {
+        localStorage.setItem(this.INITIALS_KEY, initials);
+    },
+
+    /**
+     * Format an entry's stats for the score table
+     * @param {Object} stats - Per-game stats
+     * @returns {string} e.g. "LN 12 LV 2"
+     */
+    formatStats(stats) {
+        return Object.entries(stats || {})
+            .map(([key, value]) => `${this.STAT_LABELS[key] || key.toUpperCase()} ${value}`)
+            .join(' ');
+    },
+
+    /**
+     * Format an entry's date for the score table
+     * @param {string|null} date - ISO date string
+     * @returns {string} MM/DD/YY, or dashes for migrated scores
+     */
+    formatDate(date) {
+        if (!date) return '--/--/--';
+        
+        const d = new Date(date);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(d.getMonth() + 1)}/${pad(d.getDate())}/${pad(d.getFullYear() % 100)}`;
+    }
+};
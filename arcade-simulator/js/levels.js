@@ -0,0 +1,954 @@
+/**
+ * PIXEL PALACE - Snake Levels
+ * Custom Snake arenas: the level format, its JSON and share codes, the saved
+ * level library, and the editor screen that builds them
+ */
+
+const LEVEL_VERSION = 1;
+
+// ========================================
+// LEVEL FORMAT & STORAGE
+// ========================================
+
+const SnakeLevels = {
+    STORAGE_KEY: 'pixelPalaceSnakeLevels',
+    SELECTED_KEY: 'snakeLevel',
+    CODE_PREFIX: 'SN1',
+    MAX_SPAWNS: 8,
+    MAX_PORTALS: 8,
+    NAME_LENGTH: 12,
+    MAX_SIZE: 100, // Widest or tallest board, in cells
+
+    // Share code letters for each cell, portals being lettered a-h by pair
+    CELL_CODES: { empty: '-', wall: 'W', food: 'F' },
+    DIRECTION_CODES: { up: 'U', right: 'R', down: 'D', left: 'L' },
+
+    /**
+     * An empty level with one spawn point in the middle, heading right
+     * @param {number} cols - Board width in cells
+     * @param {number} rows - Board height in cells
+     * @returns {Object} The level
+     */
+    create(cols, rows) {
+        return {
+            version: LEVEL_VERSION,
+            name: 'MY LEVEL',
+            cols,
+            rows,
+            walls: [],
+            spawns: [{ x: Math.floor(cols / 2), y: Math.floor(rows / 2), direction: InputAction.RIGHT }],
+            foodZones: [],
+            portals: []
+        };
+    },
+
+    /**
+     * Tidy typed text into a level name
+     * @param {string} text - The name as typed
+     * @returns {string} Up to NAME_LENGTH capital letters, digits and spaces
+     */
+    normalizeName(text) {
+        const name = String(text).toUpperCase().replace(/[^A-Z0-9 ]/g, '').trim().slice(0, this.NAME_LENGTH);
+        return name || 'MY LEVEL';
+    },
+
+    /**
+     * What is on a cell, besides spawn points
+     * @param {Object} level - The level
+     * @param {Object} cell - Grid position
+     * @returns {string|null} 'wall', 'food' or 'portal', or null for an empty cell
+     */
+    cellAt(level, cell) {
+        const at = (other) => other.x === cell.x && other.y === cell.y;
+        if (level.walls.some(at)) return 'wall';
+        if (level.foodZones.some(at)) return 'food';
+        if (level.portals.some(pair => pair.some(at))) return 'portal';
+        return null;
+    },
+
+    /**
+     * Cells a spawn point's snake starts on, head first
+     * @param {Object} spawn - The spawn point
+     * @returns {Array} Three cells as { x, y }
+     */
+    spawnCells(spawn) {
+        const heading = SnakeGame.HEADINGS[spawn.direction];
+        return [0, 1, 2].map(i => ({ x: spawn.x - heading.x * i, y: spawn.y - heading.y * i }));
+    },
+
+    /**
+     * Reasons a well-formed level can't be played
+     * @param {Object} level - The level
+     * @returns {Array} Messages for the editor, empty if the level is playable
+     */
+    problems(level) {
+        const problems = [];
+        if (level.spawns.length === 0) {
+            problems.push('ADD A SPAWN POINT');
+        }
+        
+        level.spawns.forEach((spawn, index) => {
+            const blocked = this.spawnCells(spawn).some(cell =>
+                cell.x < 0 || cell.x >= level.cols || cell.y < 0 || cell.y >= level.rows ||
+                ['wall', 'portal'].includes(this.cellAt(level, cell))
+            );
+            if (blocked) {
+                problems.push(`SPAWN ${index + 1} HAS NO ROOM`);
+            }
+        });
+        
+        return problems;
+    },
+
+    /**
+     * Check that data is a playable level this version can load
+     * @param {Object} data - Parsed level data
+     * @returns {Object} A clean copy of the level
+     */
+    validate(data) {
+        if (!data || data.version !== LEVEL_VERSION) {
+            throw new Error('Unsupported level version');
+        }
+        if (typeof data.name !== 'string' || this.normalizeName(data.name) !== data.name) {
+            throw new Error('Malformed level name');
+        }
+        
+        const { cols, rows } = data;
+        if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 3 || rows < 3 ||
+            cols > this.MAX_SIZE || rows > this.MAX_SIZE) {
+            throw new Error('Malformed level size');
+        }
+        
+        const isCell = (cell) => cell && Number.isInteger(cell.x) && Number.isInteger(cell.y) &&
+            cell.x >= 0 && cell.x < cols && cell.y >= 0 && cell.y < rows;
+        const isSpawn = (spawn) => isCell(spawn) && Object.keys(this.DIRECTION_CODES).includes(spawn.direction);
+        const isPair = (pair) => Array.isArray(pair) && pair.length === 2 && pair.every(isCell);
+        
+        if (!Array.isArray(data.walls) || !data.walls.every(isCell) ||
+            !Array.isArray(data.foodZones) || !data.foodZones.every(isCell) ||
+            !Array.isArray(data.spawns) || !data.spawns.every(isSpawn) || data.spawns.length > this.MAX_SPAWNS ||
+            !Array.isArray(data.portals) || !data.portals.every(isPair) || data.portals.length > this.MAX_PORTALS) {
+            throw new Error('Malformed level layout');
+        }
+        
+        const level = {
+            version: LEVEL_VERSION,
+            name: data.name,
+            cols,
+            rows,
+            walls: data.walls.map(({ x, y }) => ({ x, y })),
+            spawns: data.spawns.map(({ x, y, direction }) => ({ x, y, direction })),
+            foodZones: data.foodZones.map(({ x, y }) => ({ x, y })),
+            portals: data.portals.map(pair => pair.map(({ x, y }) => ({ x, y })))
+        };
+        
+        // Walls, food zones and portals each need a cell to themselves
+        const cells = [...level.walls, ...level.foodZones, ...level.portals.flat()];
+        if (new Set(cells.map(cell => `${cell.x},${cell.y}`)).size !== cells.length) {
+            throw new Error('Level cells overlap');
+        }
+        
+        const problems = this.problems(level);
+        if (problems.length > 0) {
+            throw new Error(`Unplayable level: ${problems[0]}`);
+        }
+        
+        return level;
+    },
+
+    /**
+     * Serialize a level for sharing
+     * @param {Object} level - The level
+     * @returns {string} JSON text
+     */
+    toJSON(level) {
+        return JSON.stringify(level);
+    },
+
+    /**
+     * Parse a shared level
+     * @param {string} text - JSON text
+     * @returns {Object} The validated level
+     */
+    fromJSON(text) {
+        return this.validate(JSON.parse(text));
+    },
+
+    /**
+     * Pack a level into a short code that can be pasted in a message:
+     * "SN1.<cols>x<rows>.<cells>.<spawns>.<name>", where cells are run-length
+     * encoded row by row and spawns read like "10,12R+3,4U"
+     * @param {Object} level - The level
+     * @returns {string} The share code
+     */
+    toShareCode(level) {
+        const grid = new Array(level.cols * level.rows).fill(this.CELL_CODES.empty);
+        const mark = (cell, code) => { grid[cell.y * level.cols + cell.x] = code; };
+        
+        level.walls.forEach(cell => mark(cell, this.CELL_CODES.wall));
+        level.foodZones.forEach(cell => mark(cell, this.CELL_CODES.food));
+        level.portals.forEach((pair, index) => {
+            pair.forEach(cell => mark(cell, String.fromCharCode(97 + index)));
+        });
+        
+        // Runs of three or more become a count and the letter
+        let cells = '';
+        for (let i = 0; i < grid.length;) {
+            let run = 1;
+            while (grid[i + run] === grid[i]) run++;
+            cells += run >= 3 ? `${run}${grid[i]}` : grid[i].repeat(run);
+            i += run;
+        }
+        
+        const spawns = level.spawns
+            .map(spawn => `${spawn.x},${spawn.y}${this.DIRECTION_CODES[spawn.direction]}`)
+            .join('+');
+        
+        return [this.CODE_PREFIX, `${level.cols}x${level.rows}`, cells, spawns, level.name.replace(/ /g, '_')].join('.');
+    },
+
+    /**
+     * Unpack a share code
+     * @param {string} code - toShareCode() output
+     * @returns {Object} The validated level
+     */
+    fromShareCode(code) {
+        const parts = String(code).trim().split('.');
+        const size = parts.length === 5 && parts[0] === this.CODE_PREFIX && parts[1].match(/^(\d+)x(\d+)$/);
+        if (!size) {
+            throw new Error('Malformed share code');
+        }
+        
+        const cols = Number(size[1]);
+        const rows = Number(size[2]);
+        if (cols < 3 || rows < 3 || cols > this.MAX_SIZE || rows > this.MAX_SIZE) {
+            throw new Error('Malformed level size');
+        }
+        
+        const level = {
+            version: LEVEL_VERSION,
+            name: parts[4].replace(/_/g, ' '),
+            cols,
+            rows,
+            walls: [],
+            spawns: [],
+            foodZones: [],
+            portals: []
+        };
+        
+        // Expand the runs, placing each cell as it's read
+        const portalEnds = {};
+        let index = 0;
+        const cells = parts[2];
+        const runs = [...cells.matchAll(/(\d*)([-WFa-h])/g)];
+        if (runs.map(run => run[0]).join('') !== cells) {
+            throw new Error('Malformed share code cells');
+        }
+        
+        for (const [, count, code] of runs) {
+            // Stop at the first run that overflows the board, before expanding it
+            const length = count ? Number(count) : 1;
+            if (index + length > cols * rows) {
+                throw new Error('Share code is the wrong size');
+            }
+            
+            for (let n = length; n > 0; n--, index++) {
+                const cell = { x: index % cols, y: Math.floor(index / cols) };
+                if (code === this.CELL_CODES.wall) {
+                    level.walls.push(cell);
+                } else if (code === this.CELL_CODES.food) {
+                    level.foodZones.push(cell);
+                } else if (code !== this.CELL_CODES.empty) {
+                    (portalEnds[code] = portalEnds[code] || []).push(cell);
+                }
+            }
+        }
+        if (index !== cols * rows) {
+            throw new Error('Share code is the wrong size');
+        }
+        level.portals = Object.keys(portalEnds).sort().map(code => portalEnds[code]);
+        
+        const directions = Object.fromEntries(
+            Object.entries(this.DIRECTION_CODES).map(([direction, letter]) => [letter, direction])
+        );
+        for (const spawn of parts[3] ? parts[3].split('+') : []) {
+            const match = spawn.match(/^(\d+),(\d+)([URDL])$/);
+            if (!match) {
+                throw new Error('Malformed share code spawns');
+            }
+            level.spawns.push({ x: Number(match[1]), y: Number(match[2]), direction: directions[match[3]] });
+        }
+        
+        return this.validate(level);
+    },
+
+    /**
+     * Read the saved levels
+     * @returns {Object} Levels keyed by name
+     */
+    loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        } catch (e) {
+            console.warn('Could not read saved levels', e);
+            return {};
+        }
+    },
+
+    /**
+     * Write the saved levels
+     * @param {Object} levels - Levels keyed by name
+     */
+    saveAll(levels) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(levels));
+        } catch (e) {
+            console.warn('Could not save levels', e);
+        }
+    },
+
+    /**
+     * Names of the saved levels, in order
+     * @returns {Array} Level names
+     */
+    getNames() {
+        return Object.keys(this.loadAll()).sort();
+    },
+
+    /**
+     * Get a saved level
+     * @param {string} name - The level name
+     * @returns {Object|null} The level, or null if there is none or it is unusable
+     */
+    load(name) {
+        const level = this.loadAll()[name];
+        if (!level) return null;
+        
+        try {
+            return this.validate(level);
+        } catch (e) {
+            console.warn(`Saved level "${name}" is unusable`, e);
+            return null;
+        }
+    },
+
+    /**
+     * Save a level under its name, replacing any level of the same name, and
+     * make it the one the custom mode plays
+     * @param {Object} level - A playable level
+     */
+    save(level) {
+        const levels = this.loadAll();
+        levels[level.name] = this.validate(level);
+        this.saveAll(levels);
+        this.select(level.name);
+    },
+
+    /**
+     * Delete a saved level
+     * @param {string} name - The level name
+     */
+    remove(name) {
+        const levels = this.loadAll();
+        if (name in levels) {
+            delete levels[name];
+            this.saveAll(levels);
+        }
+    },
+
+    /**
+     * Make a saved level the one the custom mode plays
+     * @param {string} name - The level name
+     */
+    select(name) {
+        Settings.set(this.SELECTED_KEY, name);
+    },
+
+    /**
+     * The level the custom mode plays: the last one saved or loaded in the
+     * editor, or else the first saved level
+     * @returns {Object|null} The level, or null if none are saved
+     */
+    getSelected() {
+        const names = this.getNames();
+        const selected = Settings.get(this.SELECTED_KEY);
+        const name = names.includes(selected) ? selected : names[0];
+        return name ? this.load(name) : null;
+    },
+
+    /**
+     * Download a level as a JSON file
+     * @param {Object} level - The level
+     */
+    download(level) {
+        const blob = new Blob([this.toJSON(level)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = `pixel-palace-snake-${level.name.toLowerCase().replace(/ /g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+};
+
+// ========================================
+// LEVEL EDITOR
+// ========================================
+
+const SnakeEditor = {
+    mode: 'custom', // Snake mode that test runs are played in
+    gridSize: 20,
+    TOOLS: [
+        { id: 'wall', name: 'WALL' },
+        { id: 'spawn', name: 'SPAWN' },
+        { id: 'food', name: 'FOOD ZONE' },
+        { id: 'portal', name: 'PORTAL' },
+        { id: 'erase', name: 'ERASE' }
+    ],
+    TOOL_KEYS: ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5'],
+    DRAG_TOOLS: ['wall', 'food', 'erase'], // Tools that keep painting while FIRE or the pointer is held
+
+    controller: null,
+    level: null, // The level being edited; kept between visits
+    cursor: { x: 0, y: 0 },
+    toolIndex: 0,
+    painting: false, // FIRE held, so moving the cursor paints
+    pointer: null, // Id of the pointer painting on the canvas
+    pendingPortal: null, // First end of a portal waiting for its other end
+    status: '', // Last message for the status line
+    attached: false,
+
+    /**
+     * Show the editor, on the level from the last visit or the selected saved level
+     * @param {Object} controller - The arcade controller
+     */
+    open(controller) {
+        this.controller = controller;
+        if (!this.attached) {
+            this.attach();
+        }
+        
+        const cols = Math.floor(controller.canvas.width / this.gridSize);
+        const rows = Math.floor(controller.canvas.height / this.gridSize);
+        if (!this.level || this.level.cols !== cols || this.level.rows !== rows) {
+            this.setLevel(SnakeLevels.getSelected() || SnakeLevels.create(cols, rows));
+        }
+        
+        this.painting = false;
+        this.status = '';
+        document.getElementById('editorOverlay').classList.remove('hidden');
+        this.render();
+    },
+
+    /**
+     * Hide the editor
+     */
+    close() {
+        this.painting = false;
+        this.pointer = null;
+        document.getElementById('editorOverlay').classList.add('hidden');
+    },
+
+    /**
+     * Hook up pointer painting and the name, share code and import fields
+     */
+    attach() {
+        const canvas = this.controller.canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        
+        const nameInput = document.getElementById('levelNameInput');
+        nameInput.addEventListener('change', () => {
+            this.level.name = SnakeLevels.normalizeName(nameInput.value);
+            this.render();
+        });
+        
+        const codeInput = document.getElementById('levelCodeInput');
+        codeInput.addEventListener('change', () => {
+            if (codeInput.value.trim()) this.loadShareCode(codeInput.value);
+        });
+        
+        const fileInput = document.getElementById('levelFileInput');
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) this.importFile(file);
+        });
+        
+        this.attached = true;
+    },
+
+    /**
+     * Start editing a level
+     * @param {Object} level - The level, which the editor takes a copy of
+     */
+    setLevel(level) {
+        this.level = JSON.parse(JSON.stringify(level));
+        this.pendingPortal = null;
+        this.cursor = { x: Math.floor(level.cols / 2), y: Math.floor(level.rows / 2) };
+    },
+
+    /**
+     * The selected tool
+     * @returns {Object} A TOOLS entry
+     */
+    getTool() {
+        return this.TOOLS[this.toolIndex];
+    },
+
+    /**
+     * Handle a logical action
+     * @param {string} action - An InputAction value
+     * @param {boolean} pressed - Pressed or released
+     * @returns {boolean} False when the editor should close
+     */
+    handleAction(action, pressed) {
+        if (!pressed) {
+            if (action === InputAction.FIRE) this.painting = false;
+            return true;
+        }
+        
+        const heading = SnakeGame.HEADINGS[action];
+        if (heading) {
+            this.cursor = {
+                x: Math.max(0, Math.min(this.level.cols - 1, this.cursor.x + heading.x)),
+                y: Math.max(0, Math.min(this.level.rows - 1, this.cursor.y + heading.y))
+            };
+            if (this.painting) this.paint(this.cursor, true);
+        }
+        
+        switch (action) {
+            case InputAction.FIRE:
+                this.painting = this.DRAG_TOOLS.includes(this.getTool().id);
+                this.paint(this.cursor, false);
+                break;
+            case InputAction.START:
+                this.testPlay();
+                return true;
+            case InputAction.BACK:
+                return false;
+        }
+        
+        this.render();
+        return true;
+    },
+
+    /**
+     * Handle a shortcut key; only keys no binding uses get here
+     * @param {string} code - The key code
+     */
+    handleHotkey(code) {
+        const toolIndex = this.TOOL_KEYS.indexOf(code);
+        if (toolIndex !== -1) {
+            this.toolIndex = toolIndex;
+            this.pendingPortal = null;
+            this.controller.playSound('select');
+        }
+        
+        // Keys the movement presets bind (W, A, S, D, F) never reach here, so none are used
+        switch (code) {
+            case 'KeyN':
+                this.setLevel(SnakeLevels.create(this.level.cols, this.level.rows));
+                this.setStatus('NEW LEVEL', 'select');
+                break;
+            case 'KeyK':
+                this.saveLevel();
+                break;
+            case 'KeyL':
+                this.loadNext();
+                break;
+            case 'Delete':
+                this.deleteLevel();
+                break;
+            case 'KeyC':
+                this.copyShareCode();
+                break;
+            case 'KeyV': {
+                const codeInput = document.getElementById('levelCodeInput');
+                codeInput.value = '';
+                codeInput.focus();
+                this.setStatus('PASTE A CODE, THEN ENTER');
+                break;
+            }
+            case 'KeyX':
+                if (this.checkPlayable()) {
+                    SnakeLevels.download(this.level);
+                    this.setStatus('EXPORTED', 'confirm');
+                }
+                break;
+            case 'KeyI':
+                document.getElementById('levelFileInput').click();
+                break;
+        }
+        
+        this.render();
+    },
+
+    /**
+     * Use the selected tool on a cell
+     * @param {Object} cell - Grid position
+     * @param {boolean} dragging - Whether this continues a drag, which only the drag tools act on
+     */
+    paint(cell, dragging) {
+        const tool = this.getTool().id;
+        if (dragging && !this.DRAG_TOOLS.includes(tool)) return;
+        
+        const level = this.level;
+        const current = SnakeLevels.cellAt(level, cell);
+        const spawnIndex = level.spawns.findIndex(spawn => spawn.x === cell.x && spawn.y === cell.y);
+        
+        switch (tool) {
+            case 'wall':
+            case 'food':
+                if (current === tool) return;
+                this.clearCell(cell);
+                (tool === 'wall' ? level.walls : level.foodZones).push({ ...cell });
+                break;
+            case 'erase':
+                if (!current && spawnIndex === -1) return;
+                this.clearCell(cell);
+                if (spawnIndex !== -1) level.spawns.splice(spawnIndex, 1);
+                break;
+            case 'spawn':
+                if (spawnIndex !== -1) {
+                    // Placing on a spawn point turns it clockwise
+                    const directions = Object.keys(SnakeLevels.DIRECTION_CODES);
+                    const spawn = level.spawns[spawnIndex];
+                    spawn.direction = directions[(directions.indexOf(spawn.direction) + 1) % directions.length];
+                } else if (level.spawns.length < SnakeLevels.MAX_SPAWNS) {
+                    level.spawns.push({ ...cell, direction: InputAction.RIGHT });
+                } else {
+                    this.setStatus(`UP TO ${SnakeLevels.MAX_SPAWNS} SPAWN POINTS`, 'pause');
+                    return;
+                }
+                break;
+            case 'portal':
+                this.placePortal(cell);
+                return;
+        }
+        
+        this.status = '';
+        this.controller.playSound('move');
+    },
+
+    /**
+     * Place one end of a portal; the second placement links the pair
+     * @param {Object} cell - Grid position
+     */
+    placePortal(cell) {
+        const pending = this.pendingPortal;
+        
+        if (pending && pending.x === cell.x && pending.y === cell.y) {
+            this.pendingPortal = null;
+            this.setStatus('', 'select');
+        } else if (!pending && this.level.portals.length >= SnakeLevels.MAX_PORTALS) {
+            this.setStatus(`UP TO ${SnakeLevels.MAX_PORTALS} PORTALS`, 'pause');
+        } else if (!pending) {
+            this.clearCell(cell);
+            this.pendingPortal = { ...cell };
+            this.setStatus('PLACE THE OTHER END', 'move');
+        } else {
+            this.clearCell(cell);
+            this.level.portals.push([pending, { ...cell }]);
+            this.pendingPortal = null;
+            this.setStatus('', 'confirm');
+        }
+    },
+
+    /**
+     * Take the wall, food zone or portal off a cell; removing one end of a
+     * portal removes the whole pair
+     * @param {Object} cell - Grid position
+     */
+    clearCell(cell) {
+        const level = this.level;
+        const other = (tile) => tile.x !== cell.x || tile.y !== cell.y;
+        
+        level.walls = level.walls.filter(other);
+        level.foodZones = level.foodZones.filter(other);
+        level.portals = level.portals.filter(pair => pair.every(other));
+    },
+
+    /**
+     * Show a message on the status line
+     * @param {string} text - The message
+     * @param {string} sound - Optional sound to play with it
+     */
+    setStatus(text, sound) {
+        this.status = text;
+        if (sound) this.controller.playSound(sound);
+    },
+
+    /**
+     * Check the level can be played, reporting the first problem if not
+     * @returns {boolean} True if it is playable
+     */
+    checkPlayable() {
+        const problems = SnakeLevels.problems(this.level);
+        if (problems.length > 0) {
+            this.setStatus(problems[0], 'gameover');
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Play the level as it stands
+     */
+    testPlay() {
+        if (this.checkPlayable()) {
+            this.controller.testLevel();
+        } else {
+            this.render();
+        }
+    },
+
+    /**
+     * Save the level to the library and make it the one the custom mode plays
+     */
+    saveLevel() {
+        if (!this.checkPlayable()) return;
+        
+        SnakeLevels.save(this.level);
+        this.setStatus(`SAVED ${this.level.name}`, 'confirm');
+    },
+
+    /**
+     * Open the next saved level after the one being edited
+     */
+    loadNext() {
+        const names = SnakeLevels.getNames();
+        if (names.length === 0) {
+            this.setStatus('NO SAVED LEVELS', 'pause');
+            return;
+        }
+        
+        const name = names[(names.indexOf(this.level.name) + 1) % names.length];
+        const level = SnakeLevels.load(name);
+        if (level) {
+            this.setLevel(level);
+            SnakeLevels.select(name);
+            this.setStatus(`LOADED ${name}`, 'select');
+        }
+    },
+
+    /**
+     * Delete the saved level with the edited level's name
+     */
+    deleteLevel() {
+        if (!SnakeLevels.getNames().includes(this.level.name)) {
+            this.setStatus('NOT SAVED YET', 'pause');
+            return;
+        }
+        
+        SnakeLevels.remove(this.level.name);
+        this.setStatus(`DELETED ${this.level.name}`, 'confirm');
+    },
+
+    /**
+     * Show the level's share code and copy it to the clipboard where allowed
+     */
+    copyShareCode() {
+        if (!this.checkPlayable()) return;
+        
+        const codeInput = document.getElementById('levelCodeInput');
+        codeInput.value = SnakeLevels.toShareCode(this.level);
+        codeInput.select();
+        this.setStatus('SHARE CODE BELOW', 'confirm');
+        
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(codeInput.value)
+                .then(() => {
+                    this.status = 'CODE COPIED';
+                    this.render();
+                })
+                .catch(e => console.warn('Could not copy share code', e));
+        }
+    },
+
+    /**
+     * Open a level from a share code
+     * @param {string} code - The share code
+     */
+    loadShareCode(code) {
+        try {
+            this.openLevel(SnakeLevels.fromShareCode(code));
+        } catch (e) {
+            console.warn('Could not read share code', e);
+            this.setStatus('INVALID CODE', 'gameover');
+        }
+        this.render();
+    },
+
+    /**
+     * Open a level from a JSON file
+     * @param {File} file - The level file
+     */
+    importFile(file) {
+        file.text()
+            .then(text => this.openLevel(SnakeLevels.fromJSON(text)))
+            .catch(e => {
+                console.warn('Could not import level', e);
+                this.setStatus('INVALID LEVEL', 'gameover');
+            })
+            .then(() => this.render());
+    },
+
+    /**
+     * Start editing a shared level, if it fits this board
+     * @param {Object} level - A validated level
+     */
+    openLevel(level) {
+        if (level.cols !== this.level.cols || level.rows !== this.level.rows) {
+            this.setStatus(`LEVEL IS ${level.cols}X${level.rows}, NOT ${this.level.cols}X${this.level.rows}`, 'gameover');
+            return;
+        }
+        
+        this.setLevel(level);
+        this.setStatus(`OPENED ${level.name} • K TO SAVE`, 'confirm');
+    },
+
+    /**
+     * Grid cell under a pointer
+     * @param {PointerEvent} e - The pointer event
+     * @returns {Object|null} The cell, or null outside the board
+     */
+    cellFromPointer(e) {
+        const rect = this.controller.canvas.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / rect.width * this.level.cols);
+        const y = Math.floor((e.clientY - rect.top) / rect.height * this.level.rows);
+        
+        if (x < 0 || x >= this.level.cols || y < 0 || y >= this.level.rows) return null;
+        return { x, y };
+    },
+
+    /**
+     * Paint where the canvas is pressed
+     * @param {PointerEvent} e - The pointer event
+     */
+    onPointerDown(e) {
+        if (this.controller.state !== GameState.EDITOR || this.pointer !== null) return;
+        
+        const cell = this.cellFromPointer(e);
+        if (!cell) return;
+        e.preventDefault();
+        
+        this.controller.canvas.setPointerCapture(e.pointerId);
+        this.pointer = e.pointerId;
+        this.cursor = cell;
+        this.paint(cell, false);
+        this.render();
+    },
+
+    /**
+     * Keep painting along a drag
+     * @param {PointerEvent} e - The pointer event
+     */
+    onPointerMove(e) {
+        if (e.pointerId !== this.pointer) return;
+        
+        const cell = this.cellFromPointer(e);
+        if (!cell || (cell.x === this.cursor.x && cell.y === this.cursor.y)) return;
+        
+        this.cursor = cell;
+        this.paint(cell, true);
+        this.render();
+    },
+
+    /**
+     * Stop painting
+     * @param {PointerEvent} e - The pointer event
+     */
+    onPointerUp(e) {
+        if (e.pointerId === this.pointer) {
+            this.pointer = null;
+        }
+    },
+
+    /**
+     * Redraw the board and the editor bars
+     */
+    render() {
+        const ctx = this.controller.ctx;
+        const size = this.gridSize;
+        const level = this.level;
+        
+        ctx.fillStyle = '#0a0a0a';
+        ctx.fillRect(0, 0, this.controller.canvas.width, this.controller.canvas.height);
+        
+        // Grid
+        ctx.strokeStyle = 'rgba(0, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        for (let x = 0; x <= level.cols; x++) {
+            ctx.beginPath();
+            ctx.moveTo(x * size, 0);
+            ctx.lineTo(x * size, level.rows * size);
+            ctx.stroke();
+        }
+        for (let y = 0; y <= level.rows; y++) {
+            ctx.beginPath();
+            ctx.moveTo(0, y * size);
+            ctx.lineTo(level.cols * size, y * size);
+            ctx.stroke();
+        }
+        
+        // Food zones and walls, as the game draws them
+        ctx.fillStyle = 'rgba(255, 20, 147, 0.25)';
+        level.foodZones.forEach(cell => ctx.fillRect(cell.x * size, cell.y * size, size, size));
+        
+        ctx.fillStyle = '#1a3a5a';
+        ctx.strokeStyle = '#00ffff';
+        level.walls.forEach(cell => {
+            ctx.fillRect(cell.x * size + 1, cell.y * size + 1, size - 2, size - 2);
+            ctx.strokeRect(cell.x * size + 1.5, cell.y * size + 1.5, size - 3, size - 3);
+        });
+        
+        // Portal pairs, with the unpaired end in the next pair's color
+        const pairs = this.pendingPortal ? [...level.portals, [this.pendingPortal]] : level.portals;
+        ctx.lineWidth = 3;
+        pairs.forEach((pair, index) => {
+            ctx.strokeStyle = SnakeGame.PORTAL_COLORS[index % SnakeGame.PORTAL_COLORS.length];
+            for (const cell of pair) {
+                ctx.beginPath();
+                ctx.arc(cell.x * size + size / 2, cell.y * size + size / 2, size / 2 - 3, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        });
+        
+        // Spawn points, with the snake that would start there
+        level.spawns.forEach(spawn => {
+            SnakeLevels.spawnCells(spawn).forEach((cell, index) => {
+                ctx.fillStyle = index === 0 ? '#00ff88' : 'rgba(0, 255, 65, 0.35)';
+                ctx.fillRect(cell.x * size + 2, cell.y * size + 2, size - 4, size - 4);
+            });
+            
+            const heading = SnakeGame.HEADINGS[spawn.direction];
+            const cx = spawn.x * size + size / 2;
+            const cy = spawn.y * size + size / 2;
+            ctx.fillStyle = '#0a0a0a';
+            ctx.beginPath();
+            ctx.moveTo(cx + heading.x * 6, cy + heading.y * 6);
+            ctx.lineTo(cx - heading.x * 4 - heading.y * 5, cy - heading.y * 4 - heading.x * 5);
+            ctx.lineTo(cx - heading.x * 4 + heading.y * 5, cy - heading.y * 4 + heading.x * 5);
+            ctx.closePath();
+            ctx.fill();
+        });
+        
+        // Cursor
+        ctx.strokeStyle = '#ffff00';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(this.cursor.x * size + 1, this.cursor.y * size + 1, size - 2, size - 2);
+        
+        const problems = SnakeLevels.problems(level);
+        document.getElementById('editorTool').textContent = `${this.toolIndex + 1} ${this.getTool().name}`;
+        document.getElementById('levelNameInput').value = level.name;
+        document.getElementById('editorStatus').textContent =
+            this.status || problems[0] || `${this.cursor.x},${this.cursor.y}`;
+        document.getElementById('editorStatus').classList.toggle('warning', !this.status && problems.length > 0);
+    }
+};
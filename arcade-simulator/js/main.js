@@ -12,7 +12,55 @@ const GameState = {
     INSTRUCTIONS: 'instructions',
     PLAYING: 'playing',
     PAUSED: 'paused',
-    GAME_OVER: 'gameover'
+    GAME_OVER: 'gameover',
+    ENTER_INITIALS: 'initials',
+    LEADERBOARD: 'leaderboard',
+    REPLAY: 'replay',
+    SETTINGS: 'settings',
+    ATTRACT: 'attract',
+    ACHIEVEMENTS: 'achievements',
+    EDITOR: 'editor'
+};
+
+// Events on the controller's bus, with the data each one carries
+const GameEvent = {
+    GAME_START: 'gameStart', // { continued }
+    GAME_OVER: 'gameOver', // { score }
+    FOOD_EATEN: 'foodEaten', // { length }
+    BOARD_FILLED: 'boardFilled', // { length }
+    LINES_CLEARED: 'linesCleared', // { count, level }
+    BRICK_DESTROYED: 'brickDestroyed', // { remaining, lives, lifeLost }
+    WAVE_CLEARED: 'waveCleared', // { wave, shieldBlocksLost }
+    LIFE_LOST: 'lifeLost', // { lives }
+    ACHIEVEMENT_UNLOCKED: 'achievementUnlocked' // { achievement }
+};
+
+// Real-time clock the game loop runs on; tests swap in one they step by hand
+const FrameClock = {
+    /**
+     * Current time
+     * @returns {number} Milliseconds
+     */
+    now() {
+        return performance.now();
+    },
+
+    /**
+     * Run a callback before the next repaint
+     * @param {Function} callback - The frame callback
+     * @returns {number} Request id for cancelFrame()
+     */
+    requestFrame(callback) {
+        return requestAnimationFrame(callback);
+    },
+
+    /**
+     * Cancel a requestFrame() callback
+     * @param {number} id - Request id
+     */
+    cancelFrame(id) {
+        cancelAnimationFrame(id);
+    }
 };
 
 const ArcadeController = {
@@ -23,54 +71,56 @@ const ArcadeController = {
     state: GameState.MENU,
     selectedIndex: 0,
     soundEnabled: true,
-    audioContext: null,
+    audio: null,
+    music: null,
+    gamepads: null,
+    touch: null,
+    clock: FrameClock,
     
-    games: [
-        { id: 'snake', name: 'SNAKE', icon: '🐍' },
-        { id: 'breakout', name: 'BREAKOUT', icon: '🧱' },
-        { id: 'invaders', name: 'SPACE INVADERS', icon: '👾' },
-        { id: 'tetris', name: 'TETRIS', icon: '🟦' }
-    ],
+    // Seeded RNG for the current run; fixedSeed is the seed set from the menu
+    rng: null,
+    seed: null,
+    fixedSeed: null,
     
-    instructions: {
-        snake: {
-            title: 'SNAKE',
-            content: `
-                <p><span class="key">↑ ↓ ← →</span> MOVE</p>
-                <p><span class="key">P</span> PAUSE</p>
-                <p>EAT FOOD TO GROW</p>
-                <p>DON'T HIT WALLS OR YOURSELF!</p>
-            `
-        },
-        breakout: {
-            title: 'BREAKOUT',
-            content: `
-                <p><span class="key">← →</span> MOVE PADDLE</p>
-                <p><span class="key">SPACE</span> LAUNCH BALL</p>
-                <p><span class="key">P</span> PAUSE</p>
-                <p>DESTROY ALL BRICKS!</p>
-            `
-        },
-        invaders: {
-            title: 'SPACE INVADERS',
-            content: `
-                <p><span class="key">← →</span> MOVE SHIP</p>
-                <p><span class="key">SPACE</span> FIRE</p>
-                <p><span class="key">P</span> PAUSE</p>
-                <p>DESTROY THE ALIEN INVASION!</p>
-            `
-        },
-        tetris: {
-            title: 'TETRIS',
-            content: `
-                <p><span class="key">← →</span> MOVE</p>
-                <p><span class="key">↑</span> ROTATE</p>
-                <p><span class="key">↓</span> SOFT DROP</p>
-                <p><span class="key">SPACE</span> HARD DROP</p>
-                <p><span class="key">P</span> PAUSE</p>
-            `
-        }
-    },
+    // Id of the mode the current run is played in, for games that register modes
+    mode: null,
+    
+    // Gameplay settings the current run is played with, for games that register options
+    options: null,
+    
+    // Whether the current run is a test of the level open in a game's editor
+    testing: false,
+    
+    // Replays: recorder for the live run, player while watching one back
+    recorder: null,
+    replayPlayer: null,
+    lastReplay: null,
+    replaySpeedIndex: 1,
+    
+    // Leaderboard screen and initials entry
+    leaderboardIndex: 0,
+    pendingEntry: null,
+    
+    // Attract mode: AI demos after the menu has sat idle
+    attractDelays: [0, 15, 30, 60], // Idle seconds before the demos start; 0 = off
+    attractDuration: 30000, // ms each demo runs before moving on
+    attractIndex: 0,
+    idleTimer: null,
+    attractTimer: null,
+    
+    // Event bus listeners keyed by event type
+    listeners: {},
+    
+    // Marquee toasts waiting to be shown
+    toastQueue: [],
+    toastTimer: null,
+    
+    // Achievements gallery
+    achievementsIndex: 0,
+    
+    // Game registry, populated by each game script via registerGame()
+    games: [],
+    initialized: false,
 
     /**
      * Initialize the arcade controller
@@ -85,24 +135,229 @@ const ArcadeController = {
         // Set up event listeners
         this.setupEventListeners();
         
-        // Update menu display
-        this.updateMenuSelection();
+        // Build the game list from the registry
+        this.buildMenu();
         
         // Load high scores
         this.loadHighScores();
         
+        // Announce achievements as they unlock
+        Achievements.attach(this);
+        this.on(GameEvent.ACHIEVEMENT_UNLOCKED, ({ achievement }) => {
+            this.showToast(`🏆 ${achievement.name}`);
+            this.playSound('achievement');
+        });
+        
+        // Count down to attract mode
+        this.resetIdleTimer();
+        
+        this.initialized = true;
         console.log('🕹️ PIXEL PALACE initialized!');
     },
 
     /**
-     * Initialize Web Audio API context
+     * Register a game with the arcade
+     * @param {Object} definition - The game definition
+     * @param {string} definition.id - Unique game identifier
+     * @param {string} definition.name - Display name for menu and marquee
+     * @param {string} definition.icon - Menu icon
+     * @param {Array} [definition.controls] - Instruction lines as { actions, label, player }; the keys
+     *     shown come from the active bindings, and lines for players the mode lacks are left out
+     * @param {Array} [definition.tips] - Extra instruction lines
+     * @param {Object} [definition.actions] - Game-specific actions as { action: { label, keys, button } },
+     *     button being the standard gamepad button index (3, 4 or 5) that also triggers it
+     * @param {number} [definition.players] - Players the game accepts input from
+     * @param {Array} [definition.modes] - Ways to play as { id, name, players, ranked, tips }, picked on
+     *     the instructions screen; the first is the default. Unranked modes skip the high score tables
+     * @param {Function} definition.factory - Creates a BaseGame instance from the controller
+     * @param {Function} [definition.ai] - Creates a GameAI for a game instance, for attract mode
+     * @param {Object} [definition.swipe] - Actions for touch swipes, keyed by up/down/left/right/tap
+     * @param {Object} [definition.sounds] - Sound pack, by name, overriding or adding to SoundEngine sounds
+     * @param {Object} [definition.music] - Background track in the MusicPlayer format
+     * @param {Array} [definition.achievements] - Goals as { id, name, description, event, test }
+     * @param {Object} [definition.editor] - Level editor opened from the instructions screen, as
+     *     { mode, open(controller), close(), handleAction(action, pressed), handleHotkey(code) };
+     *     its test runs are played in its mode
+     * @param {Function} [definition.options] - Returns the gameplay settings for a new run, given the
+     *     controller with the run's mode set; replays and saves keep them, so a run plays back the
+     *     same whatever the settings are now
      */
-    initAudio() {
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        } catch (e) {
-            console.warn('Web Audio API not supported');
+    registerGame(definition) {
+        const {
+            id, name, icon, controls, tips, actions, players, modes,
+            factory, ai, swipe, sounds, music, achievements, editor, options
+        } = definition;
+        
+        if (!id || typeof factory !== 'function') {
+            throw new Error('registerGame() requires an id and a factory');
+        }
+        if (this.getGame(id)) {
+            throw new Error(`Game "${id}" is already registered`);
         }
+        
+        this.games.push({
+            id,
+            name: name || id.toUpperCase(),
+            icon: icon || '🕹️',
+            controls: controls || [],
+            tips: tips || [],
+            players: players || 1,
+            modes: (modes || []).map(mode => ({ players: players || 1, ranked: true, ...mode })),
+            buttons: Object.fromEntries(Object.entries(actions || {})
+                .filter(([, action]) => action.button !== undefined)
+                .map(([id, action]) => [action.button, id])),
+            factory,
+            ai: ai || null,
+            swipe: swipe || null,
+            sounds: sounds || {},
+            music: music || null,
+            editor: editor || null,
+            options: options || null
+        });
+        
+        if (actions) {
+            KeyBindings.registerActions(id, actions);
+        }
+        if (achievements) {
+            Achievements.register(id, achievements);
+        }
+        
+        // Games registered after startup still show up in the menu
+        if (this.initialized) {
+            this.buildMenu();
+        }
+    },
+
+    /**
+     * Subscribe to an event on the bus
+     * @param {string} type - A GameEvent value
+     * @param {Function} listener - Receives the event
+     */
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    },
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} type - A GameEvent value
+     * @param {Function} listener - The listener passed to on()
+     */
+    off(type, listener) {
+        const listeners = this.listeners[type] || [];
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    },
+
+    /**
+     * Send an event to its listeners
+     * @param {string} type - A GameEvent value
+     * @param {Object} data - Event data
+     */
+    emit(type, data = {}) {
+        // Only a run the player is playing counts as live; demos and replays don't
+        const live = this.state === GameState.PLAYING || this.state === GameState.PAUSED;
+        const event = { ...data, type, game: this.currentGame, live };
+        
+        for (const listener of [...(this.listeners[type] || [])]) {
+            try {
+                listener(event);
+            } catch (e) {
+                console.warn(`Listener for "${type}" failed`, e);
+            }
+        }
+    },
+
+    /**
+     * Look up a registered game
+     * @param {string} gameId - The game identifier
+     * @returns {Object|undefined} The game definition
+     */
+    getGame(gameId) {
+        return this.games.find(game => game.id === gameId);
+    },
+
+    /**
+     * The mode picked for a game on its instructions screen
+     * @param {Object} game - The game definition
+     * @returns {Object|null} The mode, or null for games without modes
+     */
+    getSelectedMode(game) {
+        if (game.modes.length === 0) return null;
+        
+        const id = Settings.get('modes', {})[game.id];
+        return game.modes.find(mode => mode.id === id) || game.modes[0];
+    },
+
+    /**
+     * Step through the modes of the selected game
+     * @param {number} direction - 1 for the next mode, -1 for the previous one
+     */
+    cycleMode(direction) {
+        const game = this.getGame(this.currentGame);
+        if (game.modes.length < 2) return;
+        
+        const index = game.modes.indexOf(this.getSelectedMode(game));
+        const mode = game.modes[(index + direction + game.modes.length) % game.modes.length];
+        Settings.set('modes', { ...Settings.get('modes', {}), [game.id]: mode.id });
+        
+        this.showInstructions();
+        this.playSound('select');
+    },
+
+    /**
+     * The mode of the current run
+     * @returns {Object|null} The mode, or null if the game has none
+     */
+    getCurrentMode() {
+        const game = this.getGame(this.currentGame);
+        return game.modes.find(mode => mode.id === this.mode) || null;
+    },
+
+    /**
+     * Leaderboard table of a game mode; the default mode keeps the game's own table
+     * @param {string} gameId - The game identifier
+     * @param {string|null} modeId - The mode identifier
+     * @returns {string} The table id
+     */
+    getTableId(gameId, modeId) {
+        const game = this.getGame(gameId);
+        if (!game || !modeId || game.modes.length === 0 || game.modes[0].id === modeId) {
+            return gameId;
+        }
+        return `${gameId}:${modeId}`;
+    },
+
+    /**
+     * Every leaderboard table, one per ranked mode of each game
+     * @returns {Array} Tables as { id, title }
+     */
+    getTables() {
+        return this.games.flatMap(game => {
+            if (game.modes.length === 0) {
+                return [{ id: game.id, title: game.name }];
+            }
+            return game.modes
+                .filter(mode => mode.ranked)
+                .map(mode => ({ id: this.getTableId(game.id, mode.id), title: `${game.name} ${mode.name}` }));
+        });
+    },
+
+    /**
+     * Players the current run takes input from
+     * @returns {number} Player count
+     */
+    getPlayerCount() {
+        const mode = this.getCurrentMode();
+        return mode ? mode.players : this.getGame(this.currentGame).players;
+    },
+
+    /**
+     * Create the sound engine, its mixer and the music player
+     */
+    initAudio() {
+        this.audio = new SoundEngine();
+        this.audio.init();
+        this.music = new MusicPlayer(this.audio);
     },
 
     /**
@@ -113,26 +368,58 @@ const ArcadeController = {
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         document.addEventListener('keyup', (e) => this.handleKeyUp(e));
         
+        // Gamepads feed the same pipeline as the keyboard
+        this.gamepads = new GamepadInput((action, pressed, player) => this.handleAction(action, pressed, player));
+        this.gamepads.attach();
+        
+        // On-screen joystick, buttons and swipes
+        this.touch = new TouchControls(this);
+        this.touch.attach();
+        
         // Sound toggle
         const soundToggle = document.getElementById('soundToggle');
         soundToggle.addEventListener('click', () => this.toggleSound());
         
-        // Menu item clicks
-        const gameItems = document.querySelectorAll('.game-item');
-        gameItems.forEach((item, index) => {
-            item.addEventListener('click', () => {
-                this.selectedIndex = index;
-                this.updateMenuSelection();
-                this.selectGame();
-            });
+        // Seed entry
+        const seedInput = document.getElementById('seedInput');
+        seedInput.addEventListener('change', () => this.setSeed(seedInput.value));
+        
+        // Replay import
+        const replayFileInput = document.getElementById('replayFileInput');
+        replayFileInput.addEventListener('change', () => {
+            const file = replayFileInput.files[0];
+            replayFileInput.value = '';
+            if (file) this.importReplay(file);
+        });
+        
+        // Clicks and taps count as activity too
+        document.addEventListener('pointerdown', () => {
+            if (this.state === GameState.ATTRACT) {
+                this.stopAttract();
+            } else {
+                this.resetIdleTimer();
+            }
         });
         
         // Resume audio context on user interaction
-        document.addEventListener('click', () => {
-            if (this.audioContext && this.audioContext.state === 'suspended') {
-                this.audioContext.resume();
+        document.addEventListener('click', () => this.audio.resume(), { once: true });
+        document.addEventListener('keydown', () => this.audio.resume(), { once: true });
+        
+        // Don't let time spent in a background tab turn into a burst of updates,
+        // and keep the run if the tab is being closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.saveGame();
+                this.music.pause();
+            } else {
+                if (this.currentGameInstance) {
+                    this.currentGameInstance.resetClock();
+                }
+                if (this.state !== GameState.PAUSED) {
+                    this.music.resume();
+                }
             }
-        }, { once: true });
+        });
     },
 
     /**
@@ -140,51 +427,191 @@ const ArcadeController = {
      * @param {KeyboardEvent} e - The keyboard event
      */
     handleKeyDown(e) {
-        // Prevent default for game keys
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space', 'Enter', 'Escape', 'KeyP'].includes(e.code)) {
+        // Any key ends the demo
+        if (this.state === GameState.ATTRACT) {
+            e.preventDefault();
+            this.stopAttract();
+            return;
+        }
+        this.resetIdleTimer();
+        
+        // Let the seed and level editor fields receive typing
+        if (e.target && e.target.tagName === 'INPUT') {
+            if (e.code === 'Enter' || e.code === 'Escape') {
+                e.preventDefault();
+                e.target.blur();
+            }
+            return;
+        }
+        
+        // The settings screen sees raw keys first so any key can be bound
+        if (this.state === GameState.SETTINGS && SettingsScreen.handleRawKey(e.code)) {
+            e.preventDefault();
+            return;
+        }
+        
+        const binding = this.resolveKey(e.code);
+        if (binding) {
             e.preventDefault();
+            this.handleAction(binding.action, true, binding.player, e.repeat);
+        } else {
+            this.handleHotkey(e.code);
+        }
+    },
+
+    /**
+     * Handle key up events
+     * @param {KeyboardEvent} e - The keyboard event
+     */
+    handleKeyUp(e) {
+        const binding = this.resolveKey(e.code);
+        if (binding) {
+            this.handleAction(binding.action, false, binding.player);
+        }
+    },
+
+    /**
+     * Find the action bound to a key in the current state
+     * @param {string} code - The key code
+     * @returns {Object|null} { action, player }
+     */
+    resolveKey(code) {
+        const inGame = this.state === GameState.PLAYING || this.state === GameState.PAUSED;
+        const scope = inGame ? this.currentGame : 'global';
+        
+        // Only gameplay tells players apart; player 1 drives the menus
+        const players = this.state === GameState.PLAYING ? [0, 1] : [0];
+        return KeyBindings.resolve(code, scope, players);
+    },
+
+    /**
+     * Handle a logical action from the keyboard, a gamepad or touch
+     * @param {string} action - An InputAction value or a game-specific action
+     * @param {boolean} pressed - Whether the action was pressed or released
+     * @param {number} player - Player index (0 or 1)
+     * @param {boolean} repeat - Whether this is an auto-repeat of a held key
+     */
+    handleAction(action, pressed, player = 0, repeat = false) {
+        if (this.state === GameState.ATTRACT) {
+            if (pressed) this.stopAttract();
+            return;
+        }
+        if (pressed) this.resetIdleTimer();
+        
+        // Start pauses during play but acts as ENTER everywhere else
+        if (action === InputAction.PAUSE &&
+            this.state !== GameState.PLAYING && this.state !== GameState.PAUSED) {
+            action = InputAction.START;
         }
         
         // Update joystick visual
-        this.updateJoystickVisual(e.code, true);
+        this.updateJoystickVisual(action, pressed);
+        
+        if (!pressed) {
+            if (this.state === GameState.PLAYING) {
+                this.handleGameInput(action, false, player, repeat);
+            } else if (this.state === GameState.EDITOR) {
+                this.getGame(this.currentGame).editor.handleAction(action, false);
+            }
+            return;
+        }
         
         switch (this.state) {
             case GameState.MENU:
-                this.handleMenuInput(e.code);
+                this.handleMenuInput(action);
                 break;
             case GameState.INSTRUCTIONS:
-                this.handleInstructionsInput(e.code);
+                this.handleInstructionsInput(action);
                 break;
             case GameState.PLAYING:
-                this.handleGameInput(e);
+                this.handleGameInput(action, true, player, repeat);
                 break;
             case GameState.PAUSED:
-                this.handlePausedInput(e.code);
+                this.handlePausedInput(action);
                 break;
             case GameState.GAME_OVER:
-                this.handleGameOverInput(e.code);
+                this.handleGameOverInput(action);
+                break;
+            case GameState.ENTER_INITIALS:
+                this.handleInitialsInput(action);
+                break;
+            case GameState.LEADERBOARD:
+                this.handleLeaderboardInput(action);
+                break;
+            case GameState.ACHIEVEMENTS:
+                this.handleAchievementsInput(action);
+                break;
+            case GameState.REPLAY:
+                this.handleReplayInput(action);
+                break;
+            case GameState.SETTINGS:
+                if (!SettingsScreen.handleAction(action)) {
+                    this.closeSettings();
+                }
+                break;
+            case GameState.EDITOR:
+                if (!this.getGame(this.currentGame).editor.handleAction(action, true)) {
+                    this.closeEditor();
+                }
                 break;
         }
     },
 
     /**
-     * Handle key up events
-     * @param {KeyboardEvent} e - The keyboard event
+     * Handle letter shortcuts for keys that aren't bound to an action
+     * @param {string} code - The key code
      */
-    handleKeyUp(e) {
-        this.updateJoystickVisual(e.code, false);
-        
-        if (this.state === GameState.PLAYING && this.currentGameInstance) {
-            this.currentGameInstance.handleKeyUp(e);
+    handleHotkey(code) {
+        // Keys the movement presets bind (W, A, S, D, F) never reach here, so none are used
+        if (this.state === GameState.MENU) {
+            switch (code) {
+                case 'KeyN':
+                    document.getElementById('seedInput').focus();
+                    break;
+                case 'KeyR':
+                    this.watchBestReplay();
+                    break;
+                case 'KeyI':
+                    document.getElementById('replayFileInput').click();
+                    break;
+                case 'KeyL': {
+                    // Open on the table for the selected game's mode
+                    const game = this.games[this.selectedIndex];
+                    const mode = game && this.getSelectedMode(game);
+                    const id = game && this.getTableId(game.id, mode && mode.id);
+                    this.showLeaderboard(Math.max(0, this.getTables().findIndex(table => table.id === id)));
+                    break;
+                }
+                case 'KeyT':
+                    this.showAchievements(this.selectedIndex);
+                    break;
+                case 'KeyO':
+                    this.showSettings();
+                    break;
+            }
+        } else if (this.state === GameState.INSTRUCTIONS && code === 'KeyE') {
+            this.showEditor();
+        } else if (this.state === GameState.EDITOR) {
+            this.getGame(this.currentGame).editor.handleHotkey(code);
+        } else if (this.state === GameState.GAME_OVER && this.lastReplay && !this.testing) {
+            switch (code) {
+                case 'KeyR':
+                    this.watchReplay(this.lastReplay);
+                    break;
+                case 'KeyX':
+                    Replays.download(this.lastReplay);
+                    this.playSound('confirm');
+                    break;
+            }
         }
     },
 
     /**
-     * Update joystick visual based on key press
-     * @param {string} code - The key code
-     * @param {boolean} pressed - Whether the key is pressed
+     * Update joystick visual based on an action
+     * @param {string} action - The action
+     * @param {boolean} pressed - Whether the action is pressed
      */
-    updateJoystickVisual(code, pressed) {
+    updateJoystickVisual(action, pressed) {
         const stick = document.querySelector('.joystick-stick');
         const redBtn = document.querySelector('.arcade-button.red');
         const blueBtn = document.querySelector('.arcade-button.blue');
@@ -192,24 +619,18 @@ const ArcadeController = {
         stick.classList.remove('up', 'down', 'left', 'right');
         
         if (pressed) {
-            switch (code) {
-                case 'ArrowUp':
-                    stick.classList.add('up');
-                    break;
-                case 'ArrowDown':
-                    stick.classList.add('down');
-                    break;
-                case 'ArrowLeft':
-                    stick.classList.add('left');
+            switch (action) {
+                case InputAction.UP:
+                case InputAction.DOWN:
+                case InputAction.LEFT:
+                case InputAction.RIGHT:
+                    stick.classList.add(action);
                     break;
-                case 'ArrowRight':
-                    stick.classList.add('right');
-                    break;
-                case 'Space':
+                case InputAction.FIRE:
                     redBtn.classList.add('pressed');
                     setTimeout(() => redBtn.classList.remove('pressed'), 100);
                     break;
-                case 'Enter':
+                case InputAction.START:
                     blueBtn.classList.add('pressed');
                     setTimeout(() => blueBtn.classList.remove('pressed'), 100);
                     break;
@@ -219,22 +640,22 @@ const ArcadeController = {
 
     /**
      * Handle menu navigation
-     * @param {string} code - The key code
+     * @param {string} action - The action
      */
-    handleMenuInput(code) {
-        switch (code) {
-            case 'ArrowUp':
+    handleMenuInput(action) {
+        switch (action) {
+            case InputAction.UP:
                 this.selectedIndex = Math.max(0, this.selectedIndex - 1);
                 this.updateMenuSelection();
                 this.playSound('select');
                 break;
-            case 'ArrowDown':
+            case InputAction.DOWN:
                 this.selectedIndex = Math.min(this.games.length - 1, this.selectedIndex + 1);
                 this.updateMenuSelection();
                 this.playSound('select');
                 break;
-            case 'Enter':
-            case 'Space':
+            case InputAction.START:
+            case InputAction.FIRE:
                 this.selectGame();
                 break;
         }
@@ -242,15 +663,25 @@ const ArcadeController = {
 
     /**
      * Handle instructions screen input
-     * @param {string} code - The key code
+     * @param {string} action - The action
      */
-    handleInstructionsInput(code) {
-        switch (code) {
-            case 'Enter':
-            case 'Space':
+    handleInstructionsInput(action) {
+        switch (action) {
+            case InputAction.START:
+                if (SaveStates.has(this.currentGame)) {
+                    this.continueGame();
+                } else {
+                    this.startGame();
+                }
+                break;
+            case InputAction.FIRE:
                 this.startGame();
                 break;
-            case 'Escape':
+            case InputAction.LEFT:
+            case InputAction.RIGHT:
+                this.cycleMode(action === InputAction.LEFT ? -1 : 1);
+                break;
+            case InputAction.BACK:
                 this.showMenu();
                 break;
         }
@@ -258,54 +689,351 @@ const ArcadeController = {
 
     /**
      * Handle game input - delegate to current game
-     * @param {KeyboardEvent} e - The keyboard event
+     * @param {string} action - The action
+     * @param {boolean} pressed - Pressed or released
+     * @param {number} player - Player index
+     * @param {boolean} repeat - Whether this is an auto-repeat
      */
-    handleGameInput(e) {
-        if (e.code === 'KeyP') {
+    handleGameInput(action, pressed, player, repeat) {
+        if (pressed && action === InputAction.PAUSE) {
             this.pauseGame();
             return;
         }
-        if (e.code === 'Escape') {
+        if (pressed && action === InputAction.BACK) {
             this.endGame();
             return;
         }
         
-        if (this.currentGameInstance) {
-            this.currentGameInstance.handleKeyDown(e);
-        }
+        // Single-player games and modes ignore the second player's keys
+        if (!this.currentGameInstance || player >= this.getPlayerCount()) return;
+        
+        const event = { action, player, repeat };
+        if (pressed) {
+            this.recordInput('down', action, player);
+            this.currentGameInstance.handleKeyDown(event);
+        } else {
+            this.recordInput('up', action, player);
+            this.currentGameInstance.handleKeyUp(event);
+        }
+    },
+
+    /**
+     * Record an input event for the replay of the current run
+     * @param {string} type - 'down' or 'up'
+     * @param {string} action - The action
+     * @param {number} player - Player index
+     */
+    recordInput(type, action, player) {
+        if (this.recorder && this.currentGameInstance) {
+            this.recorder.record(this.currentGameInstance.tick, type, action, player);
+        }
+    },
+
+    /**
+     * Handle paused state input
+     * @param {string} action - The action
+     */
+    handlePausedInput(action) {
+        switch (action) {
+            case InputAction.PAUSE:
+            case InputAction.START:
+            case InputAction.FIRE:
+                this.resumeGame();
+                break;
+            case InputAction.BACK:
+                this.endGame();
+                break;
+        }
+    },
+
+    /**
+     * Handle game over input
+     * @param {string} action - The action
+     */
+    handleGameOverInput(action) {
+        switch (action) {
+            case InputAction.START:
+            case InputAction.FIRE:
+                this.startGame();
+                break;
+            case InputAction.BACK:
+                if (this.testing) {
+                    this.showEditor();
+                } else {
+                    this.showMenu();
+                }
+                break;
+        }
+    },
+
+    /**
+     * Handle joystick entry of leaderboard initials
+     * @param {string} action - The action
+     */
+    handleInitialsInput(action) {
+        const entry = this.pendingEntry;
+        const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        
+        switch (action) {
+            case InputAction.UP:
+            case InputAction.DOWN: {
+                const step = action === InputAction.UP ? 1 : -1;
+                const current = letters.indexOf(entry.initials[entry.slot]);
+                entry.initials[entry.slot] = letters[(current + step + letters.length) % letters.length];
+                this.playSound('move');
+                break;
+            }
+            case InputAction.LEFT:
+                entry.slot = Math.max(0, entry.slot - 1);
+                this.playSound('select');
+                break;
+            case InputAction.RIGHT:
+                entry.slot = Math.min(entry.initials.length - 1, entry.slot + 1);
+                this.playSound('select');
+                break;
+            case InputAction.START:
+            case InputAction.FIRE:
+                // Fire steps through the slots like an arcade button
+                if (action === InputAction.FIRE && entry.slot < entry.initials.length - 1) {
+                    entry.slot++;
+                    this.playSound('select');
+                } else {
+                    this.submitInitials();
+                    return;
+                }
+                break;
+        }
+        
+        this.updateInitialsDisplay();
+    },
+
+    /**
+     * Handle leaderboard screen input
+     * @param {string} action - The action
+     */
+    handleLeaderboardInput(action) {
+        switch (action) {
+            case InputAction.LEFT:
+                this.showLeaderboard(this.leaderboardIndex - 1);
+                this.playSound('select');
+                break;
+            case InputAction.RIGHT:
+                this.showLeaderboard(this.leaderboardIndex + 1);
+                this.playSound('select');
+                break;
+            case InputAction.BACK:
+            case InputAction.START:
+                this.showMenu();
+                break;
+        }
+    },
+
+    /**
+     * Handle achievements gallery input
+     * @param {string} action - The action
+     */
+    handleAchievementsInput(action) {
+        switch (action) {
+            case InputAction.LEFT:
+                this.showAchievements(this.achievementsIndex - 1);
+                this.playSound('select');
+                break;
+            case InputAction.RIGHT:
+                this.showAchievements(this.achievementsIndex + 1);
+                this.playSound('select');
+                break;
+            case InputAction.BACK:
+            case InputAction.START:
+                this.showMenu();
+                break;
+        }
+    },
+
+    /**
+     * Handle input while watching a replay
+     * @param {string} action - The action
+     */
+    handleReplayInput(action) {
+        switch (action) {
+            case InputAction.LEFT:
+                this.setReplaySpeed(this.replaySpeedIndex - 1);
+                break;
+            case InputAction.RIGHT:
+                this.setReplaySpeed(this.replaySpeedIndex + 1);
+                break;
+            case InputAction.BACK:
+                this.endGame();
+                break;
+        }
+    },
+
+    /**
+     * Restart the idle countdown; attract mode begins when it runs out on the menu
+     */
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        
+        const delay = Settings.get('attractDelay', 30);
+        if (this.state === GameState.MENU && delay > 0) {
+            this.idleTimer = setTimeout(() => this.startAttract(), delay * 1000);
+        }
+    },
+
+    /**
+     * Start the next attract-mode demo
+     */
+    startAttract() {
+        if (this.state !== GameState.MENU && this.state !== GameState.ATTRACT) return;
+        
+        const demos = this.games.filter(game => game.ai);
+        if (demos.length === 0) return;
+        
+        const game = demos[this.attractIndex++ % demos.length];
+        if (this.currentGameInstance) {
+            this.currentGameInstance.stop();
+        }
+        
+        this.state = GameState.ATTRACT;
+        this.currentGame = game.id;
+        this.mode = game.modes.length > 0 ? game.modes[0].id : null;
+        this.options = null;
+        this.music.stop();
+        document.getElementById('seedInput').blur();
+        document.getElementById('menuOverlay').classList.add('hidden');
+        document.getElementById('attractOverlay').classList.remove('hidden');
+        document.querySelector('.marquee-text').textContent = game.name;
+        
+        // Demos aren't recorded or saved
+        this.seed = SeededRandom.randomSeed();
+        this.rng = new SeededRandom(this.seed);
+        this.recorder = null;
+        this.replayPlayer = null;
+        
+        this.currentGameInstance = game.factory(this);
+        this.currentGameInstance.ai = game.ai(this.currentGameInstance);
+        this.currentGameInstance.start();
+        
+        clearTimeout(this.attractTimer);
+        this.attractTimer = setTimeout(() => this.startAttract(), this.attractDuration);
+    },
+
+    /**
+     * Leave attract mode and return to the menu
+     */
+    stopAttract() {
+        clearTimeout(this.attractTimer);
+        this.attractTimer = null;
+        document.getElementById('attractOverlay').classList.add('hidden');
+        
+        this.showMenu();
+        this.updateScoreDisplay(0);
+    },
+
+    /**
+     * Show the options screen
+     */
+    showSettings() {
+        this.state = GameState.SETTINGS;
+        this.resetIdleTimer();
+        document.getElementById('menuOverlay').classList.add('hidden');
+        document.querySelector('.marquee-text').textContent = 'OPTIONS';
+        SettingsScreen.open();
+        this.playSound('confirm');
+    },
+
+    /**
+     * Leave the options screen
+     */
+    closeSettings() {
+        SettingsScreen.close();
+        this.showMenu();
+    },
+
+    /**
+     * Open the level editor of the selected game
+     */
+    showEditor() {
+        const game = this.getGame(this.currentGame);
+        if (!game.editor) return;
+        
+        // Coming back from a test run ends it
+        if (this.currentGameInstance) {
+            this.currentGameInstance.stop();
+            this.currentGameInstance = null;
+        }
+        
+        this.state = GameState.EDITOR;
+        this.testing = false;
+        document.getElementById('instructionsOverlay').classList.add('hidden');
+        document.getElementById('gameOverOverlay').classList.add('hidden');
+        document.getElementById('pauseOverlay').classList.add('hidden');
+        document.querySelector('.marquee-text').textContent = 'LEVEL EDITOR';
+        this.music.play(MENU_TRACK);
+        this.updateScoreDisplay(0);
+        
+        game.editor.open(this);
+        this.playSound('confirm');
     },
 
     /**
-     * Handle paused state input
-     * @param {string} code - The key code
+     * Leave the level editor for the instructions screen
      */
-    handlePausedInput(code) {
-        switch (code) {
-            case 'KeyP':
-            case 'Enter':
-            case 'Space':
-                this.resumeGame();
-                break;
-            case 'Escape':
-                this.endGame();
-                break;
-        }
+    closeEditor() {
+        this.getGame(this.currentGame).editor.close();
+        this.showInstructions();
+        this.playSound('select');
     },
 
     /**
-     * Handle game over input
-     * @param {string} code - The key code
+     * Play the level open in the editor; the run isn't recorded or saved,
+     * and leaving it returns to the editor
      */
-    handleGameOverInput(code) {
-        switch (code) {
-            case 'Enter':
-            case 'Space':
-                this.startGame();
-                break;
-            case 'Escape':
-                this.showMenu();
-                break;
-        }
+    testLevel() {
+        this.getGame(this.currentGame).editor.close();
+        this.testing = true;
+        this.startGame();
+    },
+
+    /**
+     * Build the game list from the registry
+     */
+    buildMenu() {
+        const list = document.querySelector('.game-list');
+        list.innerHTML = '';
+        
+        this.games.forEach((game, index) => {
+            const item = document.createElement('li');
+            item.className = 'game-item';
+            item.dataset.game = game.id;
+            
+            const icon = document.createElement('span');
+            icon.className = 'game-icon';
+            icon.textContent = game.icon;
+            
+            const name = document.createElement('span');
+            name.className = 'game-name';
+            name.textContent = game.name;
+            
+            item.append(icon, name);
+            
+            if (SaveStates.has(game.id)) {
+                const tag = document.createElement('span');
+                tag.className = 'game-continue';
+                tag.textContent = 'CONTINUE';
+                item.appendChild(tag);
+            }
+            item.addEventListener('click', () => {
+                this.selectedIndex = index;
+                this.updateMenuSelection();
+                this.selectGame();
+            });
+            
+            list.appendChild(item);
+        });
+        
+        this.selectedIndex = Math.min(this.selectedIndex, Math.max(0, this.games.length - 1));
+        this.updateMenuSelection();
     },
 
     /**
@@ -322,11 +1050,23 @@ const ArcadeController = {
      * Select and show instructions for current game
      */
     selectGame() {
+        if (this.games.length === 0) return;
+        
         this.currentGame = this.games[this.selectedIndex].id;
         this.showInstructions();
         this.playSound('confirm');
     },
 
+    /**
+     * Set the seed used for upcoming runs
+     * @param {string} text - Seed text, empty for a random seed each run
+     */
+    setSeed(text) {
+        this.fixedSeed = SeededRandom.parseSeed(text);
+        document.getElementById('seedInput').value =
+            this.fixedSeed === null ? '' : SeededRandom.formatSeed(this.fixedSeed);
+    },
+
     /**
      * Show instructions overlay
      */
@@ -337,19 +1077,59 @@ const ArcadeController = {
         const title = document.getElementById('instructionsTitle');
         const content = document.getElementById('instructionsContent');
         
-        const instructions = this.instructions[this.currentGame];
-        title.textContent = instructions.title;
-        content.innerHTML = instructions.content;
+        const game = this.getGame(this.currentGame);
+        const mode = this.getSelectedMode(game);
+        title.textContent = game.name;
+        this.buildInstructions(game, content);
+        
+        const modeLine = document.getElementById('instructionsMode');
+        modeLine.textContent = mode ? `◀ ${mode.name} ▶` : '';
+        modeLine.classList.toggle('hidden', game.modes.length < 2);
+        document.getElementById('instructionsEditor').classList.toggle('hidden', !game.editor);
+        
+        const startKey = KeyBindings.describe([InputAction.START], game.id);
+        document.getElementById('instructionsPrompt').textContent = SaveStates.has(game.id)
+            ? `${startKey} CONTINUE • ${KeyBindings.describe([InputAction.FIRE], game.id)} NEW GAME`
+            : `PRESS ${startKey} TO START`;
         
         document.getElementById('menuOverlay').classList.add('hidden');
         overlay.classList.remove('hidden');
     },
 
+    /**
+     * Fill the instructions overlay from the game's controls and the active bindings
+     * @param {Object} game - The game definition
+     * @param {HTMLElement} content - The instructions container
+     */
+    buildInstructions(game, content) {
+        const mode = this.getSelectedMode(game);
+        const players = mode ? mode.players : game.players;
+        content.innerHTML = '';
+        
+        for (const { actions, label, player = 0 } of game.controls) {
+            if (player >= players) continue;
+            
+            const line = document.createElement('p');
+            const keys = document.createElement('span');
+            keys.className = 'key';
+            keys.textContent = KeyBindings.describe(actions, game.id, player) || '---';
+            line.append(keys, ` ${label}`);
+            content.appendChild(line);
+        }
+        
+        for (const tip of (mode && mode.tips) || game.tips) {
+            const line = document.createElement('p');
+            line.textContent = tip;
+            content.appendChild(line);
+        }
+    },
+
     /**
      * Show main menu
      */
     showMenu() {
         this.state = GameState.MENU;
+        this.testing = false;
         
         // Stop current game if any
         if (this.currentGameInstance) {
@@ -361,8 +1141,17 @@ const ArcadeController = {
         document.getElementById('instructionsOverlay').classList.add('hidden');
         document.getElementById('gameOverOverlay').classList.add('hidden');
         document.getElementById('pauseOverlay').classList.add('hidden');
+        document.getElementById('replayBar').classList.add('hidden');
+        document.getElementById('leaderboardOverlay').classList.add('hidden');
+        document.getElementById('achievementsOverlay').classList.add('hidden');
+        document.getElementById('settingsOverlay').classList.add('hidden');
         document.getElementById('menuOverlay').classList.remove('hidden');
         
+        // Refresh CONTINUE tags
+        this.buildMenu();
+        this.resetIdleTimer();
+        this.music.play(MENU_TRACK);
+        
         // Clear canvas
         this.ctx.fillStyle = '#0a0a0a';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -373,9 +1162,11 @@ const ArcadeController = {
 
     /**
      * Start the selected game
+     * @param {Object} replay - Optional replay to play back instead of live input
+     * @param {Object} save - Optional saved run to continue
      */
-    startGame() {
-        this.state = GameState.PLAYING;
+    startGame(replay = null, save = null) {
+        this.state = replay ? GameState.REPLAY : GameState.PLAYING;
         
         // Hide all overlays
         document.getElementById('instructionsOverlay').classList.add('hidden');
@@ -383,29 +1174,193 @@ const ArcadeController = {
         document.getElementById('pauseOverlay').classList.add('hidden');
         document.getElementById('menuOverlay').classList.add('hidden');
         
+        const game = this.getGame(this.currentGame);
+        
+        // Seed the RNG for this run
+        if (replay) {
+            this.seed = replay.seed;
+        } else if (save) {
+            this.seed = save.seed;
+        } else {
+            this.seed = this.fixedSeed !== null ? this.fixedSeed : SeededRandom.randomSeed();
+        }
+        this.rng = new SeededRandom(this.seed);
+        
+        // Replays and saves carry the mode they were played in.
+        // Test runs from the editor play in its mode
+        const source = replay || save;
+        let mode;
+        if (source) {
+            mode = game.modes.find(m => m.id === source.mode);
+        } else if (this.testing) {
+            mode = game.modes.find(m => m.id === game.editor.mode);
+        } else {
+            mode = this.getSelectedMode(game);
+        }
+        this.mode = mode ? mode.id : null;
+        
+        // Settings come from the replay or save too, if it has them
+        if (source) {
+            this.options = source.options || null;
+        } else {
+            this.options = game.options ? game.options(this) : null;
+        }
+        
         // Update marquee
-        document.querySelector('.marquee-text').textContent = this.instructions[this.currentGame].title;
+        document.querySelector('.marquee-text').textContent = game.name;
         
         // Create game instance
-        switch (this.currentGame) {
-            case 'snake':
-                this.currentGameInstance = new SnakeGame(this);
-                break;
-            case 'breakout':
-                this.currentGameInstance = new BreakoutGame(this);
-                break;
-            case 'invaders':
-                this.currentGameInstance = new SpaceInvadersGame(this);
-                break;
-            case 'tetris':
-                this.currentGameInstance = new TetrisGame(this);
-                break;
+        this.currentGameInstance = game.factory(this);
+        if (this.gamepads) {
+            this.gamepads.gameButtons = game.buttons;
         }
         
-        this.currentGameInstance.start();
+        // Either record this run or feed it from the replay
+        if (replay) {
+            this.recorder = null;
+            this.replayPlayer = new ReplayPlayer(replay);
+            this.currentGameInstance.replay = this.replayPlayer;
+            this.setReplaySpeed(this.replaySpeedIndex);
+            document.getElementById('replayBar').classList.remove('hidden');
+        } else {
+            // A continued run keeps its earlier input so the replay covers the whole run
+            this.recorder = this.testing
+                ? null
+                : new ReplayRecorder(game.id, this.seed, save ? save.events : [], this.mode, this.options);
+            this.replayPlayer = null;
+            document.getElementById('replayBar').classList.add('hidden');
+        }
+        
+        if (save) {
+            try {
+                this.currentGameInstance.start(save.snapshot);
+            } catch (e) {
+                console.warn('Could not continue saved game', e);
+                this.currentGameInstance.stop();
+                SaveStates.clear(game.id);
+                this.startGame();
+                return;
+            }
+            this.releaseHeldInput();
+        } else {
+            // Starting over replaces any suspended run
+            if (!replay && !this.testing) SaveStates.clear(game.id);
+            this.currentGameInstance.start();
+        }
+        this.music.play(game.music, () => this.currentGameInstance.getMusicIntensity());
+        this.emit(GameEvent.GAME_START, { continued: !!save });
         this.playSound('start');
     },
 
+    /**
+     * Continue the suspended run of the selected game
+     */
+    continueGame() {
+        const save = SaveStates.load(this.currentGame);
+        this.startGame(null, save);
+    },
+
+    /**
+     * Release every gameplay action, so a continued or resumed run doesn't
+     * carry on with the keys that were held when it stopped
+     */
+    releaseHeldInput() {
+        const game = this.getGame(this.currentGame);
+        const menuActions = [InputAction.START, InputAction.PAUSE, InputAction.BACK];
+        
+        for (let player = 0; player < this.getPlayerCount(); player++) {
+            for (const action of KeyBindings.getActions(game.id, player)) {
+                if (!menuActions.includes(action)) {
+                    this.handleGameInput(action, false, player, false);
+                }
+            }
+        }
+    },
+
+    /**
+     * Save the live run so it can be continued from the menu
+     */
+    saveGame() {
+        if (!this.recorder || !this.currentGameInstance) return;
+        if (this.state !== GameState.PLAYING && this.state !== GameState.PAUSED) return;
+        
+        SaveStates.save({
+            game: this.currentGame,
+            mode: this.mode,
+            options: this.options,
+            seed: this.seed,
+            snapshot: this.currentGameInstance.snapshot(),
+            events: this.recorder.replay.events
+        });
+    },
+
+    /**
+     * Play back a recorded run
+     * @param {Object} replay - A validated replay
+     */
+    watchReplay(replay) {
+        const game = this.getGame(replay.game);
+        if (!game) {
+            console.warn(`Replay is for unknown game "${replay.game}"`);
+            return;
+        }
+        if (game.modes.length > 0 && !game.modes.some(mode => mode.id === replay.mode)) {
+            console.warn(`Replay is for unknown ${game.name} mode "${replay.mode}"`);
+            return;
+        }
+        
+        if (this.currentGameInstance) {
+            this.currentGameInstance.stop();
+        }
+        
+        this.currentGame = replay.game;
+        this.lastReplay = replay;
+        this.startGame(replay);
+    },
+
+    /**
+     * Play back the best stored run of the selected game
+     */
+    watchBestReplay() {
+        const game = this.games[this.selectedIndex];
+        const mode = game && this.getSelectedMode(game);
+        const replay = game && Replays.loadBest(this.getTableId(game.id, mode && mode.id));
+        
+        if (replay) {
+            this.watchReplay(replay);
+        } else {
+            this.playSound('pause');
+        }
+    },
+
+    /**
+     * Load a replay from a shared JSON file and play it
+     * @param {File} file - The replay file
+     */
+    importReplay(file) {
+        file.text()
+            .then(text => this.watchReplay(Replays.fromJSON(text)))
+            .catch(e => {
+                console.warn('Could not import replay', e);
+                document.querySelector('.marquee-text').textContent = 'INVALID REPLAY';
+                this.playSound('gameover');
+            });
+    },
+
+    /**
+     * Change the replay playback speed
+     * @param {number} index - Index into Replays.SPEEDS
+     */
+    setReplaySpeed(index) {
+        this.replaySpeedIndex = Math.max(0, Math.min(Replays.SPEEDS.length - 1, index));
+        const speed = Replays.SPEEDS[this.replaySpeedIndex];
+        
+        if (this.currentGameInstance) {
+            this.currentGameInstance.timeScale = speed;
+        }
+        document.getElementById('replaySpeed').textContent = `${speed}X`;
+    },
+
     /**
      * Pause the current game
      */
@@ -413,11 +1368,15 @@ const ArcadeController = {
         if (this.state !== GameState.PLAYING) return;
         
         this.state = GameState.PAUSED;
+        document.getElementById('pausePrompt').textContent =
+            `PRESS ${KeyBindings.describe([InputAction.PAUSE], this.currentGame)} TO RESUME`;
         document.getElementById('pauseOverlay').classList.remove('hidden');
         
         if (this.currentGameInstance) {
             this.currentGameInstance.pause();
         }
+        this.saveGame();
+        this.music.pause();
         
         this.playSound('pause');
     },
@@ -431,9 +1390,12 @@ const ArcadeController = {
         this.state = GameState.PLAYING;
         document.getElementById('pauseOverlay').classList.add('hidden');
         
+        // Keys let go while paused never reached the game
         if (this.currentGameInstance) {
+            this.releaseHeldInput();
             this.currentGameInstance.resume();
         }
+        this.music.resume();
         
         this.playSound('confirm');
     },
@@ -442,10 +1404,17 @@ const ArcadeController = {
      * End the current game and return to menu
      */
     endGame() {
+        // Leaving mid-run keeps it for CONTINUE
+        this.saveGame();
+        
         if (this.currentGameInstance) {
             this.currentGameInstance.stop();
         }
-        this.showMenu();
+        if (this.testing) {
+            this.showEditor();
+        } else {
+            this.showMenu();
+        }
     },
 
     /**
@@ -453,21 +1422,240 @@ const ArcadeController = {
      * @param {number} score - The final score
      */
     gameOver(score) {
+        this.emit(GameEvent.GAME_OVER, { score });
+        
+        // A finished demo holds its last frame briefly, then the next one starts
+        if (this.state === GameState.ATTRACT) {
+            clearTimeout(this.attractTimer);
+            this.attractTimer = setTimeout(() => this.startAttract(), 2000);
+            return;
+        }
+        
+        const wasReplay = this.state === GameState.REPLAY;
         this.state = GameState.GAME_OVER;
+        this.music.stop();
         
-        const highScore = this.getHighScore(this.currentGame);
-        const isNewHighScore = score > highScore;
+        // Unranked modes, like versus matches, and level tests don't compete for high scores
+        const mode = this.getCurrentMode();
+        const ranked = !this.testing && (!mode || mode.ranked);
+        const tableId = this.getTableId(this.currentGame, this.mode);
+        const highScore = this.getHighScore(tableId);
+        const isNewHighScore = !wasReplay && ranked && score > highScore;
+        const madeLeaderboard = !wasReplay && ranked && Leaderboard.qualifies(tableId, score);
+        
+        // A finished run can't be continued
+        if (!wasReplay && !this.testing) {
+            SaveStates.clear(this.currentGame);
+        }
         
-        if (isNewHighScore) {
-            this.setHighScore(this.currentGame, score);
+        // Keep the finished run so it can be watched or exported
+        if (this.recorder) {
+            this.lastReplay = this.recorder.finish(score, this.currentGameInstance.tick);
+            if (ranked) Replays.saveBest(this.lastReplay, tableId);
+            this.recorder = null;
         }
         
+        const won = this.currentGameInstance.won;
+        const title = document.querySelector('.game-over-title');
+        title.textContent = this.currentGameInstance.getResultTitle() || (wasReplay ? 'REPLAY OVER' : 'GAME OVER');
+        title.classList.toggle('victory', won);
+        document.querySelector('.high-score').classList.toggle('hidden', !ranked);
+        document.querySelector('.game-over-prompt').textContent =
+            this.testing ? 'ENTER RETRY • ESC EDITOR' : 'ENTER RESTART • ESC MENU';
+        document.querySelector('.game-over-options').classList.toggle('hidden', this.testing);
+        document.getElementById('replayBar').classList.add('hidden');
         document.getElementById('finalScore').textContent = score;
         document.getElementById('highScoreDisplay').textContent = Math.max(score, highScore);
+        document.getElementById('seedDisplay').textContent = SeededRandom.formatSeed(this.seed);
+        document.getElementById('rankDisplay').classList.add('hidden');
         document.getElementById('gameOverOverlay').classList.remove('hidden');
         
+        if (madeLeaderboard) {
+            this.startInitialsEntry(score, this.currentGameInstance.getStats());
+        } else {
+            this.showGameOverActions(true);
+        }
+        
         this.updateScoreDisplay(score);
-        this.playSound(isNewHighScore ? 'highscore' : 'gameover');
+        this.playSound(isNewHighScore || won ? 'highscore' : 'gameover');
+    },
+
+    /**
+     * Show or hide the game over prompts (hidden during initials entry)
+     * @param {boolean} visible - Whether the prompts are shown
+     */
+    showGameOverActions(visible) {
+        document.getElementById('gameOverActions').classList.toggle('hidden', !visible);
+        document.getElementById('initialsEntry').classList.toggle('hidden', visible);
+    },
+
+    /**
+     * Begin joystick initials entry for a leaderboard score
+     * @param {number} score - The final score
+     * @param {Object} stats - Per-game stats to store with the score
+     */
+    startInitialsEntry(score, stats) {
+        this.state = GameState.ENTER_INITIALS;
+        this.pendingEntry = {
+            score,
+            stats,
+            initials: Leaderboard.getLastInitials().split(''),
+            slot: 0
+        };
+        
+        this.showGameOverActions(false);
+        this.updateInitialsDisplay();
+    },
+
+    /**
+     * Redraw the initials slots
+     */
+    updateInitialsDisplay() {
+        const slots = document.querySelectorAll('.initial-slot');
+        slots.forEach((slot, index) => {
+            slot.textContent = this.pendingEntry.initials[index];
+            slot.classList.toggle('active', index === this.pendingEntry.slot);
+        });
+    },
+
+    /**
+     * Save the entered initials to the leaderboard
+     */
+    submitInitials() {
+        const entry = this.pendingEntry;
+        const initials = entry.initials.join('');
+        const tableId = this.getTableId(this.currentGame, this.mode);
+        const rank = Leaderboard.addEntry(tableId, initials, entry.score, entry.stats);
+        
+        Leaderboard.setLastInitials(initials);
+        this.pendingEntry = null;
+        this.state = GameState.GAME_OVER;
+        
+        const rankDisplay = document.getElementById('rankDisplay');
+        rankDisplay.textContent = `RANK #${rank + 1}`;
+        rankDisplay.classList.toggle('hidden', rank < 0);
+        
+        this.showGameOverActions(true);
+        this.updateScoreDisplay(entry.score);
+        this.playSound('confirm');
+    },
+
+    /**
+     * Show the leaderboard screen
+     * @param {number} index - Index of the game whose table to show
+     */
+    showLeaderboard(index) {
+        const tables = this.getTables();
+        if (tables.length === 0) return;
+        
+        this.state = GameState.LEADERBOARD;
+        this.leaderboardIndex = (index + tables.length) % tables.length;
+        
+        const table = tables[this.leaderboardIndex];
+        const entries = Leaderboard.getEntries(table.id);
+        const body = document.getElementById('leaderboardBody');
+        
+        document.getElementById('leaderboardGame').textContent = table.title;
+        body.innerHTML = '';
+        
+        for (let i = 0; i < Leaderboard.SIZE; i++) {
+            const entry = entries[i];
+            const row = document.createElement('tr');
+            const cells = entry
+                ? [`${i + 1}.`, entry.initials, entry.score, Leaderboard.formatStats(entry.stats), Leaderboard.formatDate(entry.date)]
+                : [`${i + 1}.`, '---', '-', '', ''];
+            
+            for (const value of cells) {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            }
+            body.appendChild(row);
+        }
+        
+        document.getElementById('menuOverlay').classList.add('hidden');
+        document.getElementById('leaderboardOverlay').classList.remove('hidden');
+        document.querySelector('.marquee-text').textContent = 'HALL OF FAME';
+    },
+
+    /**
+     * Show the achievements gallery
+     * @param {number} index - Index of the game whose achievements to show
+     */
+    showAchievements(index) {
+        if (this.games.length === 0) return;
+        
+        this.state = GameState.ACHIEVEMENTS;
+        this.achievementsIndex = (index + this.games.length) % this.games.length;
+        
+        const game = this.games[this.achievementsIndex];
+        const achievements = Achievements.getForGame(game.id);
+        const unlockedCount = achievements.filter(achievement => Achievements.getUnlockDate(achievement.key)).length;
+        const list = document.getElementById('achievementsList');
+        
+        document.getElementById('achievementsGame').textContent =
+            `${game.name} ${unlockedCount}/${achievements.length}`;
+        list.innerHTML = '';
+        
+        for (const achievement of achievements) {
+            const date = Achievements.getUnlockDate(achievement.key);
+            const item = document.createElement('li');
+            item.className = 'achievement';
+            item.classList.toggle('locked', !date);
+            
+            const name = document.createElement('span');
+            name.className = 'achievement-name';
+            name.textContent = `${date ? '🏆' : '🔒'} ${achievement.name}`;
+            
+            const description = document.createElement('span');
+            description.className = 'achievement-description';
+            description.textContent = date
+                ? `${achievement.description} • ${Leaderboard.formatDate(date)}`
+                : achievement.description;
+            
+            item.append(name, description);
+            list.appendChild(item);
+        }
+        
+        if (achievements.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'achievement locked';
+            item.textContent = 'NO ACHIEVEMENTS YET';
+            list.appendChild(item);
+        }
+        
+        document.getElementById('menuOverlay').classList.add('hidden');
+        document.getElementById('achievementsOverlay').classList.remove('hidden');
+        document.querySelector('.marquee-text').textContent = 'TROPHY ROOM';
+    },
+
+    /**
+     * Flash a message over the marquee; messages queue while one is showing
+     * @param {string} text - The message
+     */
+    showToast(text) {
+        this.toastQueue.push(text);
+        if (!this.toastTimer) {
+            this.nextToast();
+        }
+    },
+
+    /**
+     * Show the next queued toast, or hide the toast when none are left
+     */
+    nextToast() {
+        const toast = document.getElementById('marqueeToast');
+        const text = this.toastQueue.shift();
+        
+        if (text === undefined) {
+            this.toastTimer = null;
+            toast.classList.add('hidden');
+            return;
+        }
+        
+        toast.textContent = text;
+        toast.classList.remove('hidden');
+        this.toastTimer = setTimeout(() => this.nextToast(), 3000);
     },
 
     /**
@@ -476,34 +1664,26 @@ const ArcadeController = {
      */
     updateScoreDisplay(score) {
         document.getElementById('currentScore').textContent = score;
-        document.getElementById('currentHighScore').textContent = this.getHighScore(this.currentGame);
+        document.getElementById('currentHighScore').textContent =
+            this.getHighScore(this.getTableId(this.currentGame, this.mode));
     },
 
     /**
-     * Get high score for a game
-     * @param {string} gameId - The game identifier
+     * Get high score for a game or game mode
+     * @param {string} tableId - The leaderboard table id
      * @returns {number} The high score
      */
-    getHighScore(gameId) {
-        const scores = JSON.parse(localStorage.getItem('pixelPalaceScores') || '{}');
-        return scores[gameId] || 0;
-    },
-
-    /**
-     * Set high score for a game
-     * @param {string} gameId - The game identifier
-     * @param {number} score - The score to set
-     */
-    setHighScore(gameId, score) {
-        const scores = JSON.parse(localStorage.getItem('pixelPalaceScores') || '{}');
-        scores[gameId] = score;
-        localStorage.setItem('pixelPalaceScores', JSON.stringify(scores));
+    getHighScore(tableId) {
+        return Leaderboard.getTopScore(tableId);
     },
 
     /**
      * Load and display high scores
      */
     loadHighScores() {
+        // Reading the tables once migrates any legacy pixelPalaceScores data
+        Leaderboard.load();
+        
         // Initial display update
         document.getElementById('currentScore').textContent = '0';
         document.getElementById('currentHighScore').textContent = '0';
@@ -521,149 +1701,23 @@ const ArcadeController = {
         soundOn.classList.toggle('hidden', !this.soundEnabled);
         soundOff.classList.toggle('hidden', this.soundEnabled);
         
+        this.audio.setMuted(!this.soundEnabled);
         this.playSound('select');
     },
 
     /**
-     * Play a sound effect
-     * @param {string} type - The type of sound to play
+     * Play a sound effect, preferring the current game's sound pack
+     * @param {string} type - The name of the sound to play
      */
     playSound(type) {
-        if (!this.soundEnabled || !this.audioContext) return;
-        
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        const now = this.audioContext.currentTime;
-        
-        switch (type) {
-            case 'select':
-                oscillator.frequency.setValueAtTime(440, now);
-                gainNode.gain.setValueAtTime(0.1, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.1);
-                oscillator.start(now);
-                oscillator.stop(now + 0.1);
-                break;
-            case 'confirm':
-                oscillator.frequency.setValueAtTime(523.25, now);
-                oscillator.frequency.setValueAtTime(659.25, now + 0.1);
-                gainNode.gain.setValueAtTime(0.1, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.2);
-                oscillator.start(now);
-                oscillator.stop(now + 0.2);
-                break;
-            case 'start':
-                oscillator.frequency.setValueAtTime(261.63, now);
-                oscillator.frequency.setValueAtTime(329.63, now + 0.1);
-                oscillator.frequency.setValueAtTime(392, now + 0.2);
-                oscillator.frequency.setValueAtTime(523.25, now + 0.3);
-                gainNode.gain.setValueAtTime(0.1, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.4);
-                oscillator.start(now);
-                oscillator.stop(now + 0.4);
-                break;
-            case 'gameover':
-                oscillator.frequency.setValueAtTime(392, now);
-                oscillator.frequency.setValueAtTime(349.23, now + 0.15);
-                oscillator.frequency.setValueAtTime(329.63, now + 0.3);
-                oscillator.frequency.setValueAtTime(261.63, now + 0.45);
-                gainNode.gain.setValueAtTime(0.1, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.6);
-                oscillator.start(now);
-                oscillator.stop(now + 0.6);
-                break;
-            case 'highscore':
-                oscillator.type = 'square';
-                oscillator.frequency.setValueAtTime(523.25, now);
-                oscillator.frequency.setValueAtTime(659.25, now + 0.1);
-                oscillator.frequency.setValueAtTime(783.99, now + 0.2);
-                oscillator.frequency.setValueAtTime(1046.50, now + 0.3);
-                gainNode.gain.setValueAtTime(0.08, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.5);
-                oscillator.start(now);
-                oscillator.stop(now + 0.5);
-                break;
-            case 'pause':
-                oscillator.frequency.setValueAtTime(220, now);
-                gainNode.gain.setValueAtTime(0.1, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.15);
-                oscillator.start(now);
-                oscillator.stop(now + 0.15);
-                break;
-            case 'eat':
-            case 'collect':
-                oscillator.frequency.setValueAtTime(880, now);
-                oscillator.frequency.exponentialRampToValueAtTime(1760, now + 0.05);
-                gainNode.gain.setValueAtTime(0.08, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.1);
-                oscillator.start(now);
-                oscillator.stop(now + 0.1);
-                break;
-            case 'hit':
-            case 'destroy':
-                oscillator.type = 'square';
-                oscillator.frequency.setValueAtTime(150, now);
-                oscillator.frequency.exponentialRampToValueAtTime(50, now + 0.1);
-                gainNode.gain.setValueAtTime(0.1, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.1);
-                oscillator.start(now);
-                oscillator.stop(now + 0.1);
-                break;
-            case 'shoot':
-                oscillator.type = 'square';
-                oscillator.frequency.setValueAtTime(600, now);
-                oscillator.frequency.exponentialRampToValueAtTime(200, now + 0.1);
-                gainNode.gain.setValueAtTime(0.05, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.1);
-                oscillator.start(now);
-                oscillator.stop(now + 0.1);
-                break;
-            case 'bounce':
-                oscillator.frequency.setValueAtTime(440, now);
-                gainNode.gain.setValueAtTime(0.05, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.05);
-                oscillator.start(now);
-                oscillator.stop(now + 0.05);
-                break;
-            case 'line':
-                oscillator.type = 'square';
-                oscillator.frequency.setValueAtTime(523.25, now);
-                oscillator.frequency.setValueAtTime(659.25, now + 0.05);
-                oscillator.frequency.setValueAtTime(783.99, now + 0.1);
-                gainNode.gain.setValueAtTime(0.08, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.2);
-                oscillator.start(now);
-                oscillator.stop(now + 0.2);
-                break;
-            case 'drop':
-                oscillator.frequency.setValueAtTime(200, now);
-                oscillator.frequency.exponentialRampToValueAtTime(100, now + 0.05);
-                gainNode.gain.setValueAtTime(0.05, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.05);
-                oscillator.start(now);
-                oscillator.stop(now + 0.05);
-                break;
-            case 'move':
-                oscillator.frequency.setValueAtTime(150, now);
-                gainNode.gain.setValueAtTime(0.02, now);
-                gainNode.gain.exponentialDecayToValueAtTime(0.01, now + 0.03);
-                oscillator.start(now);
-                oscillator.stop(now + 0.03);
-                break;
-        }
+        // Demos play silently
+        if (!this.audio || this.state === GameState.ATTRACT) return;
+        
+        const game = this.getGame(this.currentGame);
+        this.audio.play(type, game ? game.sounds : {});
     }
 };
 
-// Polyfill for exponentialDecayToValueAtTime
-if (!AudioParam.prototype.exponentialDecayToValueAtTime) {
-    AudioParam.prototype.exponentialDecayToValueAtTime = function(value, endTime) {
-        this.exponentialRampToValueAtTime(Math.max(value, 0.0001), endTime);
-    };
-}
-
 // ========================================
 // BASE GAME CLASS
 // ========================================
@@ -680,31 +1734,76 @@ class BaseGame {
         this.controller = controller;
         this.canvas = controller.canvas;
         this.ctx = controller.ctx;
+        this.rng = controller.rng;
+        this.clock = controller.clock || FrameClock;
+        this.mode = controller.mode || null; // Mode id, for games that register modes
+        this.options = controller.options || null; // Gameplay settings, for games that register options
         this.score = 0;
+        this.won = false; // Set by games whose runs can end in victory
         this.isRunning = false;
         this.isPaused = false;
         this.animationId = null;
+        
+        // Fixed-step clock: update() always advances by exactly one timestep
+        this.timestep = 1000 / 60; // ms per simulation tick
+        this.maxFrameTime = 250; // Clamp long frames so a stall can't fast-forward the game
+        this.accumulator = 0;
+        this.lastTime = 0;
+        this.tick = 0;
+        this.timeScale = 1; // Playback speed multiplier
+        this.replay = null; // ReplayPlayer feeding input, if any
+        this.ai = null; // GameAI playing the game in attract mode, if any
     }
 
     /**
      * Start the game
+     * @param {Object} snapshot - Optional snapshot() output to continue from
      */
-    start() {
+    start(snapshot = null) {
         this.score = 0;
         this.isRunning = true;
         this.isPaused = false;
-        this.controller.updateScoreDisplay(0);
+        this.tick = 0;
         this.init();
+        if (snapshot) {
+            this.restore(snapshot);
+        }
+        this.controller.updateScoreDisplay(this.score);
+        this.resetClock();
         this.gameLoop();
     }
 
+    /**
+     * Capture everything needed to continue this run later
+     * @returns {Object} Plain JSON-safe data
+     */
+    snapshot() {
+        return {
+            score: this.score,
+            tick: this.tick,
+            rngState: this.rng.state,
+            state: this.serialize()
+        };
+    }
+
+    /**
+     * Continue a run from a snapshot, after init() has set up a fresh game
+     * @param {Object} snapshot - snapshot() output
+     */
+    restore(snapshot) {
+        this.score = snapshot.score;
+        this.tick = snapshot.tick;
+        this.rng.state = snapshot.rngState;
+        this.deserialize(snapshot.state);
+    }
+
     /**
      * Stop the game
      */
     stop() {
         this.isRunning = false;
         if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+            this.clock.cancelFrame(this.animationId);
             this.animationId = null;
         }
     }
@@ -721,20 +1820,61 @@ class BaseGame {
      */
     resume() {
         this.isPaused = false;
-        this.lastTime = performance.now();
+        this.resetClock();
         this.gameLoop();
     }
 
+    /**
+     * Restart the clock from now, discarding any time that passed while
+     * the game was paused or the tab was hidden
+     */
+    resetClock() {
+        this.lastTime = this.clock.now();
+        this.accumulator = 0;
+    }
+
     /**
      * Main game loop
      */
     gameLoop() {
         if (!this.isRunning || this.isPaused) return;
         
-        this.update();
+        const now = this.clock.now();
+        this.advance((now - this.lastTime) * this.timeScale);
+        this.lastTime = now;
+        
         this.render();
         
-        this.animationId = requestAnimationFrame(() => this.gameLoop());
+        this.animationId = this.clock.requestFrame(() => this.gameLoop());
+    }
+
+    /**
+     * Run as many fixed-step updates as the elapsed time allows
+     * @param {number} elapsed - Real time since the last frame in ms
+     */
+    advance(elapsed) {
+        this.accumulator += Math.min(Math.max(elapsed, 0), this.maxFrameTime * this.timeScale);
+        
+        while (this.accumulator >= this.timestep && this.isRunning && !this.isPaused) {
+            // Replayed input lands on the same tick it was recorded on
+            if (this.replay) {
+                this.replay.dispatch(this);
+                if (!this.isRunning) break;
+                
+                if (this.replay.isExhausted(this)) {
+                    this.triggerGameOver();
+                    break;
+                }
+            }
+            
+            if (this.ai) {
+                this.ai.think();
+            }
+            
+            this.update(this.timestep);
+            this.tick++;
+            this.accumulator -= this.timestep;
+        }
     }
 
     /**
@@ -762,14 +1902,87 @@ class BaseGame {
         this.controller.playSound(type);
     }
 
+    /**
+     * Tell the arcade something happened in the game
+     * @param {string} type - A GameEvent value
+     * @param {Object} data - Event data
+     */
+    emit(type, data = {}) {
+        this.controller.emit(type, data);
+    }
+
+    /**
+     * Extra stats stored with a leaderboard entry
+     * @returns {Object} Stat values keyed by name
+     */
+    getStats() {
+        return {};
+    }
+
+    /**
+     * Heading for the game over screen, e.g. the winner of a versus match
+     * @returns {string|null} The title, or null for the default
+     */
+    getResultTitle() {
+        return null;
+    }
+
+    /**
+     * How hard the game currently is, to speed up the music
+     * @returns {number} 0 (calm) to 1 (frantic)
+     */
+    getMusicIntensity() {
+        return 0;
+    }
+
+    /**
+     * Game-specific state for a save
+     * @returns {Object} Plain JSON-safe data
+     */
+    serialize() {
+        return {};
+    }
+
+    /**
+     * Load game-specific state written by serialize()
+     * @param {Object} state - Saved state
+     */
+    deserialize(state) { }
+
     // Abstract methods to be implemented by subclasses
     init() { throw new Error('init() must be implemented'); }
-    update() { throw new Error('update() must be implemented'); }
+    update(dt) { throw new Error('update() must be implemented'); }
     render() { throw new Error('render() must be implemented'); }
-    handleKeyDown(e) { }
+    handleKeyDown(e) { } // e: { action, player, repeat }
     handleKeyUp(e) { }
 }
 
+// ========================================
+// ARCADE SETTINGS
+// ========================================
+
+SettingsScreen.registerPage({
+    id: 'arcade',
+    title: 'ARCADE',
+    rows: () => {
+        const delays = ArcadeController.attractDelays;
+        const step = (direction) => {
+            const index = delays.indexOf(Settings.get('attractDelay', 30));
+            Settings.set('attractDelay', delays[(index + direction + delays.length) % delays.length]);
+        };
+        
+        return [{
+            label: 'ATTRACT MODE',
+            value: () => {
+                const delay = Settings.get('attractDelay', 30);
+                return delay > 0 ? `${delay}S IDLE` : 'OFF';
+            },
+            left: () => step(-1),
+            right: () => step(1)
+        }];
+    }
+});
+
 // ========================================
 // INITIALIZE ON DOM LOAD
 // ========================================
@@ -0,0 +1,282 @@
+/**
+ * PIXEL PALACE - Music
+ * Step sequencer that loops chiptune tracks on the music bus
+ */
+
+// ========================================
+// TRACK FORMAT
+// ========================================
+
+/*
+ * A track is plain JSON:
+ *   bpm          - Beats per minute at zero intensity
+ *   stepsPerBeat - Pattern steps in one beat (default 2)
+ *   speedup      - Extra tempo at full intensity, as a fraction of bpm (default 0.5)
+ *   channels     - Voices that loop together, each with:
+ *     wave    - 'square', 'triangle', 'sawtooth', 'sine' or 'noise'
+ *     volume  - Gain of a note
+ *     pattern - Whitespace-separated steps; a channel shorter than the
+ *               longest one loops on its own
+ *
+ * Pattern steps:
+ *   C4 F#3 Bb5 - Start a note (noise channels take x instead)
+ *   x X        - Noise hit, X accented
+ *   -          - Hold the previous note for another step
+ *   .          - Rest
+ *   |          - Bar line, ignored
+ */
+const MENU_TRACK = {
+    bpm: 100,
+    channels: [
+        {
+            wave: 'square',
+            volume: 0.03,
+            pattern: 'E5 - G5 - A5 - G5 E5 | D5 - - - C5 - D5 - | E5 - G5 - C6 - B5 G5 | A5 - - - - - . .'
+        },
+        {
+            wave: 'triangle',
+            volume: 0.08,
+            pattern: 'C3 - G3 - C3 - G3 - | G2 - D3 - G2 - D3 - | A2 - E3 - A2 - E3 - | F2 - C3 - G2 - D3 -'
+        },
+        { wave: 'noise', volume: 0.02, pattern: 'x . . . x . . .' }
+    ]
+};
+
+// ========================================
+// MUSIC PLAYER
+// ========================================
+
+class MusicPlayer {
+    /**
+     * Create a music player
+     * @param {SoundEngine} audio - The sound engine whose music bus to play on
+     */
+    constructor(audio) {
+        this.audio = audio;
+        this.track = null;
+        this.channels = [];
+        this.getIntensity = () => 0;
+        this.output = null;
+        this.noise = null;
+        this.timer = null;
+        this.paused = false;
+        this.step = 0;
+        this.nextTime = 0; // Audio time of the next unscheduled step
+    }
+
+    /**
+     * Start looping a track; the track already playing carries on
+     * @param {Object|null} track - The track, or null for silence
+     * @param {Function} getIntensity - Returns 0..1, how fast the track should run
+     */
+    play(track, getIntensity = () => 0) {
+        this.getIntensity = getIntensity;
+        if (track === this.track) {
+            this.resume();
+            return;
+        }
+        
+        this.stop();
+        const context = this.audio.context;
+        if (!track || !context) return;
+        
+        this.track = track;
+        this.channels = track.channels.map(channel => MusicPlayer.compile(channel));
+        this.output = context.createGain();
+        this.output.connect(this.audio.buses.duck);
+        
+        this.step = 0;
+        this.nextTime = context.currentTime + 0.05;
+        this.timer = setInterval(() => this.schedule(), MusicPlayer.INTERVAL);
+    }
+
+    /**
+     * Stop the track
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.paused = false;
+        this.track = null;
+        
+        if (this.output) {
+            this.silence();
+            this.output.disconnect();
+            this.output = null;
+        }
+    }
+
+    /**
+     * Hold the track where it is
+     */
+    pause() {
+        if (!this.track || this.paused) return;
+        
+        this.paused = true;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.silence();
+    }
+
+    /**
+     * Carry on from where pause() stopped
+     */
+    resume() {
+        if (!this.track || !this.paused) return;
+        
+        const now = this.audio.context.currentTime;
+        this.paused = false;
+        this.output.gain.setValueAtTime(1, now);
+        this.nextTime = now + 0.05;
+        this.timer = setInterval(() => this.schedule(), MusicPlayer.INTERVAL);
+    }
+
+    /**
+     * Cut off notes that are already scheduled
+     */
+    silence() {
+        const now = this.audio.context.currentTime;
+        this.output.gain.cancelScheduledValues(now);
+        this.output.gain.setValueAtTime(0, now);
+    }
+
+    /**
+     * Seconds per step at the current intensity
+     * @returns {number} Step length
+     */
+    getStepTime() {
+        const { bpm, stepsPerBeat = 2, speedup = 0.5 } = this.track;
+        const intensity = Math.max(0, Math.min(1, this.getIntensity() || 0));
+        return 60 / (bpm * (1 + speedup * intensity)) / stepsPerBeat;
+    }
+
+    /**
+     * Schedule the steps that fall within the lookahead window
+     */
+    schedule() {
+        const now = this.audio.context.currentTime;
+        
+        // Timers are throttled in background tabs; skip what was missed rather than bursting
+        if (this.nextTime < now) {
+            this.nextTime = now;
+        }
+        
+        while (this.nextTime < now + MusicPlayer.LOOKAHEAD) {
+            const stepTime = this.getStepTime();
+            
+            this.channels.forEach((channel, index) => {
+                const note = channel.steps[this.step % channel.steps.length];
+                if (note) {
+                    this.playNote(this.track.channels[index], note, this.nextTime, note.length * stepTime);
+                }
+            });
+            
+            this.nextTime += stepTime;
+            this.step++;
+        }
+    }
+
+    /**
+     * Schedule one note
+     * @param {Object} channel - The channel definition
+     * @param {Object} note - A compiled note
+     * @param {number} time - Audio time the note starts
+     * @param {number} duration - Seconds the note lasts
+     */
+    playNote(channel, note, time, duration) {
+        const context = this.audio.context;
+        const volume = channel.volume * (note.accent ? 1.6 : 1);
+        const gainNode = context.createGain();
+        gainNode.connect(this.output);
+        
+        let source;
+        if (channel.wave === 'noise') {
+            // Drum hits are short bursts whatever the step length
+            duration = Math.min(duration, 0.06);
+            source = context.createBufferSource();
+            source.buffer = this.getNoiseBuffer();
+            gainNode.gain.setValueAtTime(volume, time);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        } else {
+            // Short release so held notes don't click against the next one
+            source = context.createOscillator();
+            source.type = channel.wave;
+            source.frequency.setValueAtTime(note.frequency, time);
+            gainNode.gain.setValueAtTime(volume, time);
+            gainNode.gain.setValueAtTime(volume, time + duration * 0.8);
+            gainNode.gain.linearRampToValueAtTime(0, time + duration);
+        }
+        
+        source.connect(gainNode);
+        source.onended = () => gainNode.disconnect();
+        source.start(time);
+        source.stop(time + duration);
+    }
+
+    /**
+     * One second of white noise, shared by every noise note
+     * @returns {AudioBuffer} The noise
+     */
+    getNoiseBuffer() {
+        if (!this.noise) {
+            const context = this.audio.context;
+            this.noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+            const data = this.noise.getChannelData(0);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        return this.noise;
+    }
+
+    /**
+     * Turn a channel's pattern into a step list
+     * @param {Object} channel - The channel definition
+     * @returns {Object} { steps } where each step is a note ({ frequency, accent, length }) or null
+     */
+    static compile(channel) {
+        const tokens = channel.pattern.split(/\s+/).filter(token => token && token !== '|');
+        const steps = [];
+        let last = null;
+        
+        for (const token of tokens) {
+            if (token === '-') {
+                if (last) last.length++;
+                steps.push(null);
+                continue;
+            }
+            
+            last = token === '.' ? null : MusicPlayer.parseNote(token);
+            steps.push(last);
+        }
+        
+        return { steps: steps.length ? steps : [null] };
+    }
+
+    /**
+     * Parse one pattern step
+     * @param {string} token - e.g. "C#4", "Bb2", "x" or "X"
+     * @returns {Object|null} { frequency, accent, length }, or null if unreadable
+     */
+    static parseNote(token) {
+        if (token === 'x' || token === 'X') {
+            return { frequency: 0, accent: token === 'X', length: 1 };
+        }
+        
+        const match = /^([A-G])(#|b)?(-?\d)$/.exec(token);
+        if (!match) {
+            console.warn(`Unreadable music step "${token}"`);
+            return null;
+        }
+        
+        const [, name, accidental, octave] = match;
+        const semitone = MusicPlayer.SEMITONES[name] + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0);
+        const midi = (Number(octave) + 1) * 12 + semitone;
+        
+        return { frequency: 440 * Math.pow(2, (midi - 69) / 12), accent: false, length: 1 };
+    }
+}
+
+MusicPlayer.SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+MusicPlayer.INTERVAL = 25; // Milliseconds between scheduling passes
+MusicPlayer.LOOKAHEAD = 0.1; // Seconds of music scheduled ahead of the clock
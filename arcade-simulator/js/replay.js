@@ -0,0 +1,228 @@
+/**
+ * PIXEL PALACE - Replay System
+ * Records game input against simulation ticks and plays it back
+ * through the same BaseGame pipeline
+ */
+
+const REPLAY_VERSION = 1;
+
+// ========================================
+// RECORDER
+// ========================================
+
+class ReplayRecorder {
+    /**
+     * Start recording a run
+     * @param {string} gameId - The game identifier
+     * @param {number} seed - The RNG seed of the run
+     * @param {Array} events - Events already recorded, when continuing a saved run
+     * @param {string|null} mode - The mode the run is played in
+     * @param {Object|null} options - The gameplay settings the run is played with
+     */
+    constructor(gameId, seed, events = [], mode = null, options = null) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            game: gameId,
+            mode,
+            options,
+            seed,
+            date: new Date().toISOString(),
+            score: 0,
+            ticks: 0,
+            events: [...events]
+        };
+    }
+
+    /**
+     * Record an input event
+     * @param {number} tick - Simulation ticks completed when the input arrived
+     * @param {string} type - 'down' or 'up'
+     * @param {string} action - The action
+     * @param {number} player - Player index
+     */
+    record(tick, type, action, player) {
+        this.replay.events.push({ t: tick, type, action, player });
+    }
+
+    /**
+     * Close the recording
+     * @param {number} score - Final score
+     * @param {number} ticks - Total ticks simulated
+     * @returns {Object} The finished replay
+     */
+    finish(score, ticks) {
+        this.replay.score = score;
+        this.replay.ticks = ticks;
+        return this.replay;
+    }
+}
+
+// ========================================
+// PLAYER
+// ========================================
+
+class ReplayPlayer {
+    /**
+     * Create a player for a recorded run
+     * @param {Object} replay - A validated replay
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.index = 0;
+    }
+
+    /**
+     * Feed the game every event recorded before its next tick
+     * @param {BaseGame} game - The game being replayed
+     */
+    dispatch(game) {
+        const events = this.replay.events;
+        
+        while (this.index < events.length && events[this.index].t <= game.tick) {
+            const { type, action, player } = events[this.index++];
+            const event = { action, player, repeat: false };
+            
+            if (type === 'down') {
+                game.handleKeyDown(event);
+            } else {
+                game.handleKeyUp(event);
+            }
+            
+            if (!game.isRunning) return;
+        }
+    }
+
+    /**
+     * Whether the recording has run out without the game ending
+     * (a desynced or truncated replay)
+     * @param {BaseGame} game - The game being replayed
+     * @returns {boolean} True if playback should stop
+     */
+    isExhausted(game) {
+        return this.index >= this.replay.events.length && game.tick >= this.replay.ticks;
+    }
+}
+
+// ========================================
+// STORAGE & EXPORT
+// ========================================
+
+const Replays = {
+    STORAGE_KEY: 'pixelPalaceReplays',
+    SPEEDS: [0.5, 1, 2, 4],
+
+    /**
+     * Check that data is a replay this version can play
+     * @param {Object} data - Parsed replay data
+     * @returns {Object} The replay
+     */
+    validate(data) {
+        if (!data || data.version !== REPLAY_VERSION) {
+            throw new Error('Unsupported replay version');
+        }
+        if (typeof data.game !== 'string' || !Number.isInteger(data.seed) ||
+            !Number.isInteger(data.ticks) || !Array.isArray(data.events)) {
+            throw new Error('Malformed replay');
+        }
+        if (data.mode !== undefined && data.mode !== null && typeof data.mode !== 'string') {
+            throw new Error('Malformed replay mode');
+        }
+        if (data.options !== undefined && data.options !== null &&
+            (typeof data.options !== 'object' || Array.isArray(data.options))) {
+            throw new Error('Malformed replay options');
+        }
+        
+        const validEvents = data.events.every(event =>
+            event && Number.isInteger(event.t) && event.t >= 0 &&
+            (event.type === 'down' || event.type === 'up') &&
+            typeof event.action === 'string' && Number.isInteger(event.player)
+        );
+        if (!validEvents) {
+            throw new Error('Malformed replay events');
+        }
+        
+        return data;
+    },
+
+    /**
+     * Serialize a replay for sharing
+     * @param {Object} replay - The replay
+     * @returns {string} JSON text
+     */
+    toJSON(replay) {
+        return JSON.stringify(replay);
+    },
+
+    /**
+     * Parse a shared replay
+     * @param {string} text - JSON text
+     * @returns {Object} The validated replay
+     */
+    fromJSON(text) {
+        return this.validate(JSON.parse(text));
+    },
+
+    /**
+     * Keep a replay if it is the best run stored for its game or game mode
+     * @param {Object} replay - The finished replay
+     * @param {string} key - Leaderboard table id the run counts towards
+     */
+    saveBest(replay, key = replay.game) {
+        const best = this.loadAll();
+        const current = best[key];
+        
+        if (current && current.score >= replay.score) return;
+        
+        best[key] = replay;
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(best));
+        } catch (e) {
+            console.warn('Could not save replay', e);
+        }
+    },
+
+    /**
+     * Get the best stored run for a game or game mode
+     * @param {string} key - Leaderboard table id
+     * @returns {Object|null} The replay
+     */
+    loadBest(key) {
+        const replay = this.loadAll()[key];
+        if (!replay) return null;
+        
+        try {
+            return this.validate(replay);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Read all stored replays
+     * @returns {Object} Replays keyed by leaderboard table id
+     */
+    loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    /**
+     * Download a replay as a JSON file
+     * @param {Object} replay - The replay
+     */
+    download(replay) {
+        const blob = new Blob([this.toJSON(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = `pixel-palace-${replay.game}-${replay.score}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+};
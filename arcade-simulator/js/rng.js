@@ -0,0 +1,117 @@
+/**
+ * PIXEL PALACE - Seeded Random Number Generator
+ * Deterministic PRNG so any run can be reproduced from its seed
+ */
+
+class SeededRandom {
+    /**
+     * Create a new generator
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) (mulberry32)
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in [0, n)
+     * @param {number} n - Exclusive upper bound
+     * @returns {number} Random integer
+     */
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    /**
+     * Random float in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random float
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Return true with the given probability
+     * @param {number} probability - Chance between 0 and 1
+     * @returns {boolean} Outcome
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Source array
+     * @returns {*} Random element
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - The array
+     * @returns {Array} The same array
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Generate a fresh seed for an unseeded run
+     * @returns {number} 32-bit unsigned seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Format a seed for display
+     * @param {number} seed - 32-bit unsigned seed
+     * @returns {string} 8-digit hex string
+     */
+    static formatSeed(seed) {
+        return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+    }
+
+    /**
+     * Parse a seed typed by the player. Hex strings are used as-is,
+     * anything else is hashed so words work as seeds too.
+     * @param {string} text - Seed text
+     * @returns {number|null} 32-bit unsigned seed, or null for an empty string
+     */
+    static parseSeed(text) {
+        const value = String(text).trim();
+        if (!value) return null;
+        
+        if (/^[0-9a-f]{1,8}$/i.test(value)) {
+            return parseInt(value, 16) >>> 0;
+        }
+        
+        // FNV-1a hash
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * PIXEL PALACE - Save States
+ * One suspended run per game, persisted in localStorage
+ */
+
+const SAVE_VERSION = 1;
+
+const SaveStates = {
+    STORAGE_KEY: 'pixelPalaceSaves',
+
+    /**
+     * Read all saves
+     * @returns {Object} Saves keyed by game id
+     */
+    loadAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        } catch (e) {
+            console.warn('Could not read saved games', e);
+            return {};
+        }
+    },
+
+    /**
+     * Write all saves
+     * @param {Object} saves - Saves keyed by game id
+     */
+    saveAll(saves) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saves));
+        } catch (e) {
+            console.warn('Could not save game', e);
+        }
+    },
+
+    /**
+     * Store the suspended run of a game, replacing any earlier one
+     * @param {Object} save - The save
+     * @param {string} save.game - The game identifier
+     * @param {string|null} save.mode - The mode the run is played in
+     * @param {Object|null} save.options - The gameplay settings the run is played with
+     * @param {number} save.seed - The RNG seed of the run
+     * @param {Object} save.snapshot - BaseGame.snapshot() output
+     * @param {Array} save.events - Replay events recorded so far
+     */
+    save(save) {
+        const saves = this.loadAll();
+        saves[save.game] = { version: SAVE_VERSION, date: new Date().toISOString(), ...save };
+        this.saveAll(saves);
+    },
+
+    /**
+     * Get the suspended run of a game
+     * @param {string} gameId - The game identifier
+     * @returns {Object|null} The save, or null if there is none or it is unusable
+     */
+    load(gameId) {
+        const save = this.loadAll()[gameId];
+        if (!save) return null;
+        
+        if (save.version !== SAVE_VERSION || !Number.isInteger(save.seed) ||
+            !save.snapshot || !Array.isArray(save.events)) {
+            console.warn(`Discarding unreadable save for "${gameId}"`);
+            this.clear(gameId);
+            return null;
+        }
+        return save;
+    },
+
+    /**
+     * Check whether a game has a suspended run
+     * @param {string} gameId - The game identifier
+     * @returns {boolean} True if a save exists
+     */
+    has(gameId) {
+        return gameId in this.loadAll();
+    },
+
+    /**
+     * Delete the suspended run of a game
+     * @param {string} gameId - The game identifier
+     */
+    clear(gameId) {
+        const saves = this.loadAll();
+        if (gameId in saves) {
+            delete saves[gameId];
+            this.saveAll(saves);
+        }
+    }
+};
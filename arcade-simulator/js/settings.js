@@ -0,0 +1,236 @@
+/**
+ * PIXEL PALACE - Settings
+ * Persistent player settings and the settings overlay
+ */
+
+// ========================================
+// SETTINGS STORE
+// ========================================
+
+const Settings = {
+    STORAGE_KEY: 'pixelPalaceSettings',
+    values: null,
+
+    /**
+     * Read a setting
+     * @param {string} key - Setting name
+     * @param {*} fallback - Value returned when the setting is unset
+     * @returns {*} The stored value
+     */
+    get(key, fallback) {
+        const values = this.load();
+        return key in values ? values[key] : fallback;
+    },
+
+    /**
+     * Store a setting
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     */
+    set(key, value) {
+        this.load()[key] = value;
+        this.save();
+    },
+
+    /**
+     * Load settings from localStorage once
+     * @returns {Object} All settings
+     */
+    load() {
+        if (!this.values) {
+            try {
+                this.values = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            } catch (e) {
+                console.warn('Could not read settings', e);
+                this.values = {};
+            }
+        }
+        return this.values;
+    },
+
+    /**
+     * Write settings to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Could not save settings', e);
+        }
+    }
+};
+
+// ========================================
+// SETTINGS OVERLAY
+// ========================================
+
+const SettingsScreen = {
+    pages: [],
+    pageIndex: 0,
+    rowIndex: 0,
+    capture: null, // Callback waiting for a raw key code while rebinding
+
+    /**
+     * Add a page to the settings overlay
+     * @param {Object} page - Page definition
+     * @param {string} page.id - Unique page identifier
+     * @param {string} page.title - Page title
+     * @param {Function} page.rows - Returns the page's rows; each row has a label and
+     *     optional value(), left(), right(), activate(), clear() and warning()
+     */
+    registerPage(page) {
+        if (this.pages.some(existing => existing.id === page.id)) {
+            throw new Error(`Settings page "${page.id}" is already registered`);
+        }
+        this.pages.push(page);
+    },
+
+    /**
+     * Show the overlay
+     */
+    open() {
+        this.rowIndex = 0;
+        this.capture = null;
+        document.getElementById('settingsOverlay').classList.remove('hidden');
+        this.render();
+    },
+
+    /**
+     * Hide the overlay
+     */
+    close() {
+        this.capture = null;
+        document.getElementById('settingsOverlay').classList.add('hidden');
+    },
+
+    /**
+     * Rows of the current page, led by the page selector
+     * @returns {Array} Row definitions
+     */
+    getRows() {
+        const page = this.pages[this.pageIndex];
+        const pageRow = {
+            label: 'PAGE',
+            value: () => page.title,
+            left: () => this.changePage(-1),
+            right: () => this.changePage(1)
+        };
+        return [pageRow, ...page.rows()];
+    },
+
+    /**
+     * Switch to another page
+     * @param {number} step - Pages to move by
+     */
+    changePage(step) {
+        this.pageIndex = (this.pageIndex + step + this.pages.length) % this.pages.length;
+    },
+
+    /**
+     * Handle a logical action
+     * @param {string} action - An InputAction value
+     * @returns {boolean} False when the overlay should close
+     */
+    handleAction(action) {
+        const rows = this.getRows();
+        const row = rows[this.rowIndex];
+        
+        switch (action) {
+            case InputAction.UP:
+                this.rowIndex = (this.rowIndex - 1 + rows.length) % rows.length;
+                break;
+            case InputAction.DOWN:
+                this.rowIndex = (this.rowIndex + 1) % rows.length;
+                break;
+            case InputAction.LEFT:
+                if (row.left) row.left();
+                break;
+            case InputAction.RIGHT:
+                if (row.right) row.right();
+                break;
+            case InputAction.START:
+            case InputAction.FIRE:
+                if (row.activate) row.activate();
+                break;
+            case InputAction.BACK:
+                return false;
+        }
+        
+        this.render();
+        return true;
+    },
+
+    /**
+     * Handle a raw key while waiting for a rebind, or a clear key
+     * @param {string} code - The key code
+     * @returns {boolean} True if the key was consumed
+     */
+    handleRawKey(code) {
+        if (this.capture) {
+            const capture = this.capture;
+            this.capture = null;
+            
+            // Escape cancels a rebind rather than binding to it
+            if (code !== 'Escape') {
+                capture(code);
+            }
+            this.render();
+            return true;
+        }
+        
+        if (code === 'Backspace' || code === 'Delete') {
+            const row = this.getRows()[this.rowIndex];
+            if (row.clear) row.clear();
+            this.render();
+            return true;
+        }
+        
+        return false;
+    },
+
+    /**
+     * Wait for the next key press and hand it to a callback
+     * @param {Function} callback - Receives the key code
+     */
+    captureKey(callback) {
+        this.capture = callback;
+    },
+
+    /**
+     * Redraw the overlay
+     */
+    render() {
+        const list = document.getElementById('settingsList');
+        const rows = this.getRows();
+        this.rowIndex = Math.min(this.rowIndex, rows.length - 1);
+        
+        list.innerHTML = '';
+        rows.forEach((row, index) => {
+            const item = document.createElement('li');
+            const selected = index === this.rowIndex;
+            item.className = 'settings-row';
+            item.classList.toggle('selected', selected);
+            item.classList.toggle('conflict', !!(row.warning && row.warning()));
+            
+            const label = document.createElement('span');
+            label.className = 'settings-label';
+            label.textContent = row.label;
+            
+            const value = document.createElement('span');
+            value.className = 'settings-value';
+            if (selected && this.capture) {
+                value.textContent = 'PRESS A KEY';
+            } else {
+                const text = row.value ? row.value() : '';
+                value.textContent = row.left || row.right ? `◀ ${text} ▶` : text;
+            }
+            
+            item.append(label, value);
+            list.appendChild(item);
+        });
+        
+        document.getElementById('settingsHelp').textContent = this.capture
+            ? 'ESC CANCEL'
+            : '↑↓ SELECT • ←→ CHANGE • ENTER SET • DEL CLEAR • ESC BACK';
+    }
+};
@@ -12,21 +12,53 @@ class SnakeGame extends BaseGame {
         super(controller);
         this.gridSize = 20;
         this.tileCount = { x: 20, y: 25 };
-        this.snake = [];
-        this.direction = { x: 1, y: 0 };
-        this.nextDirection = { x: 1, y: 0 };
+        this.snakes = []; // One per player: { body, direction, turns, growPending, alive, ghostTimer, score }
+        this.maxQueuedTurns = 3; // Turns a snake holds for its next moves
         this.food = { x: 0, y: 0 };
-        this.lastMoveTime = 0;
-        this.moveInterval = 120; // ms between moves
-        this.growPending = 0;
+        this.moveTimer = 0;
+        this.startInterval = 120; // ms between moves at the start of a game or round
+        this.moveInterval = this.startInterval;
+        this.obstacles = []; // Wall tiles from the maze or survival mode, as { x, y }
+        this.occupancy = []; // Segments, walls and portals on each cell, kept up to date for food placement
+        this.freeCells = []; // Binary indexed tree counting the cells with nothing on them, in board order
+        
+        // Custom level from the editor, and the parts of it the rules use
+        this.level = null;
+        this.spawns = []; // Starting points as { x, y, direction }, one picked each round
+        this.foodZones = []; // Cells food is kept to while there's room in them
+        this.portals = []; // Linked cell pairs as [{ x, y }, { x, y }]
+        
+        // Mode rules
+        this.wrap = this.mode === 'wrap'; // Leaving one edge enters the opposite one
+        this.timeLeft = this.mode === 'time-attack' ? 120000 : null; // ms of time attack left
+        this.obstacleInterval = 5000; // ms between survival blocks
+        this.obstacleTimer = 0;
+        
+        // Power-ups: at most one special item on the board at a time
+        this.item = null; // { type, x, y, timeLeft } with type a SnakeGame.ITEMS key
+        this.itemChance = 0.3; // Chance an item appears when food is eaten
+        this.slowTimer = 0; // ms of slow-motion left
+        this.slowdown = 60; // ms added to moveInterval during slow-motion
+        
+        // Versus: best of five rounds, decided by who crashes first
+        this.versus = this.mode === 'versus';
+        this.roundsToWin = 3;
+        this.wins = [0, 0];
+        this.roundWinner = -1; // Player who took the last round, -1 for a draw
+        this.roundTimer = 0; // ms left on the round result banner
+        this.roundPause = 1500;
         
         // Colors
         this.colors = {
-            snake: '#00ff41',
-            snakeHead: '#00ff88',
-            snakeBorder: '#00aa2a',
+            players: [
+                { head: '#00ff88', body: '#00ff41', border: '#00aa2a', fade: ['0, 255, 65', '0, 200, 50'] },
+                { head: '#ffcc33', body: '#ffaa00', border: '#aa7000', fade: ['255, 170, 0', '200, 130, 0'] }
+            ],
+            obstacle: '#1a3a5a',
+            obstacleBorder: '#00ffff',
             food: '#ff1493',
             foodGlow: 'rgba(255, 20, 147, 0.5)',
+            foodZone: 'rgba(255, 20, 147, 0.12)',
             grid: 'rgba(0, 255, 255, 0.05)',
             background: '#0a0a0a'
         };
@@ -40,131 +72,661 @@ class SnakeGame extends BaseGame {
         this.tileCount.x = Math.floor(this.canvas.width / this.gridSize);
         this.tileCount.y = Math.floor(this.canvas.height / this.gridSize);
         
-        // Initialize snake in the middle
-        const startX = Math.floor(this.tileCount.x / 2);
-        const startY = Math.floor(this.tileCount.y / 2);
+        const count = this.versus ? 2 : 1;
+        this.snakes = Array.from({ length: count }, () => ({ score: 0 }));
+        this.wins = [0, 0];
         
-        this.snake = [
-            { x: startX, y: startY },
-            { x: startX - 1, y: startY },
-            { x: startX - 2, y: startY }
-        ];
+        if (this.mode === 'maze') {
+            const maze = this.rng.pick(SnakeGame.MAZES);
+            this.obstacles = maze.build(this.tileCount.x, this.tileCount.y);
+        }
+        
+        // Custom runs carry their level, so replays play it even once it's been edited
+        if (this.mode === 'custom' && this.options && this.options.level) {
+            try {
+                this.applyLevel(SnakeLevels.validate(this.options.level));
+            } catch (e) {
+                console.warn('Could not load the level of this run', e);
+            }
+        }
+        
+        this.startRound();
+    }
+
+    /**
+     * Put the snakes back at their starting positions with fresh food
+     */
+    startRound() {
+        const midY = Math.floor(this.tileCount.y / 2);
+        
+        if (this.versus) {
+            // Facing each other from opposite sides, on different rows
+            const left = Math.floor(this.tileCount.x / 4);
+            const right = this.tileCount.x - 1 - left;
+            this.placeSnake(this.snakes[0], left, Math.floor(this.tileCount.y / 3), { x: 1, y: 0 });
+            this.placeSnake(this.snakes[1], right, this.tileCount.y - 1 - Math.floor(this.tileCount.y / 3), { x: -1, y: 0 });
+        } else if (this.spawns.length > 0) {
+            const spawn = this.rng.pick(this.spawns);
+            this.placeSnake(this.snakes[0], spawn.x, spawn.y, SnakeGame.HEADINGS[spawn.direction]);
+        } else {
+            // Initialize snake in the middle
+            this.placeSnake(this.snakes[0], Math.floor(this.tileCount.x / 2), midY, { x: 1, y: 0 });
+        }
         
-        this.direction = { x: 1, y: 0 };
-        this.nextDirection = { x: 1, y: 0 };
-        this.growPending = 0;
-        this.lastMoveTime = performance.now();
+        this.moveTimer = 0;
+        this.moveInterval = this.startInterval;
+        this.roundTimer = 0;
+        this.item = null;
+        this.slowTimer = 0;
         
+        this.resetOccupancy();
         this.spawnFood();
     }
 
     /**
-     * Spawn food at a random location not occupied by the snake
+     * Lay out a three-segment snake, its tail trailing behind its heading
+     * @param {Object} snake - The snake to reset
+     * @param {number} x - Head column
+     * @param {number} y - Head row
+     * @param {Object} direction - Heading as { x, y }
+     */
+    placeSnake(snake, x, y, direction) {
+        snake.body = [
+            { x, y },
+            { x: x - direction.x, y: y - direction.y },
+            { x: x - direction.x * 2, y: y - direction.y * 2 }
+        ];
+        snake.direction = { ...direction };
+        snake.turns = []; // Queued headings, one applied per move
+        snake.growPending = 0;
+        snake.alive = true;
+        snake.ghostTimer = 0;
+        snake.previous = null; // Body before the last move, for drawing between moves
+    }
+
+    /**
+     * Lay out the board from a custom level
+     * @param {Object} level - A level in the SnakeLevels format
+     */
+    applyLevel(level) {
+        if (level.cols !== this.tileCount.x || level.rows !== this.tileCount.y) {
+            console.warn(`Level "${level.name}" doesn't fit a ${this.tileCount.x}x${this.tileCount.y} board`);
+            return;
+        }
+        
+        this.level = level;
+        this.obstacles = level.walls.map(cell => ({ ...cell }));
+        this.spawns = level.spawns.map(spawn => ({ ...spawn }));
+        this.foodZones = level.foodZones.map(cell => ({ ...cell }));
+        this.portals = level.portals.map(pair => pair.map(cell => ({ ...cell })));
+    }
+
+    /**
+     * Where a portal cell leads
+     * @param {Object} cell - Grid position
+     * @returns {Object|null} The other end of the portal, or null if the cell isn't one
+     */
+    portalExit(cell) {
+        for (const [a, b] of this.portals) {
+            if (a.x === cell.x && a.y === cell.y) return b;
+            if (b.x === cell.x && b.y === cell.y) return a;
+        }
+        return null;
+    }
+
+    /**
+     * Count the segments, walls and portals on every cell from scratch
+     */
+    resetOccupancy() {
+        const size = this.tileCount.x * this.tileCount.y;
+        this.occupancy = new Array(size).fill(0);
+        this.obstacles.forEach(tile => this.occupancy[tile.y * this.tileCount.x + tile.x]++);
+        this.portals.forEach(pair => pair.forEach(end => this.occupancy[end.y * this.tileCount.x + end.x]++));
+        this.snakes.forEach(snake => snake.body.forEach(segment => {
+            this.occupancy[segment.y * this.tileCount.x + segment.x]++;
+        }));
+        
+        // Each node covers the cells below it down to its lowest set bit
+        this.freeCells = [0, ...this.occupancy.map(count => count === 0 ? 1 : 0)];
+        for (let node = 1; node <= size; node++) {
+            const parent = node + (node & -node);
+            if (parent <= size) {
+                this.freeCells[parent] += this.freeCells[node];
+            }
+        }
+    }
+
+    /**
+     * Note a segment or wall arriving on a cell
+     * @param {Object} cell - Grid position
+     */
+    occupy(cell) {
+        const index = cell.y * this.tileCount.x + cell.x;
+        if (this.occupancy[index]++ === 0) {
+            this.countFree(index, -1);
+        }
+    }
+
+    /**
+     * Note a segment leaving a cell
+     * @param {Object} cell - Grid position
+     */
+    vacate(cell) {
+        const index = cell.y * this.tileCount.x + cell.x;
+        if (--this.occupancy[index] === 0) {
+            this.countFree(index, 1);
+        }
+    }
+
+    /**
+     * Add to the free cell count of a cell and every tree node covering it
+     * @param {number} index - Cell index in board order
+     * @param {number} delta - 1 if the cell emptied, -1 if it filled
+     */
+    countFree(index, delta) {
+        for (let node = index + 1; node < this.freeCells.length; node += node & -node) {
+            this.freeCells[node] += delta;
+        }
+    }
+
+    /**
+     * Number of cells with nothing on them
+     * @returns {number} The count
+     */
+    getFreeCount() {
+        let count = 0;
+        for (let node = this.freeCells.length - 1; node > 0; node -= node & -node) {
+            count += this.freeCells[node];
+        }
+        return count;
+    }
+
+    /**
+     * Find a free cell by its rank in board order
+     * @param {number} rank - How many free cells come before it
+     * @returns {Object} Grid position
+     */
+    findFreeCell(rank) {
+        let index = 0;
+        for (let step = 1 << Math.floor(Math.log2(this.freeCells.length)); step > 0; step >>= 1) {
+            const node = index + step;
+            if (node < this.freeCells.length && this.freeCells[node] <= rank) {
+                index = node;
+                rank -= this.freeCells[node];
+            }
+        }
+        return { x: index % this.tileCount.x, y: Math.floor(index / this.tileCount.x) };
+    }
+
+    /**
+     * Check whether any snake covers a cell
+     * @param {Object} cell - Grid position
+     * @param {Array} snakes - The snakes to check, all of them by default
+     * @returns {boolean} True if a segment is there
+     */
+    isOccupied(cell, snakes = this.snakes) {
+        return snakes.some(snake =>
+            snake.body.some(segment => segment.x === cell.x && segment.y === cell.y)
+        );
+    }
+
+    /**
+     * Check whether a wall tile covers a cell
+     * @param {Object} cell - Grid position
+     * @returns {boolean} True if there is an obstacle
+     */
+    isObstacle(cell) {
+        return this.obstacles.some(tile => tile.x === cell.x && tile.y === cell.y);
+    }
+
+    /**
+     * Check that nothing at all is on a cell, so something new can go there
+     * @param {Object} cell - Grid position
+     * @returns {boolean} True if no snake, wall, portal, food or item is there
+     */
+    isEmpty(cell) {
+        const onFood = cell.x === this.food.x && cell.y === this.food.y;
+        const onItem = this.item && cell.x === this.item.x && cell.y === this.item.y;
+        return !onFood && !onItem && this.occupancy[cell.y * this.tileCount.x + cell.x] === 0;
+    }
+
+    /**
+     * Pick a random empty cell; picking by rank in board order keeps the pick
+     * the same for a given seed however the occupancy was built
+     * @param {Function} accept - Optional extra test a cell must pass, which scans the board
+     * @returns {Object|null} The cell, or null if none is left
+     */
+    randomEmptyCell(accept = null) {
+        if (accept) {
+            const cells = [];
+            for (let y = 0; y < this.tileCount.y; y++) {
+                for (let x = 0; x < this.tileCount.x; x++) {
+                    const cell = { x, y };
+                    if (this.isEmpty(cell) && accept(cell)) {
+                        cells.push(cell);
+                    }
+                }
+            }
+            return cells.length > 0 ? this.rng.pick(cells) : null;
+        }
+        
+        // Food and the item aren't counted in the tree, so take them out for the pick
+        const taken = [this.food, this.item].filter(cell =>
+            cell && this.occupancy[cell.y * this.tileCount.x + cell.x] === 0
+        );
+        taken.forEach(cell => this.countFree(cell.y * this.tileCount.x + cell.x, -1));
+        
+        const count = this.getFreeCount();
+        const cell = count > 0 ? this.findFreeCell(this.rng.int(count)) : null;
+        
+        taken.forEach(cell => this.countFree(cell.y * this.tileCount.x + cell.x, 1));
+        return cell;
+    }
+
+    /**
+     * Spawn food at a random location not occupied by a snake, wall or item
+     * @returns {boolean} False if there is no room left for it
      */
     spawnFood() {
-        let validPosition = false;
-        let attempts = 0;
+        // Levels with food zones keep food to them until they fill up
+        const zone = this.foodZones
+            .filter(cell => this.isEmpty(cell))
+            .sort((a, b) => a.y - b.y || a.x - b.x);
+        const cell = zone.length > 0 ? this.rng.pick(zone) : this.randomEmptyCell();
+        if (!cell) return false;
         
-        while (!validPosition && attempts < 100) {
-            this.food = {
-                x: Math.floor(Math.random() * this.tileCount.x),
-                y: Math.floor(Math.random() * this.tileCount.y)
-            };
-            
-            // Check if position is not on the snake
-            validPosition = !this.snake.some(
-                segment => segment.x === this.food.x && segment.y === this.food.y
-            );
-            attempts++;
+        this.food = cell;
+        return true;
+    }
+
+    /**
+     * Put a random special item on a free cell
+     */
+    spawnItem() {
+        const type = this.rng.pick(Object.keys(SnakeGame.ITEMS));
+        const cell = this.randomEmptyCell();
+        
+        if (cell) {
+            this.item = { type, ...cell, timeLeft: SnakeGame.ITEMS[type].lifetime };
         }
     }
 
     /**
-     * Handle key down events
-     * @param {KeyboardEvent} e - The keyboard event
+     * Handle action presses
+     * @param {Object} e - The input event ({ action, player, repeat })
      */
     handleKeyDown(e) {
-        switch (e.code) {
-            case 'ArrowUp':
-                if (this.direction.y !== 1) {
-                    this.nextDirection = { x: 0, y: -1 };
-                }
-                break;
-            case 'ArrowDown':
-                if (this.direction.y !== -1) {
-                    this.nextDirection = { x: 0, y: 1 };
-                }
-                break;
-            case 'ArrowLeft':
-                if (this.direction.x !== 1) {
-                    this.nextDirection = { x: -1, y: 0 };
-                }
-                break;
-            case 'ArrowRight':
-                if (this.direction.x !== -1) {
-                    this.nextDirection = { x: 1, y: 0 };
-                }
-                break;
+        const snake = this.snakes[e.player];
+        const turn = SnakeGame.HEADINGS[e.action];
+        if (!snake || !turn) return;
+        
+        // Check against the last queued heading, so quick presses between
+        // moves chain into a U-turn instead of replacing each other
+        const last = snake.turns[snake.turns.length - 1] || snake.direction;
+        const reverses = turn.x === -last.x && turn.y === -last.y;
+        const repeats = turn.x === last.x && turn.y === last.y;
+        
+        if (!reverses && !repeats && snake.turns.length < this.maxQueuedTurns) {
+            snake.turns.push({ ...turn });
         }
     }
 
     /**
-     * Update game state
+     * Music speeds up as the snake grows, flat out at 40 segments
+     * @returns {number} 0 to 1
+     */
+    getMusicIntensity() {
+        const longest = Math.max(...this.snakes.map(snake => snake.body.length));
+        return Math.min(1, (longest - 3) / 37);
+    }
+
+    /**
+     * Name the match winner, or celebrate a filled board, on the game over screen
+     * @returns {string|null} The title, or null for a plain game over
+     */
+    getResultTitle() {
+        if (this.won) return 'BOARD FILLED!';
+        if (!this.versus) return null;
+        return this.wins[0] > this.wins[1] ? 'P1 WINS' : 'P2 WINS';
+    }
+
+    /**
+     * Game-specific state for a save
+     * @returns {Object} Snakes, food, walls, items, timers and match standing
+     */
+    serialize() {
+        return {
+            // Where the snakes were before the last move only matters for drawing
+            snakes: this.snakes.map(({ previous, ...snake }) => ({
+                ...snake,
+                body: snake.body.map(segment => ({ ...segment })),
+                direction: { ...snake.direction },
+                turns: snake.turns.map(turn => ({ ...turn }))
+            })),
+            food: { ...this.food },
+            moveTimer: this.moveTimer,
+            moveInterval: this.moveInterval,
+            obstacles: this.obstacles.map(tile => ({ ...tile })),
+            level: this.level,
+            item: this.item && { ...this.item },
+            slowTimer: this.slowTimer,
+            timeLeft: this.timeLeft,
+            obstacleTimer: this.obstacleTimer,
+            wins: [...this.wins],
+            roundWinner: this.roundWinner,
+            roundTimer: this.roundTimer
+        };
+    }
+
+    /**
+     * Load state written by serialize()
+     * @param {Object} state - Saved state
      */
-    update() {
-        const now = performance.now();
+    deserialize(state) {
+        // The level comes with the save, in case it has been edited since
+        if (state.level) {
+            this.applyLevel(state.level);
+        }
+        this.snakes = state.snakes;
+        this.food = state.food;
+        this.moveTimer = state.moveTimer;
+        this.moveInterval = state.moveInterval;
+        this.obstacles = state.obstacles;
+        this.item = state.item;
+        this.slowTimer = state.slowTimer;
+        this.timeLeft = state.timeLeft;
+        this.obstacleTimer = state.obstacleTimer;
+        this.wins = state.wins;
+        this.roundWinner = state.roundWinner;
+        this.roundTimer = state.roundTimer;
         
-        if (now - this.lastMoveTime < this.moveInterval) {
+        this.snakes.forEach(snake => {
+            snake.previous = null;
+        });
+        this.resetOccupancy();
+    }
+
+    /**
+     * Update game state
+     * @param {number} dt - Timestep in ms
+     */
+    update(dt) {
+        // Hold the board still while the round result shows
+        if (this.roundTimer > 0) {
+            this.roundTimer -= dt;
+            if (this.roundTimer <= 0) {
+                this.startRound();
+            }
             return;
         }
         
-        this.lastMoveTime = now;
+        // Time attack ends when the clock runs out
+        if (this.timeLeft !== null) {
+            this.timeLeft = Math.max(0, this.timeLeft - dt);
+            if (this.timeLeft === 0) {
+                this.triggerGameOver();
+                return;
+            }
+        }
+        
+        // Survival drops a new block every few seconds
+        if (this.mode === 'survival') {
+            this.obstacleTimer += dt;
+            if (this.obstacleTimer >= this.obstacleInterval) {
+                this.obstacleTimer -= this.obstacleInterval;
+                this.spawnObstacle();
+            }
+        }
         
-        // Apply queued direction change
-        this.direction = { ...this.nextDirection };
+        this.updateEffects(dt);
         
-        // Calculate new head position
-        const head = this.snake[0];
-        const newHead = {
-            x: head.x + this.direction.x,
-            y: head.y + this.direction.y
-        };
+        this.moveTimer += dt;
         
-        // Check wall collision
-        if (newHead.x < 0 || newHead.x >= this.tileCount.x ||
-            newHead.y < 0 || newHead.y >= this.tileCount.y) {
-            this.playSound('hit');
-            this.triggerGameOver();
+        if (this.moveTimer < this.moveInterval) {
             return;
         }
         
-        // Check self collision
-        if (this.snake.some(segment => segment.x === newHead.x && segment.y === newHead.y)) {
+        this.moveTimer -= this.moveInterval;
+        
+        // Apply the next queued turn and find where every head goes
+        const heads = this.snakes.map(snake => {
+            if (snake.turns.length > 0) {
+                snake.direction = snake.turns.shift();
+            }
+            const head = {
+                x: snake.body[0].x + snake.direction.x,
+                y: snake.body[0].y + snake.direction.y
+            };
+            
+            if (this.wrap) {
+                head.x = (head.x + this.tileCount.x) % this.tileCount.x;
+                head.y = (head.y + this.tileCount.y) % this.tileCount.y;
+            }
+            
+            // A portal puts the head out of its other end, still heading the same way
+            const exit = this.portalExit(head);
+            return exit ? { ...exit } : head;
+        });
+        
+        // Snakes move at once, so every crash is judged before any of them moves
+        const crashed = heads.map((head, index) => this.isCrash(head, heads, index));
+        if (crashed.some(Boolean)) {
             this.playSound('hit');
-            this.triggerGameOver();
+            if (this.versus) {
+                this.endRound(crashed);
+            } else {
+                this.triggerGameOver();
+            }
             return;
         }
         
-        // Move snake
-        this.snake.unshift(newHead);
+        this.snakes.forEach((snake, index) => this.moveSnake(snake, heads[index]));
+    }
+
+    /**
+     * Check whether a new head position kills its snake
+     * @param {Object} head - The new head position
+     * @param {Array} heads - Every snake's new head position
+     * @param {number} index - Which snake the head belongs to
+     * @returns {boolean} True on a wall, obstacle, body or head-to-head collision
+     */
+    isCrash(head, heads, index) {
+        // Check wall collision
+        if (head.x < 0 || head.x >= this.tileCount.x ||
+            head.y < 0 || head.y >= this.tileCount.y) {
+            return true;
+        }
+        
+        if (this.isObstacle(head)) {
+            return true;
+        }
+        
+        // Check body collision; tails haven't moved yet, so whole bodies count.
+        // A ghost passes through its own body, but not a rival's
+        const snake = this.snakes[index];
+        const solid = snake.ghostTimer > 0 ? this.snakes.filter(other => other !== snake) : this.snakes;
+        if (this.isOccupied(head, solid)) {
+            return true;
+        }
+        
+        // Heads meeting on the same cell take each other out
+        return heads.some((other, i) => i !== index && other.x === head.x && other.y === head.y);
+    }
+
+    /**
+     * Advance a snake onto its new head position, eating any food there
+     * @param {Object} snake - The snake
+     * @param {Object} newHead - The new head position
+     */
+    moveSnake(snake, newHead) {
+        snake.previous = snake.body.map(segment => ({ ...segment }));
+        snake.body.unshift(newHead);
+        this.occupy(newHead);
         
         // Check food collision
         if (newHead.x === this.food.x && newHead.y === this.food.y) {
-            this.addScore(10);
-            this.growPending += 1;
+            this.awardPoints(snake, 10);
+            snake.growPending += 1;
             this.playSound('eat');
-            this.spawnFood();
+            this.emit(GameEvent.FOOD_EATEN, { length: snake.body.length + snake.growPending - 1 });
+            
+            // Nowhere left to put the next one: the board is full
+            if (!this.spawnFood()) {
+                this.fillBoard();
+                return;
+            }
+            
+            if (!this.item && this.rng.chance(this.itemChance)) {
+                this.spawnItem();
+            }
             
             // Speed up slightly
             this.moveInterval = Math.max(50, this.moveInterval - 2);
         }
         
         // Remove tail unless growing
-        if (this.growPending > 0) {
-            this.growPending--;
+        if (snake.growPending > 0) {
+            snake.growPending--;
+        } else {
+            this.vacate(snake.body.pop());
+        }
+        
+        if (this.item && newHead.x === this.item.x && newHead.y === this.item.y) {
+            this.collectItem(snake);
+        }
+    }
+
+    /**
+     * Score for a snake: the run score, or the player's own in versus
+     * @param {Object} snake - The snake that scored
+     * @param {number} points - Points to add
+     */
+    awardPoints(snake, points) {
+        if (this.versus) {
+            snake.score += points;
         } else {
-            this.snake.pop();
+            this.addScore(points);
+        }
+    }
+
+    /**
+     * Apply the special item a snake just ran over
+     * @param {Object} snake - The snake
+     */
+    collectItem(snake) {
+        const type = this.item.type;
+        const item = SnakeGame.ITEMS[type];
+        this.item = null;
+        
+        switch (type) {
+            case 'golden':
+                this.awardPoints(snake, item.points);
+                break;
+            case 'slow':
+                // Picking it up again only extends the timer
+                if (this.slowTimer === 0) {
+                    this.moveInterval += this.slowdown;
+                }
+                this.slowTimer = item.duration;
+                break;
+            case 'shrink':
+                // Never shorter than a new snake
+                snake.body.splice(Math.max(3, snake.body.length - item.length)).forEach(cell => this.vacate(cell));
+                snake.growPending = 0;
+                snake.previous = null;
+                break;
+            case 'ghost':
+                snake.ghostTimer = item.duration;
+                break;
+        }
+        
+        this.playSound(type);
+    }
+
+    /**
+     * Count down the item on the board and the active power-ups
+     * @param {number} dt - Timestep in ms
+     */
+    updateEffects(dt) {
+        if (this.item) {
+            this.item.timeLeft -= dt;
+            if (this.item.timeLeft <= 0) {
+                this.item = null;
+            }
+        }
+        
+        if (this.slowTimer > 0) {
+            this.slowTimer = Math.max(0, this.slowTimer - dt);
+            if (this.slowTimer === 0) {
+                this.moveInterval = Math.max(50, this.moveInterval - this.slowdown);
+                this.playSound('powerdown');
+            }
+        }
+        
+        for (const snake of this.snakes) {
+            if (snake.ghostTimer > 0) {
+                snake.ghostTimer = Math.max(0, snake.ghostTimer - dt);
+                if (snake.ghostTimer === 0) {
+                    this.playSound('powerdown');
+                }
+            }
+        }
+    }
+
+    /**
+     * Drop a survival block on a free cell, out of the way of the snake's head
+     */
+    spawnObstacle() {
+        const head = this.snakes[0].body[0];
+        
+        // Keep clear of the head so a block never lands right in front of it
+        const cell = this.randomEmptyCell(cell => Math.abs(cell.x - head.x) + Math.abs(cell.y - head.y) >= 4);
+        
+        if (cell) {
+            this.obstacles.push(cell);
+            this.occupy(cell);
+            this.playSound('move');
+        }
+    }
+
+    /**
+     * End the run in victory when the snake leaves no room for food; in
+     * versus, where that can't really happen, the round is a draw
+     */
+    fillBoard() {
+        if (this.versus) {
+            this.endRound(this.snakes.map(() => true));
+            return;
+        }
+        
+        this.won = true;
+        this.emit(GameEvent.BOARD_FILLED, { length: this.snakes[0].body.length });
+        this.triggerGameOver();
+    }
+
+    /**
+     * Score a versus round and either start the next one or end the match
+     * @param {Array} crashed - Whether each snake crashed this move
+     */
+    endRound(crashed) {
+        crashed.forEach((hit, index) => {
+            this.snakes[index].alive = !hit;
+        });
+        
+        // The last snake moving takes the round; crashing together is a draw
+        this.roundWinner = crashed.filter(hit => !hit).length === 1 ? crashed.indexOf(false) : -1;
+        if (this.roundWinner >= 0) {
+            this.wins[this.roundWinner]++;
         }
+        
+        if (this.wins.some(wins => wins >= this.roundsToWin)) {
+            const winner = this.wins[0] > this.wins[1] ? 0 : 1;
+            this.score = this.snakes[winner].score;
+            this.triggerGameOver();
+            return;
+        }
+        
+        this.roundTimer = this.roundPause;
     }
 
     /**
@@ -180,14 +742,34 @@ class SnakeGame extends BaseGame {
         // Draw grid
         this.drawGrid();
         
+        // Draw level zones, maze and survival walls, and portals
+        this.drawFoodZones();
+        this.drawObstacles();
+        this.drawPortals();
+        
         // Draw food with glow effect
         this.drawFood();
+        if (this.item) {
+            this.drawItem();
+        }
         
-        // Draw snake
-        this.drawSnake();
+        // Draw snakes
+        this.snakes.forEach((snake, index) => this.drawSnake(snake, this.colors.players[index]));
         
         // Draw border
         this.drawBorder();
+        
+        this.drawEffectTimers();
+        if (this.timeLeft !== null) {
+            this.drawTimer();
+        }
+        
+        if (this.versus) {
+            this.drawScores();
+            if (this.roundTimer > 0) {
+                this.drawRoundResult();
+            }
+        }
     }
 
     /**
@@ -213,6 +795,61 @@ class SnakeGame extends BaseGame {
         }
     }
 
+    /**
+     * Draw the wall tiles
+     */
+    drawObstacles() {
+        const ctx = this.ctx;
+        
+        ctx.fillStyle = this.colors.obstacle;
+        ctx.strokeStyle = this.colors.obstacleBorder;
+        ctx.lineWidth = 1;
+        
+        for (const tile of this.obstacles) {
+            const x = tile.x * this.gridSize;
+            const y = tile.y * this.gridSize;
+            ctx.fillRect(x + 1, y + 1, this.gridSize - 2, this.gridSize - 2);
+            ctx.strokeRect(x + 1.5, y + 1.5, this.gridSize - 3, this.gridSize - 3);
+        }
+    }
+
+    /**
+     * Tint the cells a custom level keeps food to
+     */
+    drawFoodZones() {
+        const ctx = this.ctx;
+        ctx.fillStyle = this.colors.foodZone;
+        
+        for (const cell of this.foodZones) {
+            ctx.fillRect(cell.x * this.gridSize, cell.y * this.gridSize, this.gridSize, this.gridSize);
+        }
+    }
+
+    /**
+     * Draw each portal pair as two rings in the pair's color
+     */
+    drawPortals() {
+        const ctx = this.ctx;
+        const spin = this.clock.now() / 300;
+        
+        ctx.lineWidth = 3;
+        this.portals.forEach((pair, index) => {
+            const color = SnakeGame.PORTAL_COLORS[index % SnakeGame.PORTAL_COLORS.length];
+            ctx.strokeStyle = color;
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = color;
+            
+            for (const cell of pair) {
+                const x = cell.x * this.gridSize + this.gridSize / 2;
+                const y = cell.y * this.gridSize + this.gridSize / 2;
+                ctx.beginPath();
+                ctx.arc(x, y, this.gridSize / 2 - 3, spin, spin + Math.PI * 1.6);
+                ctx.stroke();
+            }
+        });
+        ctx.shadowBlur = 0;
+    }
+
     /**
      * Draw the food with pulsing glow effect
      */
@@ -220,7 +857,7 @@ class SnakeGame extends BaseGame {
         const ctx = this.ctx;
         const x = this.food.x * this.gridSize + this.gridSize / 2;
         const y = this.food.y * this.gridSize + this.gridSize / 2;
-        const pulse = Math.sin(performance.now() / 200) * 0.2 + 0.8;
+        const pulse = Math.sin(this.clock.now() / 200) * 0.2 + 0.8;
         const radius = (this.gridSize / 2 - 2) * pulse;
         
         // Glow effect
@@ -243,67 +880,157 @@ class SnakeGame extends BaseGame {
     }
 
     /**
-     * Draw the snake
+     * Draw the special item as a glowing diamond marked with its symbol
      */
-    drawSnake() {
+    drawItem() {
         const ctx = this.ctx;
+        const { color, symbol } = SnakeGame.ITEMS[this.item.type];
         
-        this.snake.forEach((segment, index) => {
-            const x = segment.x * this.gridSize;
-            const y = segment.y * this.gridSize;
-            const isHead = index === 0;
-            
-            // Glow effect for head
-            if (isHead) {
-                ctx.shadowBlur = 10;
-                ctx.shadowColor = this.colors.snakeHead;
-            }
+        // Blink before it vanishes
+        if (this.item.timeLeft < 1500 && Math.floor(this.item.timeLeft / 150) % 2 === 0) return;
+        
+        const x = this.item.x * this.gridSize + this.gridSize / 2;
+        const y = this.item.y * this.gridSize + this.gridSize / 2;
+        const size = this.gridSize / 2 - 1;
+        
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = color;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x, y - size);
+        ctx.lineTo(x + size, y);
+        ctx.lineTo(x, y + size);
+        ctx.lineTo(x - size, y);
+        ctx.closePath();
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        
+        ctx.fillStyle = '#000000';
+        ctx.font = '8px "Press Start 2P"';
+        ctx.textAlign = 'center';
+        ctx.fillText(symbol, x, y + 4);
+    }
+
+    /**
+     * Where each segment's centre is drawn, part way from where it was before
+     * the last move to where it is now, so the snake glides between moves
+     * @param {Object} snake - The snake
+     * @returns {Array} Pixel positions as { x, y }, head first
+     */
+    getRenderPoints(snake) {
+        const progress = Math.min(1, Math.max(0, this.moveTimer / this.moveInterval));
+        const half = this.gridSize / 2;
+        
+        return snake.body.map((segment, index) => {
+            let from = (snake.previous && snake.previous[index]) || segment;
             
-            // Body gradient based on position
-            const gradient = ctx.createLinearGradient(x, y, x + this.gridSize, y + this.gridSize);
-            if (isHead) {
-                gradient.addColorStop(0, this.colors.snakeHead);
-                gradient.addColorStop(1, this.colors.snake);
-            } else {
-                const alpha = 1 - (index / this.snake.length) * 0.3;
-                gradient.addColorStop(0, `rgba(0, 255, 65, ${alpha})`);
-                gradient.addColorStop(1, `rgba(0, 200, 50, ${alpha})`);
+            // Don't sweep across the board when wrapping around an edge
+            if (Math.abs(from.x - segment.x) > 1 || Math.abs(from.y - segment.y) > 1) {
+                from = segment;
             }
             
-            // Draw segment
-            ctx.fillStyle = gradient;
-            ctx.strokeStyle = this.colors.snakeBorder;
-            ctx.lineWidth = 2;
-            
-            // Rounded rectangle
-            const padding = 1;
-            const cornerRadius = 4;
-            this.roundRect(
-                ctx,
-                x + padding,
-                y + padding,
-                this.gridSize - padding * 2,
-                this.gridSize - padding * 2,
-                cornerRadius
-            );
-            ctx.fill();
-            ctx.stroke();
+            return {
+                x: (from.x + (segment.x - from.x) * progress) * this.gridSize + half,
+                y: (from.y + (segment.y - from.y) * progress) * this.gridSize + half
+            };
+        });
+    }
+
+    /**
+     * Draw a snake
+     * @param {Object} snake - The snake
+     * @param {Object} palette - Its colors from this.colors.players
+     */
+    drawSnake(snake, palette) {
+        const ctx = this.ctx;
+        const points = this.getRenderPoints(snake);
+        const head = points[0];
+        
+        // A snake that crashed this round stays on the board, dimmed; a ghost is see-through
+        if (!snake.alive) {
+            ctx.globalAlpha = 0.35;
+        } else if (snake.ghostTimer > 0) {
+            // Flicker for the last second as a warning
+            const flicker = snake.ghostTimer < 1000 && Math.floor(snake.ghostTimer / 100) % 2 === 0;
+            ctx.globalAlpha = flicker ? 0.8 : 0.45;
+        } else {
+            ctx.globalAlpha = 1;
+        }
+        
+        // Body: a border stroke with a narrower fill stroke on top
+        this.strokeBody(points, palette.border, this.gridSize - 2);
+        this.strokeBody(points, palette.body, this.gridSize - 6);
+        
+        // Head with a glow
+        const x = head.x - this.gridSize / 2;
+        const y = head.y - this.gridSize / 2;
+        const gradient = ctx.createLinearGradient(x, y, x + this.gridSize, y + this.gridSize);
+        gradient.addColorStop(0, palette.head);
+        gradient.addColorStop(1, palette.body);
+        
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = palette.head;
+        ctx.fillStyle = gradient;
+        ctx.strokeStyle = palette.border;
+        ctx.lineWidth = 2;
+        this.roundRect(ctx, x + 1, y + 1, this.gridSize - 2, this.gridSize - 2, 6);
+        ctx.fill();
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+        
+        this.drawEyes(x, y, snake.direction);
+        
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Stroke a thick line through the segment centres, curving at each joint
+     * and breaking where the snake wraps around an edge
+     * @param {Array} points - Segment centres from getRenderPoints()
+     * @param {string} color - Stroke color
+     * @param {number} width - Line width
+     */
+    strokeBody(points, color, width) {
+        const ctx = this.ctx;
+        const joined = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y) <= this.gridSize * 1.01;
+        const middle = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        
+        for (let i = 1; i < points.length; i++) {
+            const point = points[i];
+            const next = points[i + 1];
             
-            // Draw eyes on head
-            if (isHead) {
-                this.drawEyes(x, y);
+            if (!joined(points[i - 1], point)) {
+                ctx.moveTo(point.x, point.y);
+            } else if (next && joined(point, next)) {
+                // Round the corner off, from halfway along one side to halfway along the next
+                const end = middle(point, next);
+                ctx.quadraticCurveTo(point.x, point.y, end.x, end.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
             }
-            
-            ctx.shadowBlur = 0;
-        });
+        }
+        
+        // A lone head still gets a dot of body under it
+        if (points.length === 1) {
+            ctx.lineTo(points[0].x, points[0].y);
+        }
+        ctx.stroke();
     }
 
     /**
      * Draw snake eyes
      * @param {number} x - Head x position
      * @param {number} y - Head y position
+     * @param {Object} direction - The snake's heading
      */
-    drawEyes(x, y) {
+    drawEyes(x, y, direction) {
         const ctx = this.ctx;
         const eyeSize = 3;
         const eyeOffset = 5;
@@ -313,13 +1040,13 @@ class SnakeGame extends BaseGame {
         // Position eyes based on direction
         let eye1, eye2;
         
-        if (this.direction.x === 1) { // Right
+        if (direction.x === 1) { // Right
             eye1 = { x: x + this.gridSize - eyeOffset, y: y + eyeOffset };
             eye2 = { x: x + this.gridSize - eyeOffset, y: y + this.gridSize - eyeOffset };
-        } else if (this.direction.x === -1) { // Left
+        } else if (direction.x === -1) { // Left
             eye1 = { x: x + eyeOffset, y: y + eyeOffset };
             eye2 = { x: x + eyeOffset, y: y + this.gridSize - eyeOffset };
-        } else if (this.direction.y === -1) { // Up
+        } else if (direction.y === -1) { // Up
             eye1 = { x: x + eyeOffset, y: y + eyeOffset };
             eye2 = { x: x + this.gridSize - eyeOffset, y: y + eyeOffset };
         } else { // Down
@@ -336,11 +1063,105 @@ class SnakeGame extends BaseGame {
         // Pupils
         ctx.fillStyle = '#000000';
         ctx.beginPath();
-        ctx.arc(eye1.x + this.direction.x, eye1.y + this.direction.y, eyeSize / 2, 0, Math.PI * 2);
-        ctx.arc(eye2.x + this.direction.x, eye2.y + this.direction.y, eyeSize / 2, 0, Math.PI * 2);
+        ctx.arc(eye1.x + direction.x, eye1.y + direction.y, eyeSize / 2, 0, Math.PI * 2);
+        ctx.arc(eye2.x + direction.x, eye2.y + direction.y, eyeSize / 2, 0, Math.PI * 2);
         ctx.fill();
     }
 
+    /**
+     * Draw each player's score and round wins in their snake's color
+     */
+    drawScores() {
+        const ctx = this.ctx;
+        ctx.font = '10px "Press Start 2P"';
+        
+        this.snakes.forEach((snake, index) => {
+            const palette = this.colors.players[index];
+            const onLeft = index === 0;
+            const x = onLeft ? 10 : this.canvas.width - 10;
+            
+            ctx.fillStyle = palette.head;
+            ctx.textAlign = onLeft ? 'left' : 'right';
+            ctx.fillText(`P${index + 1} ${snake.score}`, x, 20);
+            
+            // One pip per round needed, filled for rounds won
+            for (let i = 0; i < this.roundsToWin; i++) {
+                const pipX = onLeft ? x + 4 + i * 12 : x - 4 - i * 12;
+                ctx.beginPath();
+                ctx.arc(pipX, 32, 4, 0, Math.PI * 2);
+                if (i < this.wins[index]) {
+                    ctx.fill();
+                } else {
+                    ctx.strokeStyle = palette.head;
+                    ctx.lineWidth = 1;
+                    ctx.stroke();
+                }
+            }
+        });
+    }
+
+    /**
+     * Draw a countdown bar for each active power-up along the bottom of the board
+     */
+    drawEffectTimers() {
+        const ctx = this.ctx;
+        const timers = [];
+        
+        if (this.slowTimer > 0) {
+            timers.push({ label: 'SLOW', time: this.slowTimer, item: SnakeGame.ITEMS.slow });
+        }
+        this.snakes.forEach((snake, index) => {
+            if (snake.ghostTimer > 0) {
+                const label = this.versus ? `P${index + 1} GHOST` : 'GHOST';
+                timers.push({ label, time: snake.ghostTimer, item: SnakeGame.ITEMS.ghost });
+            }
+        });
+        
+        ctx.font = '8px "Press Start 2P"';
+        ctx.textAlign = 'left';
+        
+        timers.forEach(({ label, time, item }, index) => {
+            const y = this.canvas.height - 14 - index * 16;
+            ctx.fillStyle = item.color;
+            ctx.fillText(label, 10, y);
+            ctx.fillRect(80, y - 7, 60 * (time / item.duration), 6);
+        });
+    }
+
+    /**
+     * Draw the time attack countdown, red for the last ten seconds
+     */
+    drawTimer() {
+        const ctx = this.ctx;
+        const seconds = Math.ceil(this.timeLeft / 1000);
+        const text = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        
+        ctx.font = '10px "Press Start 2P"';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = seconds <= 10 ? '#ff3333' : '#ffffff';
+        ctx.fillText(text, this.canvas.width / 2, 20);
+    }
+
+    /**
+     * Announce who took the round that just ended
+     */
+    drawRoundResult() {
+        const ctx = this.ctx;
+        const winner = this.roundWinner;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, this.canvas.height / 2 - 25, this.canvas.width, 50);
+        
+        ctx.font = '12px "Press Start 2P"';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = winner >= 0 ? this.colors.players[winner].head : '#ffffff';
+        ctx.fillText(
+            winner >= 0 ? `P${winner + 1} TAKES THE ROUND` : 'DRAW',
+            this.canvas.width / 2,
+            this.canvas.height / 2 + 5
+        );
+    }
+
     /**
      * Draw game border
      */
@@ -375,3 +1196,311 @@ class SnakeGame extends BaseGame {
         ctx.closePath();
     }
 }
+
+// Heading for each movement action
+SnakeGame.HEADINGS = {
+    [InputAction.UP]: { x: 0, y: -1 },
+    [InputAction.DOWN]: { x: 0, y: 1 },
+    [InputAction.LEFT]: { x: -1, y: 0 },
+    [InputAction.RIGHT]: { x: 1, y: 0 }
+};
+
+// Special items: each time food is eaten one may appear, and it vanishes
+// after `lifetime` ms if no snake takes it
+SnakeGame.ITEMS = {
+    golden: { color: '#ffd700', symbol: '$', lifetime: 5000, points: 50 },
+    slow: { color: '#3399ff', symbol: 'S', lifetime: 7000, duration: 5000 },
+    shrink: { color: '#cc66ff', symbol: '-', lifetime: 7000, length: 3 },
+    ghost: { color: '#e0e0ff', symbol: 'G', lifetime: 7000, duration: 4000 }
+};
+
+// Ring colors of a level's portal pairs, in order
+SnakeGame.PORTAL_COLORS = ['#00ffff', '#ff00ff', '#ffff00', '#ff8800', '#00ff88', '#8888ff', '#ffffff', '#ff4444'];
+
+// Maze mode layouts, built for the board size; each keeps the middle row
+// clear for the starting snake
+SnakeGame.MAZES = [
+    {
+        name: 'PILLARS',
+        build: (cols, rows) => {
+            const cells = [];
+            for (const x of [Math.floor(cols / 4) - 1, Math.floor(cols * 3 / 4)]) {
+                for (const y of [Math.floor(rows / 4) - 1, Math.floor(rows * 3 / 4)]) {
+                    cells.push({ x, y }, { x: x + 1, y }, { x, y: y + 1 }, { x: x + 1, y: y + 1 });
+                }
+            }
+            return cells;
+        }
+    },
+    {
+        name: 'BARS',
+        build: (cols, rows) => {
+            const cells = [];
+            const inset = Math.floor(cols / 5);
+            for (let x = inset; x < cols - inset; x++) {
+                cells.push({ x, y: Math.floor(rows / 4) }, { x, y: rows - 1 - Math.floor(rows / 4) });
+            }
+            return cells;
+        }
+    },
+    {
+        name: 'CORNERS',
+        build: (cols, rows) => {
+            // An L in each corner, two cells in from the edges
+            const cells = [];
+            const arm = Math.floor(Math.min(cols, rows) / 4);
+            for (const [x, dx] of [[2, 1], [cols - 3, -1]]) {
+                for (const [y, dy] of [[2, 1], [rows - 3, -1]]) {
+                    cells.push({ x, y });
+                    for (let i = 1; i < arm; i++) {
+                        cells.push({ x: x + dx * i, y }, { x, y: y + dy * i });
+                    }
+                }
+            }
+            return cells;
+        }
+    }
+];
+
+// ========================================
+// ATTRACT MODE AI
+// ========================================
+
+/**
+ * Finds the shortest path to the food, falling back to the move
+ * that leaves the most room when the food can't be reached
+ */
+class SnakeAI extends GameAI {
+    /**
+     * Create a Snake AI
+     * @param {SnakeGame} game - The game to play
+     */
+    constructor(game) {
+        super(game);
+        this.lastHead = null;
+        this.directions = [
+            { x: 0, y: -1, action: InputAction.UP },
+            { x: 0, y: 1, action: InputAction.DOWN },
+            { x: -1, y: 0, action: InputAction.LEFT },
+            { x: 1, y: 0, action: InputAction.RIGHT }
+        ];
+    }
+
+    /**
+     * Plan the next turn once per snake move
+     */
+    think() {
+        const snake = this.game.snakes[0];
+        const head = snake.body[0];
+        if (this.lastHead && head.x === this.lastHead.x && head.y === this.lastHead.y) return;
+        this.lastHead = { ...head };
+        
+        const blocked = this.getBlockedCells();
+        let step = this.findPath(head, this.game.food, blocked);
+        
+        // Don't chase food into a pocket too small to hold the snake
+        if (step) {
+            const next = { x: head.x + step.x, y: head.y + step.y };
+            if (this.countReachable(next, blocked) < snake.body.length) {
+                step = null;
+            }
+        }
+        
+        step = step || this.findSafestStep(head, blocked);
+        if (step) {
+            this.tap(step.action);
+        }
+    }
+
+    /**
+     * Cells the snake can't move into: walls, and whole bodies since the game
+     * checks collisions before the tails move
+     * @returns {Set} "x,y" keys
+     */
+    getBlockedCells() {
+        const segments = [...this.game.snakes.flatMap(snake => snake.body), ...this.game.obstacles];
+        return new Set(segments.map(segment => `${segment.x},${segment.y}`));
+    }
+
+    /**
+     * Check a cell is on the board and free
+     * @param {Object} cell - Grid position
+     * @param {Set} blocked - Blocked cells
+     * @returns {boolean} True if the snake can enter it
+     */
+    isFree(cell, blocked) {
+        const { tileCount } = this.game;
+        return cell.x >= 0 && cell.x < tileCount.x && cell.y >= 0 && cell.y < tileCount.y &&
+            !blocked.has(`${cell.x},${cell.y}`);
+    }
+
+    /**
+     * Breadth-first search from the head to a target
+     * @param {Object} start - The head position
+     * @param {Object} target - The food position
+     * @param {Set} blocked - Blocked cells
+     * @returns {Object|null} The first direction of the shortest path
+     */
+    findPath(start, target, blocked) {
+        const firstStep = new Map([[`${start.x},${start.y}`, null]]);
+        const queue = [start];
+        
+        for (let i = 0; i < queue.length; i++) {
+            const cell = queue[i];
+            
+            for (const dir of this.directions) {
+                const next = { x: cell.x + dir.x, y: cell.y + dir.y };
+                const key = `${next.x},${next.y}`;
+                if (firstStep.has(key) || !this.isFree(next, blocked)) continue;
+                
+                const step = firstStep.get(`${cell.x},${cell.y}`) || dir;
+                if (next.x === target.x && next.y === target.y) return step;
+                
+                firstStep.set(key, step);
+                queue.push(next);
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Pick the free neighbour with the largest open area behind it
+     * @param {Object} head - The head position
+     * @param {Set} blocked - Blocked cells
+     * @returns {Object|null} The chosen direction
+     */
+    findSafestStep(head, blocked) {
+        let best = null;
+        let bestArea = 0;
+        
+        for (const dir of this.directions) {
+            const next = { x: head.x + dir.x, y: head.y + dir.y };
+            if (!this.isFree(next, blocked)) continue;
+            
+            const area = this.countReachable(next, blocked);
+            if (area > bestArea) {
+                best = dir;
+                bestArea = area;
+            }
+        }
+        
+        return best;
+    }
+
+    /**
+     * Flood-fill the free cells reachable from a cell
+     * @param {Object} start - Starting cell
+     * @param {Set} blocked - Blocked cells
+     * @returns {number} Reachable cell count
+     */
+    countReachable(start, blocked) {
+        const seen = new Set([`${start.x},${start.y}`]);
+        const queue = [start];
+        
+        for (let i = 0; i < queue.length; i++) {
+            for (const dir of this.directions) {
+                const next = { x: queue[i].x + dir.x, y: queue[i].y + dir.y };
+                const key = `${next.x},${next.y}`;
+                if (seen.has(key) || !this.isFree(next, blocked)) continue;
+                
+                seen.add(key);
+                queue.push(next);
+            }
+        }
+        
+        return seen.size;
+    }
+}
+
+ArcadeController.registerGame({
+    id: 'snake',
+    name: 'SNAKE',
+    icon: '🐍',
+    controls: [
+        { actions: [InputAction.UP, InputAction.DOWN, InputAction.LEFT, InputAction.RIGHT], label: 'MOVE' },
+        { actions: [InputAction.UP, InputAction.DOWN, InputAction.LEFT, InputAction.RIGHT], label: 'P2 MOVE', player: 1 },
+        { actions: [InputAction.PAUSE], label: 'PAUSE' }
+    ],
+    tips: ['EAT FOOD TO GROW', "DON'T HIT WALLS OR YOURSELF!", 'GRAB POWER-UPS BEFORE THEY VANISH'],
+    modes: [
+        { id: 'solo', name: 'CLASSIC' },
+        { id: 'wrap', name: 'WRAPAROUND', tips: ['EAT FOOD TO GROW', 'THE EDGES WRAP AROUND', "DON'T HIT YOURSELF!"] },
+        { id: 'maze', name: 'MAZE', tips: ['EAT FOOD TO GROW', 'EVERY RUN PICKS A MAZE', "DON'T HIT THE WALLS!"] },
+        { id: 'time-attack', name: 'TIME ATTACK', tips: ['SCORE ALL YOU CAN IN 2 MINUTES', "DON'T HIT WALLS OR YOURSELF!"] },
+        { id: 'survival', name: 'SURVIVAL', tips: ['A NEW BLOCK DROPS EVERY 5 SECONDS', 'EAT FOOD AND STAY ALIVE'] },
+        {
+            id: 'custom',
+            name: 'CUSTOM LEVEL',
+            ranked: false,
+            tips: ['PLAYS THE LEVEL LAST SAVED OR LOADED IN THE EDITOR', 'PORTALS LINK IN MATCHING COLORS']
+        },
+        {
+            id: 'versus',
+            name: '2P VERSUS',
+            players: 2,
+            ranked: false,
+            tips: ['MAKE YOUR RIVAL CRASH TO TAKE THE ROUND', 'HEAD-ON CRASHES ARE A DRAW', 'FIRST TO 3 ROUNDS WINS']
+        }
+    ],
+    // A test run from the editor plays the level being edited
+    options: (controller) => controller.mode === 'custom'
+        ? { level: controller.testing ? SnakeEditor.level : SnakeLevels.getSelected() }
+        : null,
+    factory: (controller) => new SnakeGame(controller),
+    ai: (game) => new SnakeAI(game),
+    editor: SnakeEditor,
+    swipe: {
+        up: InputAction.UP,
+        down: InputAction.DOWN,
+        left: InputAction.LEFT,
+        right: InputAction.RIGHT
+    },
+    sounds: {
+        eat: { volume: 0.08, duration: 0.1, notes: [880], slide: 1760, slideTime: 0.05 },
+        golden: { wave: 'square', volume: 0.06, duration: 0.3, notes: [1046.50, 1318.51, 1567.98], step: 0.06 },
+        slow: { wave: 'triangle', volume: 0.1, duration: 0.4, notes: [440], slide: 110 },
+        shrink: { wave: 'square', volume: 0.06, duration: 0.2, notes: [660, 440, 330], step: 0.05 },
+        ghost: { volume: 0.1, duration: 0.5, notes: [300], slide: 900 },
+        powerdown: { volume: 0.06, duration: 0.2, notes: [330, 220], step: 0.08, maxVoices: 1 }
+    },
+    achievements: [
+        {
+            id: 'first-bite',
+            name: 'FIRST BITE',
+            description: 'EAT YOUR FIRST FOOD',
+            event: GameEvent.FOOD_EATEN,
+            test: () => true
+        },
+        {
+            id: 'length-50',
+            name: 'ANACONDA',
+            description: 'GROW TO LENGTH 50',
+            event: GameEvent.FOOD_EATEN,
+            test: (e) => e.length >= 50
+        },
+        {
+            id: 'board-filled',
+            name: 'OUROBOROS',
+            description: 'FILL THE WHOLE BOARD',
+            event: GameEvent.BOARD_FILLED,
+            test: () => true
+        }
+    ],
+    music: {
+        bpm: 120,
+        channels: [
+            {
+                wave: 'square',
+                volume: 0.03,
+                pattern: 'C5 . E5 G5 . E5 C5 . | D5 . F5 A5 . F5 D5 . | E5 . G5 C6 . G5 E5 . | D5 - B4 - G4 - . .'
+            },
+            {
+                wave: 'triangle',
+                volume: 0.08,
+                pattern: 'C3 . G3 . C3 . G3 . | D3 . A3 . D3 . A3 . | C3 . G3 . C3 . G3 . | G2 . D3 . G2 . B2 .'
+            },
+            { wave: 'noise', volume: 0.03, pattern: 'X . x . X . x .' }
+        ]
+    }
+});
@@ -25,13 +25,36 @@ class TetrisGame extends BaseGame {
         this.currentY = 0;
         this.currentRotation = 0;
         
-        // Next piece
-        this.nextPiece = null;
+        // Upcoming pieces, and what's left of the current 7-bag
+        this.queue = [];
+        this.bag = [];
+        
+        // Hold slot; a piece can be held once per drop
+        this.heldPiece = null;
+        this.canHold = true;
+        
+        // Gameplay settings, from the run's options
+        this.randomizer = 'bag';
+        this.previewCount = 1;
+        this.das = 0; // ms a direction is held before it auto shifts
+        this.arr = 0; // ms between auto shifts; 0 slides straight to the wall
+        this.lockDelay = 0; // ms a piece rests on the ground before it locks
+        this.softDropFactor = 1; // How many times faster than gravity soft drop falls
         
         // Timing
         this.dropTimer = 0;
         this.dropInterval = 1000; // ms
-        this.lastTime = 0;
+        
+        // Held actions; key repeat is ignored, auto shift repeats instead
+        this.pressed = new Set();
+        this.shiftDirection = 0; // -1 left, 1 right, 0 not shifting
+        this.shiftTimer = 0;
+        
+        // Lock delay, restarted by moves and rotations up to MAX_LOCK_RESETS
+        // times, with the count restored on reaching a new lowest row
+        this.lockTimer = 0;
+        this.lockResets = 0;
+        this.lowestY = 0;
         
         // Piece definitions (each rotation state)
         this.pieces = {
@@ -106,6 +129,19 @@ class TetrisGame extends BaseGame {
         this.level = 1;
         this.lines = 0;
         
+        // Scoring streaks: clears in a row (-1 before the first), and whether
+        // the last clear was a Tetris or T-spin
+        this.combo = -1;
+        this.backToBack = false;
+        
+        // T-spin detection: whether the last move was a rotation, and whether
+        // it took the final kick, which always makes a full T-spin
+        this.lastMoveRotation = false;
+        this.lastKickFinal = false;
+        
+        // Clear announcement shown over the board
+        this.popup = null;
+        
         // Soft drop
         this.softDropping = false;
     }
@@ -115,7 +151,7 @@ class TetrisGame extends BaseGame {
      */
     init() {
         // Calculate block size based on canvas
-        const boardWidth = this.canvas.width * 0.6;
+        const boardWidth = this.canvas.width * 0.5;
         const boardHeight = this.canvas.height * 0.9;
         
         this.blockSize = Math.min(
@@ -123,8 +159,8 @@ class TetrisGame extends BaseGame {
             Math.floor(boardHeight / this.rows)
         );
         
-        // Calculate board position (centered, with room for next piece preview)
-        this.boardX = (this.canvas.width - this.cols * this.blockSize) / 2 - 30;
+        // Calculate board position (centered between the hold box and the queue)
+        this.boardX = (this.canvas.width - this.cols * this.blockSize) / 2;
         this.boardY = (this.canvas.height - this.rows * this.blockSize) / 2;
         
         // Initialize empty board
@@ -140,11 +176,28 @@ class TetrisGame extends BaseGame {
         this.level = 1;
         this.lines = 0;
         this.dropInterval = 1000;
-        this.lastTime = performance.now();
         this.dropTimer = 0;
+        this.combo = -1;
+        this.backToBack = false;
+        this.popup = null;
+        
+        const options = TetrisSettings.normalize(this.options);
+        this.randomizer = options.randomizer;
+        this.previewCount = options.preview;
+        this.das = options.das;
+        this.arr = options.arr;
+        this.lockDelay = options.lockDelay;
+        this.softDropFactor = options.softDrop;
+        
+        this.pressed.clear();
+        this.shiftDirection = 0;
+        this.shiftTimer = 0;
         
         // Spawn first pieces
-        this.nextPiece = this.randomPiece();
+        this.queue = [];
+        this.bag = [];
+        this.heldPiece = null;
+        this.canHold = true;
         this.spawnPiece();
     }
 
@@ -153,20 +206,48 @@ class TetrisGame extends BaseGame {
      * @returns {string} Piece type key
      */
     randomPiece() {
-        return this.pieceTypes[Math.floor(Math.random() * this.pieceTypes.length)];
+        if (this.randomizer === 'classic') {
+            return this.rng.pick(this.pieceTypes);
+        }
+        
+        // Deal all seven pieces in a random order before shuffling a new bag
+        if (this.bag.length === 0) {
+            this.bag = this.rng.shuffle([...this.pieceTypes]);
+        }
+        return this.bag.pop();
+    }
+
+    /**
+     * Top up the queue to the preview length
+     */
+    fillQueue() {
+        while (this.queue.length < this.previewCount) {
+            this.queue.push(this.randomPiece());
+        }
     }
 
     /**
      * Spawn a new piece at the top
+     * @param {string} type - Optional piece to spawn instead of the next in the queue
      */
-    spawnPiece() {
-        this.currentPiece = this.nextPiece;
-        this.nextPiece = this.randomPiece();
+    spawnPiece(type = null) {
+        if (type) {
+            this.currentPiece = type;
+        } else {
+            this.fillQueue();
+            this.currentPiece = this.queue.shift();
+            this.fillQueue();
+        }
         this.currentRotation = 0;
         
+        // Centered, left of center for odd widths, with the top filled row on row 0
         const shape = this.getPieceShape();
         this.currentX = Math.floor((this.cols - shape[0].length) / 2);
-        this.currentY = 0;
+        this.currentY = 0 - shape.findIndex(row => row.some(cell => cell));
+        this.lowestY = this.currentY;
+        this.lockTimer = 0;
+        this.lockResets = 0;
+        this.lastMoveRotation = false;
         
         // Check for game over
         if (this.checkCollision(this.currentX, this.currentY, this.currentRotation)) {
@@ -227,6 +308,7 @@ class TetrisGame extends BaseGame {
      * Lock the current piece to the board
      */
     lockPiece() {
+        const spin = this.getSpin();
         const shape = this.getPieceShape();
         const color = this.getPieceColor();
         
@@ -244,14 +326,61 @@ class TetrisGame extends BaseGame {
         }
         
         this.playSound('drop');
-        this.clearLines();
+        this.clearLines(spin);
+        this.canHold = true;
         this.spawnPiece();
     }
 
     /**
-     * Clear completed lines
+     * Swap the falling piece into the hold slot, bringing out the held one
+     * or the next in the queue; it starts over from the top
+     */
+    hold() {
+        if (!this.canHold) return;
+        
+        const held = this.heldPiece;
+        this.heldPiece = this.currentPiece;
+        this.canHold = false;
+        this.dropTimer = 0;
+        this.playSound('move');
+        this.spawnPiece(held);
+    }
+
+    /**
+     * Whether a cell is a wall, the floor or filled
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean} True if blocked
+     */
+    isBlocked(x, y) {
+        if (x < 0 || x >= this.cols || y >= this.rows) return true;
+        return y >= 0 && this.board[y][x] !== 0;
+    }
+
+    /**
+     * Check the falling piece for a T-spin by the 3-corner rule: a T whose
+     * last move was a rotation, with three of the corners around its center
+     * blocked. It is a mini unless both corners it points at are blocked
+     * @returns {string|null} 'tspin', 'mini' or null
+     */
+    getSpin() {
+        if (this.currentPiece !== 'T' || !this.lastMoveRotation) return null;
+        
+        const blocked = TetrisGame.T_CORNERS.map(([col, row]) =>
+            this.isBlocked(this.currentX + col, this.currentY + row)
+        );
+        if (blocked.filter(Boolean).length < 3) return null;
+        
+        const rotation = this.currentRotation;
+        const front = blocked[rotation] && blocked[(rotation + 1) % 4];
+        return front || this.lastKickFinal ? 'tspin' : 'mini';
+    }
+
+    /**
+     * Clear completed lines and score them
+     * @param {string|null} spin - getSpin() for the piece that just locked
      */
-    clearLines() {
+    clearLines(spin = null) {
         let linesCleared = 0;
         
         for (let y = this.rows - 1; y >= 0; y--) {
@@ -265,67 +394,190 @@ class TetrisGame extends BaseGame {
             }
         }
         
-        if (linesCleared > 0) {
-            this.lines += linesCleared;
-            
-            // Score based on lines cleared
-            const points = [0, 100, 300, 500, 800][linesCleared] * this.level;
-            this.addScore(points);
-            
-            // Level up every 10 lines
-            const newLevel = Math.floor(this.lines / 10) + 1;
-            if (newLevel > this.level) {
-                this.level = newLevel;
-                this.dropInterval = Math.max(100, 1000 - (this.level - 1) * 100);
+        // A T-spin scores without clearing anything, and leaves back-to-back alone
+        if (linesCleared === 0) {
+            this.combo = -1;
+            if (spin) {
+                this.addScore(TetrisGame.CLEAR_POINTS[spin][0] * this.level);
+                this.showPopup(this.describeClear(0, spin, false, false));
             }
-            
-            this.playSound('line');
+            return;
+        }
+        
+        this.lines += linesCleared;
+        this.combo++;
+        
+        // Minis have no triple; a spin that clears three lines counts as full
+        if (spin === 'mini' && linesCleared > 2) spin = 'tspin';
+        
+        // Tetrises and T-spins are difficult; one after another earns half as much again
+        const difficult = linesCleared === 4 || spin !== null;
+        const backToBack = difficult && this.backToBack;
+        this.backToBack = difficult;
+        
+        let points = TetrisGame.CLEAR_POINTS[spin || 'normal'][linesCleared];
+        if (backToBack) points *= 1.5;
+        points += 50 * this.combo;
+        
+        const perfectClear = this.board.every(row => row.every(cell => cell === 0));
+        if (perfectClear) {
+            points += linesCleared === 4 && backToBack
+                ? TetrisGame.BACK_TO_BACK_PERFECT_CLEAR
+                : TetrisGame.PERFECT_CLEAR_POINTS[linesCleared];
+        }
+        
+        // Score at the level the lines were cleared on
+        this.addScore(points * this.level);
+        
+        // Level up every 10 lines
+        const newLevel = Math.floor(this.lines / 10) + 1;
+        if (newLevel > this.level) {
+            this.level = newLevel;
+            this.dropInterval = Math.max(100, 1000 - (this.level - 1) * 100);
         }
+        
+        this.emit(GameEvent.LINES_CLEARED, {
+            count: linesCleared,
+            level: this.level,
+            spin,
+            combo: this.combo,
+            backToBack,
+            perfectClear
+        });
+        this.playSound('line');
+        this.showPopup(this.describeClear(linesCleared, spin, backToBack, perfectClear));
     }
 
     /**
-     * Move piece left
+     * Popup lines announcing a clear
+     * @param {number} count - Lines cleared
+     * @param {string|null} spin - 'tspin', 'mini' or null
+     * @param {boolean} backToBack - Whether it continued a back-to-back streak
+     * @param {boolean} perfectClear - Whether it emptied the board
+     * @returns {Array} { text, color } lines
      */
-    moveLeft() {
-        if (!this.checkCollision(this.currentX - 1, this.currentY, this.currentRotation)) {
-            this.currentX--;
-            this.playSound('move');
-        }
+    describeClear(count, spin, backToBack, perfectClear) {
+        const lines = [];
+        
+        if (backToBack) lines.push({ text: 'BACK-TO-BACK', color: '#ff8800' });
+        if (spin) lines.push({ text: spin === 'mini' ? 'T-SPIN MINI' : 'T-SPIN', color: this.pieces.T.color });
+        if (count > 0) lines.push({ text: TetrisGame.CLEAR_NAMES[count], color: '#00ffff' });
+        if (this.combo > 0) lines.push({ text: `${this.combo} COMBO`, color: '#ffffff' });
+        if (perfectClear) lines.push({ text: 'PERFECT CLEAR', color: '#ffff00' });
+        
+        return lines;
     }
 
     /**
-     * Move piece right
+     * Show an announcement over the board, replacing any still showing
+     * @param {Array} lines - { text, color } lines
      */
-    moveRight() {
-        if (!this.checkCollision(this.currentX + 1, this.currentY, this.currentRotation)) {
-            this.currentX++;
-            this.playSound('move');
+    showPopup(lines) {
+        this.popup = { lines, timeLeft: TetrisGame.POPUP_TIME };
+    }
+
+    /**
+     * Move the piece one column
+     * @param {number} direction - -1 left, 1 right
+     * @returns {boolean} True if the piece moved
+     */
+    shift(direction) {
+        if (this.checkCollision(this.currentX + direction, this.currentY, this.currentRotation)) {
+            return false;
         }
+        
+        this.currentX += direction;
+        this.lastMoveRotation = false;
+        this.playSound('move');
+        this.resetLock();
+        return true;
+    }
+
+    /**
+     * Move one column now and start charging auto shift that way
+     * @param {number} direction - -1 left, 1 right
+     */
+    startShift(direction) {
+        this.shiftDirection = direction;
+        this.shiftTimer = 0;
+        this.shift(direction);
     }
 
     /**
-     * Rotate piece clockwise
+     * Repeat the held direction once DAS has charged, every ARR after that
+     * @param {number} dt - Timestep in ms
      */
-    rotate() {
-        const newRotation = (this.currentRotation + 1) % 4;
+    updateShift(dt) {
+        if (this.shiftDirection === 0) return;
         
-        // Try normal rotation
-        if (!this.checkCollision(this.currentX, this.currentY, newRotation)) {
-            this.currentRotation = newRotation;
-            this.playSound('move');
+        this.shiftTimer += dt;
+        if (this.shiftTimer < this.das) return;
+        
+        // No repeat rate: slide to the wall
+        if (this.arr === 0) {
+            while (this.shift(this.shiftDirection));
             return;
         }
         
-        // Wall kick - try shifting left or right
-        const kicks = [-1, 1, -2, 2];
-        for (const kick of kicks) {
-            if (!this.checkCollision(this.currentX + kick, this.currentY, newRotation)) {
-                this.currentX += kick;
-                this.currentRotation = newRotation;
+        while (this.shiftTimer >= this.das) {
+            this.shift(this.shiftDirection);
+            this.shiftTimer -= this.arr;
+        }
+    }
+
+    /**
+     * Restart the lock delay after the piece moves. A new lowest row restores
+     * the resets; otherwise each one on the ground uses one up
+     */
+    resetLock() {
+        if (this.currentY > this.lowestY) {
+            this.lowestY = this.currentY;
+            this.lockResets = 0;
+            this.lockTimer = 0;
+        } else if (this.lockTimer > 0 && this.lockResets < TetrisGame.MAX_LOCK_RESETS) {
+            this.lockResets++;
+            this.lockTimer = 0;
+        }
+    }
+
+    /**
+     * Rotate the piece, trying each SRS kick in turn
+     * @param {number} turn - 1 clockwise, -1 counter-clockwise, 2 half turn
+     * @returns {boolean} True if the piece rotated
+     */
+    rotate(turn = 1) {
+        const from = this.currentRotation;
+        const to = (from + turn + 4) % 4;
+        
+        const kicks = this.getKicks(from, to);
+        for (const [index, [dx, dy]] of kicks.entries()) {
+            // Kick tables count rows upwards; the board counts them down
+            if (!this.checkCollision(this.currentX + dx, this.currentY - dy, to)) {
+                this.currentX += dx;
+                this.currentY -= dy;
+                this.currentRotation = to;
+                this.lastMoveRotation = true;
+                this.lastKickFinal = turn !== 2 && index === kicks.length - 1;
                 this.playSound('move');
-                return;
+                this.resetLock();
+                return true;
             }
         }
+        return false;
+    }
+
+    /**
+     * Offsets to try, in order, when rotating the current piece
+     * @param {number} from - Rotation state before
+     * @param {number} to - Rotation state after
+     * @returns {Array} [x, y] offsets with y pointing up
+     */
+    getKicks(from, to) {
+        if (this.currentPiece === 'O') return [[0, 0]];
+        
+        const key = `${from}>${to}`;
+        if ((from + 2) % 4 === to) return TetrisGame.KICKS.HALF_TURN[key];
+        return TetrisGame.KICKS[this.currentPiece === 'I' ? 'I' : 'JLSTZ'][key];
     }
 
     /**
@@ -334,7 +586,9 @@ class TetrisGame extends BaseGame {
     softDrop() {
         if (!this.checkCollision(this.currentX, this.currentY + 1, this.currentRotation)) {
             this.currentY++;
+            this.lastMoveRotation = false;
             this.addScore(1);
+            this.resetLock();
         }
     }
 
@@ -348,72 +602,182 @@ class TetrisGame extends BaseGame {
             this.currentY++;
             dropDistance++;
         }
+        if (dropDistance > 0) {
+            this.lastMoveRotation = false;
+        }
         
         this.addScore(dropDistance * 2);
         this.lockPiece();
     }
 
     /**
-     * Handle key down events
-     * @param {KeyboardEvent} e - The keyboard event
+     * Handle action presses
+     * @param {Object} e - The input event ({ action, player, repeat })
      */
     handleKeyDown(e) {
-        switch (e.code) {
-            case 'ArrowLeft':
-                this.moveLeft();
-                break;
-            case 'ArrowRight':
-                this.moveRight();
+        // Presses of a held action are key repeats
+        if (this.pressed.has(e.action)) return;
+        this.pressed.add(e.action);
+        
+        const turn = TetrisGame.ROTATIONS[e.action];
+        if (turn) {
+            this.rotate(turn);
+            return;
+        }
+        
+        switch (e.action) {
+            case InputAction.LEFT:
+                this.startShift(-1);
                 break;
-            case 'ArrowUp':
-                this.rotate();
+            case InputAction.RIGHT:
+                this.startShift(1);
                 break;
-            case 'ArrowDown':
+            case InputAction.DOWN:
                 this.softDropping = true;
                 this.softDrop();
                 break;
-            case 'Space':
+            case InputAction.FIRE:
                 this.hardDrop();
                 break;
+            case 'hold':
+                this.hold();
+                break;
         }
     }
 
     /**
-     * Handle key up events
-     * @param {KeyboardEvent} e - The keyboard event
+     * Handle action releases
+     * @param {Object} e - The input event ({ action, player, repeat })
      */
     handleKeyUp(e) {
-        if (e.code === 'ArrowDown') {
+        this.pressed.delete(e.action);
+        
+        if (e.action === InputAction.DOWN) {
             this.softDropping = false;
+        } else if (e.action === InputAction.LEFT || e.action === InputAction.RIGHT) {
+            // Auto shift goes back to the other direction if it is still held, charging afresh
+            if (this.pressed.has(InputAction.LEFT)) {
+                this.shiftDirection = -1;
+            } else if (this.pressed.has(InputAction.RIGHT)) {
+                this.shiftDirection = 1;
+            } else {
+                this.shiftDirection = 0;
+            }
+            this.shiftTimer = 0;
         }
     }
 
     /**
      * Update game state
+     * @param {number} dt - Timestep in ms
      */
-    update() {
-        const now = performance.now();
-        const delta = now - this.lastTime;
-        this.lastTime = now;
+    update(dt) {
+        if (this.popup) {
+            this.popup.timeLeft -= dt;
+            if (this.popup.timeLeft <= 0) this.popup = null;
+        }
+        
+        this.updateShift(dt);
+        
+        // A grounded piece locks once it has rested for the lock delay
+        if (this.checkCollision(this.currentX, this.currentY + 1, this.currentRotation)) {
+            this.dropTimer = 0;
+            this.lockTimer += dt;
+            if (this.lockTimer >= this.lockDelay) {
+                this.lockPiece();
+            }
+            return;
+        }
         
         // Update drop timer
-        this.dropTimer += delta;
+        this.dropTimer += dt;
         
-        const effectiveInterval = this.softDropping ? this.dropInterval / 10 : this.dropInterval;
+        const effectiveInterval = this.softDropping ? this.dropInterval / this.softDropFactor : this.dropInterval;
         
         if (this.dropTimer >= effectiveInterval) {
             this.dropTimer = 0;
-            
-            // Try to move piece down
-            if (!this.checkCollision(this.currentX, this.currentY + 1, this.currentRotation)) {
-                this.currentY++;
-            } else {
-                // Lock piece
-                this.lockPiece();
+            this.currentY++;
+            this.lastMoveRotation = false;
+            // Rows fallen while soft dropping score like soft drop presses
+            if (this.softDropping) {
+                this.addScore(1);
             }
+            this.resetLock();
         }
     }
 
+    /**
+     * Extra stats stored with a leaderboard entry
+     * @returns {Object} Stat values keyed by name
+     */
+    getStats() {
+        return { lines: this.lines, level: this.level };
+    }
+
+    /**
+     * Music speeds up with the level, topping out at level 10
+     * @returns {number} 0 to 1
+     */
+    getMusicIntensity() {
+        return (this.level - 1) / 9;
+    }
+
+    /**
+     * Game-specific state for a save
+     * @returns {Object} Board, falling, queued and held pieces, level and timers
+     */
+    serialize() {
+        return {
+            board: this.board.map(row => [...row]),
+            currentPiece: this.currentPiece,
+            currentX: this.currentX,
+            currentY: this.currentY,
+            currentRotation: this.currentRotation,
+            queue: [...this.queue],
+            bag: [...this.bag],
+            heldPiece: this.heldPiece,
+            canHold: this.canHold,
+            lockTimer: this.lockTimer,
+            lockResets: this.lockResets,
+            lowestY: this.lowestY,
+            combo: this.combo,
+            backToBack: this.backToBack,
+            lastMoveRotation: this.lastMoveRotation,
+            lastKickFinal: this.lastKickFinal,
+            dropTimer: this.dropTimer,
+            dropInterval: this.dropInterval,
+            level: this.level,
+            lines: this.lines
+        };
+    }
+
+    /**
+     * Load state written by serialize()
+     * @param {Object} state - Saved state
+     */
+    deserialize(state) {
+        this.board = state.board;
+        this.currentPiece = state.currentPiece;
+        this.currentX = state.currentX;
+        this.currentY = state.currentY;
+        this.currentRotation = state.currentRotation;
+        this.queue = state.queue;
+        this.bag = state.bag;
+        this.heldPiece = state.heldPiece;
+        this.canHold = state.canHold;
+        this.lockTimer = state.lockTimer;
+        this.lockResets = state.lockResets;
+        this.lowestY = state.lowestY;
+        this.combo = state.combo;
+        this.backToBack = state.backToBack;
+        this.lastMoveRotation = state.lastMoveRotation;
+        this.lastKickFinal = state.lastKickFinal;
+        this.dropTimer = state.dropTimer;
+        this.dropInterval = state.dropInterval;
+        this.level = state.level;
+        this.lines = state.lines;
+    }
+
     /**
      * Render the game
      */
@@ -436,8 +800,12 @@ class TetrisGame extends BaseGame {
         // Draw current piece
         this.drawCurrentPiece();
         
-        // Draw next piece preview
-        this.drawNextPiece();
+        // Draw the latest clear announcement
+        this.drawPopup();
+        
+        // Draw the upcoming and held pieces
+        this.drawQueue();
+        this.drawHold();
         
         // Draw level and lines
         this.drawStats();
@@ -566,11 +934,38 @@ class TetrisGame extends BaseGame {
     }
 
     /**
-     * Draw the next piece preview
+     * Draw the clear announcement, drifting up and fading out at the end
      */
-    drawNextPiece() {
+    drawPopup() {
+        if (!this.popup) return;
+        
         const ctx = this.ctx;
-        const previewX = this.boardX + this.cols * this.blockSize + 25;
+        const { lines, timeLeft } = this.popup;
+        const centerX = this.boardX + this.cols * this.blockSize / 2;
+        const rise = (TetrisGame.POPUP_TIME - timeLeft) / 40;
+        const top = this.boardY + this.rows * this.blockSize / 3 - rise;
+        
+        ctx.globalAlpha = Math.min(1, timeLeft / 400);
+        ctx.font = '12px "Press Start 2P"';
+        ctx.textAlign = 'center';
+        
+        lines.forEach(({ text, color }, index) => {
+            ctx.shadowBlur = 8;
+            ctx.shadowColor = color;
+            ctx.fillStyle = color;
+            ctx.fillText(text, centerX, top + index * 20);
+        });
+        
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw the upcoming pieces: the next one large, the rest in a column below
+     */
+    drawQueue() {
+        const ctx = this.ctx;
+        const previewX = this.boardX + this.cols * this.blockSize + 20;
         const previewY = this.boardY + 20;
         
         // Label
@@ -584,29 +979,66 @@ class TetrisGame extends BaseGame {
         ctx.lineWidth = 2;
         ctx.strokeRect(previewX - 5, previewY + 10, 80, 80);
         
-        // Draw piece
-        if (this.nextPiece) {
-            const piece = this.pieces[this.nextPiece];
-            const shape = piece.shape[0];
-            const color = piece.color;
-            const previewBlockSize = this.blockSize * 0.8;
-            
-            // Center the piece in preview
-            const pieceWidth = shape[0].length * previewBlockSize;
-            const pieceHeight = shape.length * previewBlockSize;
-            const offsetX = previewX + (70 - pieceWidth) / 2;
-            const offsetY = previewY + 20 + (70 - pieceHeight) / 2;
-            
-            for (let row = 0; row < shape.length; row++) {
-                for (let col = 0; col < shape[row].length; col++) {
-                    if (shape[row][col]) {
-                        this.drawBlock(
-                            offsetX + col * previewBlockSize,
-                            offsetY + row * previewBlockSize,
-                            color,
-                            previewBlockSize
-                        );
-                    }
+        this.queue.forEach((type, index) => {
+            if (index === 0) {
+                this.drawPreview(type, previewX, previewY + 20, 70, 70, this.blockSize * 0.8);
+            } else {
+                const y = previewY + 95 + (index - 1) * TetrisGame.QUEUE_SPACING;
+                this.drawPreview(type, previewX, y, 70, TetrisGame.QUEUE_SPACING, this.blockSize * 0.5);
+            }
+        });
+    }
+
+    /**
+     * Draw the hold box left of the board, dimmed while holding is used up
+     */
+    drawHold() {
+        const ctx = this.ctx;
+        const holdX = this.boardX - 90;
+        const holdY = this.boardY + 20;
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '10px "Press Start 2P"';
+        ctx.textAlign = 'left';
+        ctx.fillText('HOLD', holdX, holdY);
+        
+        ctx.strokeStyle = 'rgba(0, 255, 255, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(holdX - 5, holdY + 10, 80, 80);
+        
+        if (this.heldPiece) {
+            ctx.globalAlpha = this.canHold ? 1 : 0.3;
+            this.drawPreview(this.heldPiece, holdX, holdY + 20, 70, 70, this.blockSize * 0.8);
+            ctx.globalAlpha = 1;
+        }
+    }
+
+    /**
+     * Draw a piece in its spawn orientation, centered in an area
+     * @param {string} type - Piece type
+     * @param {number} x - Left of the area
+     * @param {number} y - Top of the area
+     * @param {number} width - Width of the area
+     * @param {number} height - Height of the area
+     * @param {number} blockSize - Size of each block
+     */
+    drawPreview(type, x, y, width, height, blockSize) {
+        const piece = this.pieces[type];
+        
+        // Center the filled rows only, so the I piece doesn't sit high
+        const shape = piece.shape[0].filter(row => row.some(cell => cell));
+        const offsetX = x + (width - shape[0].length * blockSize) / 2;
+        const offsetY = y + (height - shape.length * blockSize) / 2;
+        
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (shape[row][col]) {
+                    this.drawBlock(
+                        offsetX + col * blockSize,
+                        offsetY + row * blockSize,
+                        piece.color,
+                        blockSize
+                    );
                 }
             }
         }
@@ -617,8 +1049,8 @@ class TetrisGame extends BaseGame {
      */
     drawStats() {
         const ctx = this.ctx;
-        const statsX = this.boardX + this.cols * this.blockSize + 25;
-        const statsY = this.boardY + 130;
+        const statsX = this.boardX + this.cols * this.blockSize + 20;
+        const statsY = this.boardY + 130 + (this.previewCount - 1) * TetrisGame.QUEUE_SPACING;
         
         ctx.fillStyle = '#ffffff';
         ctx.font = '10px "Press Start 2P"';
@@ -679,3 +1111,453 @@ class TetrisGame extends BaseGame {
         ctx.strokeRect(1, 1, this.canvas.width - 2, this.canvas.height - 2);
     }
 }
+
+// Moves and rotations that can restart the lock delay before the piece
+// has to reach a lower row
+TetrisGame.MAX_LOCK_RESETS = 15;
+
+// Points for clearing 0-4 lines, before the level multiplier
+TetrisGame.CLEAR_POINTS = {
+    normal: [0, 100, 300, 500, 800],
+    mini: [100, 200, 400],
+    tspin: [400, 800, 1200, 1600]
+};
+
+// Bonus points for a clear that empties the board, by lines cleared,
+// and for a back-to-back Tetris that does
+TetrisGame.PERFECT_CLEAR_POINTS = [0, 800, 1200, 1800, 2000];
+TetrisGame.BACK_TO_BACK_PERFECT_CLEAR = 3200;
+
+// Popup names for clears of 1-4 lines
+TetrisGame.CLEAR_NAMES = ['', 'SINGLE', 'DOUBLE', 'TRIPLE', 'TETRIS'];
+
+// How long a clear announcement stays up, in ms
+TetrisGame.POPUP_TIME = 1500;
+
+// The corners around the T piece's center, clockwise from the top left;
+// rotation state r points at corners r and r + 1
+TetrisGame.T_CORNERS = [[0, 0], [2, 0], [2, 2], [0, 2]];
+
+// Height of each slot in the queue after the next piece
+TetrisGame.QUEUE_SPACING = 28;
+
+// Quarter turns for each rotation action
+TetrisGame.ROTATIONS = {
+    [InputAction.UP]: 1,
+    rotateCw: 1,
+    rotateCcw: -1,
+    rotate180: 2
+};
+
+// Super Rotation System kicks, keyed 'from>to' over rotation states
+// 0 (spawn), 1 (right), 2 (reverse) and 3 (left). Offsets are [x, y]
+// with y pointing up, as in the guideline tables. SRS has no half
+// turns, so those use the common SRS+ table
+TetrisGame.KICKS = {
+    JLSTZ: {
+        '0>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+        '1>0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+        '1>2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+        '2>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+        '2>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+        '3>2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+        '3>0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+        '0>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+    },
+    I: {
+        '0>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+        '1>0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+        '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+        '2>1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+        '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+        '3>2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+        '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+        '0>3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+    },
+    HALF_TURN: {
+        '0>2': [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+        '2>0': [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+        '1>3': [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+        '3>1': [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+    }
+};
+
+// ========================================
+// TETRIS SETTINGS
+// ========================================
+
+const TetrisSettings = {
+    SETTINGS_KEY: 'tetris',
+    DEFAULTS: { randomizer: 'bag', preview: 5, das: 170, arr: 30, lockDelay: 500, softDrop: 10 },
+    RANDOMIZERS: { bag: '7-BAG', classic: 'CLASSIC' },
+
+    // Numeric settings: their range, the step the settings screen moves by
+    // and how values read, with a label for zero where it means something else
+    RANGES: {
+        preview: { label: 'NEXT PIECES', min: 1, max: 5, step: 1, unit: '' },
+        das: { label: 'DAS', min: 0, max: 300, step: 10, unit: 'MS' },
+        arr: { label: 'ARR', min: 0, max: 100, step: 5, unit: 'MS', zero: 'INSTANT' },
+        lockDelay: { label: 'LOCK DELAY', min: 100, max: 1000, step: 50, unit: 'MS' },
+        softDrop: { label: 'SOFT DROP', min: 2, max: 40, step: 2, unit: 'X' }
+    },
+
+    /**
+     * Fill in missing or unusable settings with defaults
+     * @param {Object|null} options - Stored settings, or a run's options
+     * @returns {Object} Every setting, keyed like DEFAULTS
+     */
+    normalize(options) {
+        const values = { ...this.DEFAULTS, ...options };
+        const normalized = {
+            randomizer: Object.keys(this.RANDOMIZERS).includes(values.randomizer)
+                ? values.randomizer
+                : this.DEFAULTS.randomizer
+        };
+        
+        for (const [key, { min, max }] of Object.entries(this.RANGES)) {
+            const value = values[key];
+            normalized[key] = Number.isInteger(value) ? Math.max(min, Math.min(max, value)) : this.DEFAULTS[key];
+        }
+        return normalized;
+    },
+
+    /**
+     * The player's settings
+     * @returns {Object} Every setting, keyed like DEFAULTS
+     */
+    get() {
+        return this.normalize(Settings.get(this.SETTINGS_KEY, {}));
+    },
+
+    /**
+     * Change one setting
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     */
+    set(key, value) {
+        Settings.set(this.SETTINGS_KEY, { ...Settings.get(this.SETTINGS_KEY, {}), [key]: value });
+    },
+
+    /**
+     * Switch to the other randomizer
+     */
+    toggleRandomizer() {
+        const names = Object.keys(this.RANDOMIZERS);
+        const index = names.indexOf(this.get().randomizer);
+        this.set('randomizer', names[(index + 1) % names.length]);
+    },
+
+    /**
+     * Step a numeric setting up or down, within its range
+     * @param {string} key - A RANGES key
+     * @param {number} direction - 1 up, -1 down
+     */
+    step(key, direction) {
+        const { min, max, step } = this.RANGES[key];
+        this.set(key, Math.max(min, Math.min(max, this.get()[key] + direction * step)));
+    },
+
+    /**
+     * Settings screen row for a numeric setting
+     * @param {string} key - A RANGES key
+     * @returns {Object} Row definition
+     */
+    rangeRow(key) {
+        const { label, unit, zero } = this.RANGES[key];
+        return {
+            label,
+            value: () => {
+                const value = this.get()[key];
+                return value === 0 && zero ? zero : `${value}${unit}`;
+            },
+            left: () => this.step(key, -1),
+            right: () => this.step(key, 1)
+        };
+    },
+
+    /**
+     * Rows for the piece settings page
+     * @returns {Array} Row definitions
+     */
+    rows() {
+        return [
+            {
+                label: 'RANDOMIZER',
+                value: () => this.RANDOMIZERS[this.get().randomizer],
+                left: () => this.toggleRandomizer(),
+                right: () => this.toggleRandomizer()
+            },
+            this.rangeRow('preview')
+        ];
+    },
+
+    /**
+     * Rows for the handling settings page
+     * @returns {Array} Row definitions
+     */
+    handlingRows() {
+        return ['das', 'arr', 'lockDelay', 'softDrop'].map(key => this.rangeRow(key));
+    }
+};
+
+// ========================================
+// ATTRACT MODE AI
+// ========================================
+
+/**
+ * Tries every rotation and column for the falling piece, scores the
+ * resulting board and steers the piece to the best placement
+ */
+class TetrisAI extends GameAI {
+    /**
+     * Create a Tetris AI
+     * @param {TetrisGame} game - The game to play
+     */
+    constructor(game) {
+        super(game);
+        this.target = null;
+        this.lastY = Infinity;
+        this.actionDelay = 4; // Ticks between presses, so the demo reads like a person playing
+        this.cooldown = 0;
+        this.moves = 0;
+        
+        // Heuristic weights: stack height, cleared lines, holes and surface bumpiness
+        this.weights = { height: -0.51, lines: 0.76, holes: -0.36, bumpiness: -0.18 };
+    }
+
+    /**
+     * Plan each new piece, then make one move every few ticks
+     */
+    think() {
+        const game = this.game;
+        
+        // The piece jumped back to the top: a new one has spawned
+        if (game.currentY < this.lastY || !this.target) {
+            this.target = this.findPlacement();
+            this.moves = 0;
+        }
+        this.lastY = game.currentY;
+        
+        if (this.cooldown > 0) {
+            this.cooldown--;
+            return;
+        }
+        this.cooldown = this.actionDelay;
+        this.moves++;
+        
+        // Give up steering a piece that can't reach its target
+        if (this.moves > 20) {
+            this.drop();
+        } else if (game.currentRotation !== this.target.rotation) {
+            this.tap(this.getRotation(game.currentRotation, this.target.rotation));
+        } else if (game.currentX < this.target.x) {
+            this.tap(InputAction.RIGHT);
+        } else if (game.currentX > this.target.x) {
+            this.tap(InputAction.LEFT);
+        } else {
+            this.drop();
+        }
+    }
+
+    /**
+     * The rotation action that reaches a state in one press
+     * @param {number} from - Current rotation state
+     * @param {number} to - Target rotation state
+     * @returns {string} Action name
+     */
+    getRotation(from, to) {
+        return ['rotateCw', 'rotate180', 'rotateCcw'][(to - from + 3) % 4];
+    }
+
+    /**
+     * Hard drop and plan the piece that spawns next
+     */
+    drop() {
+        this.tap(InputAction.FIRE);
+        this.target = null;
+    }
+
+    /**
+     * Find the best rotation and column for the current piece
+     * @returns {Object} { rotation, x }
+     */
+    findPlacement() {
+        const game = this.game;
+        const shapes = game.pieces[game.currentPiece].shape;
+        let best = { rotation: game.currentRotation, x: game.currentX, score: -Infinity };
+        
+        shapes.forEach((shape, rotation) => {
+            for (let x = -shape[0].length; x < game.cols; x++) {
+                if (this.collides(game.board, shape, x, 0)) continue;
+                
+                let y = 0;
+                while (!this.collides(game.board, shape, x, y + 1)) y++;
+                
+                const score = this.evaluate(this.place(game.board, shape, x, y));
+                if (score > best.score) {
+                    best = { rotation, x, score };
+                }
+            }
+        });
+        
+        return best;
+    }
+
+    /**
+     * Check a shape against the board
+     * @param {Array} board - Board rows
+     * @param {Array} shape - Shape matrix
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean} True if the shape overlaps a wall or block
+     */
+    collides(board, shape, x, y) {
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (!shape[row][col]) continue;
+                
+                const bx = x + col;
+                const by = y + row;
+                if (bx < 0 || bx >= this.game.cols || by >= this.game.rows) return true;
+                if (by >= 0 && board[by][bx]) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Drop a shape into a copy of the board and clear full lines
+     * @param {Array} board - Board rows
+     * @param {Array} shape - Shape matrix
+     * @param {number} x - Column
+     * @param {number} y - Landing row
+     * @returns {Object} { board, lines }
+     */
+    place(board, shape, x, y) {
+        const result = board.map(row => [...row]);
+        
+        for (let row = 0; row < shape.length; row++) {
+            for (let col = 0; col < shape[row].length; col++) {
+                if (shape[row][col] && y + row >= 0) {
+                    result[y + row][x + col] = 1;
+                }
+            }
+        }
+        
+        const remaining = result.filter(row => row.some(cell => !cell));
+        return { board: remaining, lines: result.length - remaining.length };
+    }
+
+    /**
+     * Score a board: lower, flatter stacks with fewer holes are better
+     * @param {Object} placement - place() output
+     * @returns {number} Score
+     */
+    evaluate({ board, lines }) {
+        const game = this.game;
+        const heights = [];
+        let holes = 0;
+        
+        for (let x = 0; x < game.cols; x++) {
+            let top = board.findIndex(row => row[x]);
+            if (top === -1) top = board.length;
+            heights.push(board.length - top);
+            
+            for (let y = top + 1; y < board.length; y++) {
+                if (!board[y][x]) holes++;
+            }
+        }
+        
+        let bumpiness = 0;
+        for (let x = 1; x < heights.length; x++) {
+            bumpiness += Math.abs(heights[x] - heights[x - 1]);
+        }
+        const height = heights.reduce((sum, h) => sum + h, 0);
+        
+        return this.weights.height * height + this.weights.lines * lines +
+            this.weights.holes * holes + this.weights.bumpiness * bumpiness;
+    }
+}
+
+ArcadeController.registerGame({
+    id: 'tetris',
+    name: 'TETRIS',
+    icon: '🟦',
+    controls: [
+        { actions: [InputAction.LEFT, InputAction.RIGHT], label: 'MOVE' },
+        { actions: [InputAction.UP, 'rotateCw'], label: 'ROTATE RIGHT' },
+        { actions: ['rotateCcw'], label: 'ROTATE LEFT' },
+        { actions: ['rotate180'], label: 'ROTATE 180' },
+        { actions: [InputAction.DOWN], label: 'SOFT DROP' },
+        { actions: [InputAction.FIRE], label: 'HARD DROP' },
+        { actions: ['hold'], label: 'HOLD' },
+        { actions: [InputAction.PAUSE], label: 'PAUSE' }
+    ],
+    actions: {
+        rotateCw: { label: 'ROTATE RIGHT', keys: ['KeyX'] },
+        rotateCcw: { label: 'ROTATE LEFT', keys: ['KeyZ', 'ControlLeft'], button: 4 },
+        rotate180: { label: 'ROTATE 180', keys: ['KeyV'], button: 3 },
+        hold: { label: 'HOLD', keys: ['KeyC', 'ShiftLeft'], button: 5 }
+    },
+    options: () => TetrisSettings.get(),
+    factory: (controller) => new TetrisGame(controller),
+    ai: (game) => new TetrisAI(game),
+    swipe: {
+        left: InputAction.LEFT,
+        right: InputAction.RIGHT,
+        up: 'hold',
+        down: InputAction.FIRE,
+        tap: InputAction.UP
+    },
+    sounds: {
+        drop: { volume: 0.05, duration: 0.05, notes: [200], slide: 100, maxVoices: 1 }
+    },
+    achievements: [
+        {
+            id: 'tetris',
+            name: 'TETRIS!',
+            description: 'CLEAR FOUR LINES AT ONCE',
+            event: GameEvent.LINES_CLEARED,
+            test: (e) => e.count === 4
+        },
+        {
+            id: 'level-5',
+            name: 'SPEED DEMON',
+            description: 'REACH LEVEL 5',
+            event: GameEvent.LINES_CLEARED,
+            test: (e) => e.level >= 5
+        }
+    ],
+    // Korobeiniki
+    music: {
+        bpm: 140,
+        speedup: 0.6,
+        channels: [
+            {
+                wave: 'square',
+                volume: 0.03,
+                pattern: 'E5 - B4 C5 D5 - C5 B4 | A4 - A4 C5 E5 - D5 C5 | B4 - - C5 D5 - E5 - | C5 - A4 - A4 - - - | ' +
+                    '. D5 - F5 A5 - G5 F5 | E5 - - C5 E5 - D5 C5 | B4 - B4 C5 D5 - E5 - | C5 - A4 - A4 - . .'
+            },
+            {
+                wave: 'triangle',
+                volume: 0.08,
+                pattern: 'E3 E4 E3 E4 E3 E4 E3 E4 | A2 A3 A2 A3 A2 A3 A2 A3 | G#2 G#3 G#2 G#3 E3 E4 E3 E4 | A2 A3 A2 A3 A2 A3 B2 C3 | ' +
+                    'D3 D4 D3 D4 D3 D4 D3 D4 | C3 C4 C3 C4 C3 C4 C3 C4 | B2 B3 B2 B3 E3 E4 E3 E4 | A2 A3 A2 A3 A2 - . .'
+            },
+            { wave: 'noise', volume: 0.02, pattern: 'X . x . X . x x' }
+        ]
+    }
+});
+
+SettingsScreen.registerPage({
+    id: 'tetris',
+    title: 'TETRIS',
+    rows: () => TetrisSettings.rows()
+});
+
+SettingsScreen.registerPage({
+    id: 'tetris-handling',
+    title: 'TETRIS HANDLING',
+    rows: () => TetrisSettings.handlingRows()
+});
@@ -0,0 +1,196 @@
+/**
+ * PIXEL PALACE - Touch Controls
+ * Makes the cabinet joystick and buttons playable on touch/pointer devices,
+ * plus swipe gestures on the screen for games that opt in
+ */
+
+class TouchControls {
+    /**
+     * Create touch controls for the cabinet
+     * @param {Object} controller - The arcade controller
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.stickThreshold = 12; // px of drag before the stick registers
+        this.swipeThreshold = 30; // px of travel before a tap becomes a swipe
+        this.stickPointer = null;
+        this.stickCenter = null;
+        this.stickDirection = null;
+        this.swipeStart = null;
+    }
+
+    /**
+     * Wire pointer events to the cabinet controls
+     */
+    attach() {
+        const base = document.querySelector('.joystick-base');
+        base.addEventListener('pointerdown', (e) => this.onStickDown(e, base));
+        base.addEventListener('pointermove', (e) => this.onStickMove(e));
+        base.addEventListener('pointerup', (e) => this.onStickUp(e));
+        base.addEventListener('pointercancel', (e) => this.onStickUp(e));
+        
+        this.bindButton(document.querySelector('.arcade-button.red'), InputAction.FIRE);
+        this.bindButton(document.querySelector('.arcade-button.blue'), InputAction.START);
+        
+        const canvas = this.controller.canvas;
+        canvas.addEventListener('pointerdown', (e) => this.onSwipeStart(e));
+        canvas.addEventListener('pointerup', (e) => this.onSwipeEnd(e));
+        canvas.addEventListener('pointercancel', () => { this.swipeStart = null; });
+    }
+
+    /**
+     * Send an action through the controller's input pipeline
+     * @param {string} action - An InputAction value
+     * @param {boolean} pressed - Pressed or released
+     */
+    emit(action, pressed) {
+        this.controller.handleAction(action, pressed, 0);
+    }
+
+    /**
+     * Grab the stick
+     * @param {PointerEvent} e - The pointer event
+     * @param {HTMLElement} base - The joystick base
+     */
+    onStickDown(e, base) {
+        if (this.stickPointer !== null) return;
+        e.preventDefault();
+        
+        base.setPointerCapture(e.pointerId);
+        this.stickPointer = e.pointerId;
+        
+        const rect = base.getBoundingClientRect();
+        this.stickCenter = {
+            x: rect.left + rect.width / 2,
+            y: rect.top + rect.height / 2
+        };
+        
+        this.onStickMove(e);
+    }
+
+    /**
+     * Turn the drag offset into a single direction
+     * @param {PointerEvent} e - The pointer event
+     */
+    onStickMove(e) {
+        if (e.pointerId !== this.stickPointer) return;
+        
+        const dx = e.clientX - this.stickCenter.x;
+        const dy = e.clientY - this.stickCenter.y;
+        let direction = null;
+        
+        if (Math.max(Math.abs(dx), Math.abs(dy)) >= this.stickThreshold) {
+            if (Math.abs(dx) > Math.abs(dy)) {
+                direction = dx < 0 ? InputAction.LEFT : InputAction.RIGHT;
+            } else {
+                direction = dy < 0 ? InputAction.UP : InputAction.DOWN;
+            }
+        }
+        
+        this.setStickDirection(direction);
+    }
+
+    /**
+     * Let go of the stick
+     * @param {PointerEvent} e - The pointer event
+     */
+    onStickUp(e) {
+        if (e.pointerId !== this.stickPointer) return;
+        
+        this.stickPointer = null;
+        this.setStickDirection(null);
+    }
+
+    /**
+     * Release the old direction and press the new one
+     * @param {string|null} direction - An InputAction direction, or null for centered
+     */
+    setStickDirection(direction) {
+        if (direction === this.stickDirection) return;
+        
+        if (this.stickDirection) {
+            this.emit(this.stickDirection, false);
+        }
+        this.stickDirection = direction;
+        if (direction) {
+            this.emit(direction, true);
+        }
+    }
+
+    /**
+     * Make a cabinet button send an action while held
+     * @param {HTMLElement} button - The button element
+     * @param {string} action - An InputAction value
+     */
+    bindButton(button, action) {
+        let pointer = null;
+        
+        const release = (e) => {
+            if (e.pointerId !== pointer) return;
+            pointer = null;
+            this.emit(action, false);
+        };
+        
+        button.addEventListener('pointerdown', (e) => {
+            if (pointer !== null) return;
+            e.preventDefault();
+            button.setPointerCapture(e.pointerId);
+            pointer = e.pointerId;
+            this.emit(action, true);
+        });
+        button.addEventListener('pointerup', release);
+        button.addEventListener('pointercancel', release);
+    }
+
+    /**
+     * Gesture map of the game being played, if it takes swipes
+     * @returns {Object|null} Actions keyed by up/down/left/right/tap
+     */
+    getSwipeMap() {
+        if (this.controller.state !== GameState.PLAYING) return null;
+        
+        const game = this.controller.getGame(this.controller.currentGame);
+        return (game && game.swipe) || null;
+    }
+
+    /**
+     * Remember where a swipe began
+     * @param {PointerEvent} e - The pointer event
+     */
+    onSwipeStart(e) {
+        if (!this.getSwipeMap()) return;
+        e.preventDefault();
+        
+        this.swipeStart = { x: e.clientX, y: e.clientY, pointerId: e.pointerId };
+    }
+
+    /**
+     * Turn a finished swipe or tap into a press and release
+     * @param {PointerEvent} e - The pointer event
+     */
+    onSwipeEnd(e) {
+        const start = this.swipeStart;
+        const swipe = this.getSwipeMap();
+        this.swipeStart = null;
+        
+        if (!start || !swipe || e.pointerId !== start.pointerId) return;
+        
+        const dx = e.clientX - start.x;
+        const dy = e.clientY - start.y;
+        let gesture;
+        
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < this.swipeThreshold) {
+            gesture = 'tap';
+        } else if (Math.abs(dx) > Math.abs(dy)) {
+            gesture = dx < 0 ? 'left' : 'right';
+        } else {
+            gesture = dy < 0 ? 'up' : 'down';
+        }
+        
+        const action = swipe[gesture];
+        if (action) {
+            this.emit(action, true);
+            this.emit(action, false);
+        }
+    }
+}
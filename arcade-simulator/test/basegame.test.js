@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadArcade, startGame, runTicks, TickClock } = require('./harness.js');
+
+const arcade = loadArcade();
+
+test('the game loop runs one tick per 60 Hz frame', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    game.clock.step(60);
+
+    assert.ok(Math.abs(game.tick - 60) <= 1, `expected about 60 ticks, got ${game.tick}`);
+});
+
+test('a long frame is clamped instead of fast-forwarding', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    game.clock.frameTime = 5000;
+    game.clock.step();
+
+    assert.equal(game.tick, Math.round(game.maxFrameTime / game.timestep));
+});
+
+test('time spent paused is not simulated on resume', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    game.clock.step(10);
+    game.pause();
+    game.clock.step(600);
+    const ticks = game.tick;
+
+    game.resume();
+    game.clock.step();
+
+    assert.ok(game.tick - ticks <= 1);
+});
+
+test('running ticks on a paused game returns without simulating', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    game.pause();
+    runTicks(game, 10);
+
+    assert.equal(game.tick, 0);
+});
+
+test('stop() cancels the pending frame', () => {
+    const game = startGame(arcade, 'TetrisGame');
+    game.stop();
+
+    assert.equal(game.clock.callbacks.size, 0);
+});
+
+test('games without a controller clock fall back to the real one', () => {
+    const controller = { canvas: {}, ctx: {}, rng: new arcade.SeededRandom(1) };
+    const game = new arcade.SnakeGame(controller);
+
+    assert.equal(game.clock, arcade.FrameClock);
+    assert.ok(new arcade.SnakeGame({ ...controller, clock: new TickClock() }).clock instanceof TickClock);
+});
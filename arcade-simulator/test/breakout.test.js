@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadArcade, startGame } = require('./harness.js');
+
+const arcade = loadArcade();
+const { GameEvent, Achievements } = arcade;
+
+/**
+ * Put a launched ball just touching the top of the paddle
+ * @param {BreakoutGame} game - The game
+ * @param {number} hitPos - Where along the paddle, 0 (left) to 1 (right)
+ */
+function dropOntoPaddle(game, hitPos) {
+    game.ballLaunched = true;
+    game.ball.x = game.paddle.x + game.paddle.width * hitPos;
+    game.ball.y = game.paddle.y - game.ball.radius + 1;
+    game.ball.dx = 0;
+    game.ball.dy = 300;
+}
+
+test('the paddle centre sends the ball straight up', () => {
+    const game = startGame(arcade, 'BreakoutGame');
+    dropOntoPaddle(game, 0.5);
+
+    game.checkPaddleCollision();
+
+    assert.ok(Math.abs(game.ball.dx) < 1e-9);
+    assert.equal(game.ball.dy, -300);
+});
+
+test('the paddle edges angle the ball outward, up to 63 degrees', () => {
+    const game = startGame(arcade, 'BreakoutGame');
+    const maxAngle = 0.35 * Math.PI;
+
+    dropOntoPaddle(game, 1);
+    game.checkPaddleCollision();
+    assert.ok(Math.abs(Math.atan2(game.ball.dx, -game.ball.dy) - maxAngle) < 1e-9);
+
+    dropOntoPaddle(game, 0);
+    game.checkPaddleCollision();
+    assert.ok(Math.abs(Math.atan2(game.ball.dx, -game.ball.dy) + maxAngle) < 1e-9);
+});
+
+test('a paddle bounce keeps the ball speed', () => {
+    const game = startGame(arcade, 'BreakoutGame');
+    dropOntoPaddle(game, 0.8);
+    game.ball.dx = 180;
+    game.ball.dy = 240;
+
+    game.checkPaddleCollision();
+
+    assert.ok(Math.abs(Math.hypot(game.ball.dx, game.ball.dy) - 300) < 1e-9);
+    assert.ok(game.ball.dy < 0);
+});
+
+test('a ball moving up passes through the paddle', () => {
+    const game = startGame(arcade, 'BreakoutGame');
+    dropOntoPaddle(game, 0.5);
+    game.ball.dy = -300;
+
+    game.checkPaddleCollision();
+
+    assert.equal(game.ball.dy, -300);
+});
+
+test('hitting a brick from below destroys it and bounces the ball down', () => {
+    const game = startGame(arcade, 'BreakoutGame');
+    const brick = game.bricks[2][game.brickRowCount - 1];
+    game.ballLaunched = true;
+    game.ball.x = brick.x + game.brickWidth / 2;
+    game.ball.y = brick.y + game.brickHeight + game.ball.radius - 2;
+    game.ball.dx = 50;
+    game.ball.dy = -300;
+
+    game.checkBrickCollision();
+
+    assert.equal(brick.status, 0);
+    assert.equal(game.ball.dy, 300);
+    assert.equal(game.ball.dx, 50);
+    assert.equal(game.score, brick.points);
+
+    const event = game.controller.events.find(e => e.type === GameEvent.BRICK_DESTROYED);
+    assert.equal(event.remaining, game.brickRowCount * game.brickColumnCount - 1);
+});
+
+test('hitting a brick side bounces the ball sideways', () => {
+    // The leftmost brick, so the ball can't clip a neighbour first
+    const game = startGame(arcade, 'BreakoutGame');
+    const brick = game.bricks[0][game.brickRowCount - 1];
+    game.ballLaunched = true;
+    game.ball.x = brick.x - game.ball.radius + 2;
+    game.ball.y = brick.y + game.brickHeight / 2;
+    game.ball.dx = 300;
+    game.ball.dy = -50;
+
+    game.checkBrickCollision();
+
+    assert.equal(brick.status, 0);
+    assert.equal(game.ball.dx, -300);
+    assert.equal(game.ball.dy, -50);
+});
+
+test('dropping the ball costs a life and puts it back on the paddle', () => {
+    const game = startGame(arcade, 'BreakoutGame');
+    game.ballLaunched = true;
+    game.ball.y = game.canvas.height + 20;
+    game.ball.dy = 300;
+
+    game.update(game.timestep);
+
+    assert.equal(game.lives, 2);
+    assert.equal(game.ballLaunched, false);
+    assert.ok(game.controller.events.some(e => e.type === GameEvent.LIFE_LOST && e.lives === 2));
+    assert.equal(game.lifeLost, true);
+});
+
+test('a wall cleared after losing a life is not flawless, whatever the lives left', () => {
+    const flawless = Achievements.getForGame('breakout').find(achievement => achievement.id === 'flawless');
+    const game = startGame(arcade, 'BreakoutGame');
+    game.ballLaunched = true;
+    game.ball.y = game.canvas.height + 20;
+    game.ball.dy = 300;
+    game.update(game.timestep);
+
+    // Knock out the last brick with the lives topped back up
+    game.lives = 3;
+    game.bricks.flat().forEach(brick => { brick.status = 0; });
+    const brick = game.bricks[2][game.brickRowCount - 1];
+    brick.status = 1;
+    game.ballLaunched = true;
+    game.ball.x = brick.x + game.brickWidth / 2;
+    game.ball.y = brick.y + game.brickHeight + game.ball.radius - 2;
+    game.ball.dy = -300;
+    game.checkBrickCollision();
+
+    const event = game.controller.events.find(e => e.type === GameEvent.BRICK_DESTROYED);
+    assert.equal(event.remaining, 0);
+    assert.equal(flawless.test(event), false);
+    assert.equal(flawless.test({ ...event, lifeLost: false }), true);
+});
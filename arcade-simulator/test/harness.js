@@ -0,0 +1,244 @@
+/**
+ * PIXEL PALACE - Test Harness
+ * Loads the arcade scripts into a Node VM with a stub browser, and
+ * provides a stub controller and a clock that tests step by hand
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Names the tests can reach; top-level const and class declarations
+// don't become properties of the VM's global object
+const EXPORTS = [
+    'SeededRandom', 'InputAction', 'GamepadInput', 'GameState', 'GameEvent', 'FrameClock',
+    'ArcadeController', 'BaseGame', 'GameAI', 'ReplayRecorder', 'Replays', 'Achievements',
+    'SnakeGame', 'SnakeLevels', 'SnakeEditor', 'TetrisGame', 'BreakoutGame', 'SpaceInvadersGame'
+];
+
+// ========================================
+// STUB BROWSER
+// ========================================
+
+/**
+ * A 2D context that accepts every drawing call and does nothing
+ * @returns {Proxy} The context
+ */
+function createContext2D() {
+    const noop = () => {};
+    const gradient = { addColorStop: noop };
+    const methods = {
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        measureText: (text) => ({ width: String(text).length * 8 })
+    };
+
+    return new Proxy({}, {
+        get: (target, key) => key in target ? target[key] : (methods[key] || noop),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * localStorage backed by a Map
+ * @returns {Object} Storage with getItem, setItem, removeItem and clear
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * Run every script index.html loads, in order, in a fresh VM
+ * @returns {Object} The EXPORTS names, read from the VM
+ */
+function loadArcade() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+
+    // Scripts only touch the DOM once the controller initializes, which never happens here
+    const element = { addEventListener() {}, classList: { add() {}, remove() {}, toggle() {} } };
+    const context = vm.createContext({
+        console,
+        localStorage: createStorage(),
+        performance,
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame: () => {},
+        document: {
+            addEventListener() {},
+            getElementById: () => element,
+            querySelector: () => element
+        }
+    });
+    context.window = context;
+
+    for (const script of scripts) {
+        const file = path.join(ROOT, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+
+    return vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+}
+
+// ========================================
+// TICK CLOCK
+// ========================================
+
+class TickClock {
+    /**
+     * Create a clock that only moves when stepped
+     * @param {number} frameTime - Milliseconds each step() advances
+     */
+    constructor(frameTime = 1000 / 60) {
+        this.frameTime = frameTime;
+        this.time = 0;
+        this.nextId = 1;
+        this.callbacks = new Map();
+    }
+
+    /**
+     * Current time
+     * @returns {number} Milliseconds
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Queue a callback for the next step()
+     * @param {Function} callback - The frame callback
+     * @returns {number} Request id
+     */
+    requestFrame(callback) {
+        const id = this.nextId++;
+        this.callbacks.set(id, callback);
+        return id;
+    }
+
+    /**
+     * Drop a queued callback
+     * @param {number} id - Request id
+     */
+    cancelFrame(id) {
+        this.callbacks.delete(id);
+    }
+
+    /**
+     * Advance time and run the callbacks queued for each frame
+     * @param {number} frames - Frames to run
+     */
+    step(frames = 1) {
+        for (let i = 0; i < frames; i++) {
+            this.time += this.frameTime;
+            const callbacks = [...this.callbacks.values()];
+            this.callbacks.clear();
+            callbacks.forEach(callback => callback());
+        }
+    }
+}
+
+// ========================================
+// STUB CONTROLLER
+// ========================================
+
+/**
+ * A controller that records what games tell it instead of driving the page
+ * @param {Object} arcade - loadArcade() output
+ * @param {Object} options - { seed, width, height, mode, options }
+ * @returns {Object} The controller
+ */
+function createController(arcade, { seed = 1, width = 400, height = 500, mode = null, options = null } = {}) {
+    return {
+        canvas: { width, height },
+        ctx: createContext2D(),
+        rng: new arcade.SeededRandom(seed),
+        clock: new TickClock(),
+        mode,
+        options,
+        score: 0,
+        finalScore: null,
+        sounds: [],
+        events: [],
+        
+        /**
+         * Record the displayed score
+         * @param {number} score - The score
+         */
+        updateScoreDisplay(score) {
+            this.score = score;
+        },
+        
+        /**
+         * Record the final score
+         * @param {number} score - The score
+         */
+        gameOver(score) {
+            this.finalScore = score;
+        },
+        
+        /**
+         * Record a sound instead of playing it
+         * @param {string} type - Sound name
+         */
+        playSound(type) {
+            this.sounds.push(type);
+        },
+        
+        /**
+         * Record a bus event
+         * @param {string} type - A GameEvent value
+         * @param {Object} data - Event data
+         */
+        emit(type, data = {}) {
+            this.events.push({ ...data, type });
+        }
+    };
+}
+
+/**
+ * Create and start a game on a stub controller
+ * @param {Object} arcade - loadArcade() output
+ * @param {string} className - e.g. 'SnakeGame'
+ * @param {Object} options - createController() options
+ * @returns {BaseGame} The running game; its controller is game.controller
+ */
+function startGame(arcade, className, options) {
+    const game = new arcade[className](createController(arcade, options));
+    game.start();
+    return game;
+}
+
+/**
+ * Step the clock until the game has run a number of ticks, stopped or paused
+ * @param {BaseGame} game - The game
+ * @param {number} ticks - Ticks to run
+ */
+function runTicks(game, ticks) {
+    const target = game.tick + ticks;
+    while (game.tick < target && game.isRunning && !game.isPaused) {
+        game.clock.step();
+    }
+}
+
+/**
+ * Press and release an action
+ * @param {BaseGame} game - The game
+ * @param {string} action - An InputAction value
+ */
+function tap(game, action) {
+    const event = { action, player: 0, repeat: false };
+    game.handleKeyDown(event);
+    game.handleKeyUp(event);
+}
+
+module.exports = { loadArcade, createController, startGame, runTicks, tap, TickClock };
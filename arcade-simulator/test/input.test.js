@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadArcade } = require('./harness.js');
+
+const arcade = loadArcade();
+const { InputAction, GamepadInput, ArcadeController } = arcade;
+
+/**
+ * A standard-layout pad state
+ * @param {number} index - The pad's slot
+ * @param {Array} pressed - Indices of the held buttons
+ * @param {Array} axes - Stick positions
+ * @returns {Object} A Gamepad-like object
+ */
+function pad(index, pressed = [], axes = [0, 0]) {
+    const buttons = Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) }));
+    return { index, connected: true, buttons, axes };
+}
+
+/**
+ * A poller fed from a list of pads the test swaps out between polls
+ * @returns {Object} { input, source, actions }; actions collects every reported change
+ */
+function createInput() {
+    const source = { pads: [], getGamepads() { return this.pads; } };
+    const actions = [];
+    const input = new GamepadInput((action, pressed, player) => actions.push({ action, pressed, player }), source);
+    return { input, source, actions };
+}
+
+test('pad buttons are reported as actions when they change', () => {
+    const { input, source, actions } = createInput();
+
+    // A and the d-pad left
+    source.pads = [pad(0, [0, 14])];
+    input.poll();
+    assert.deepEqual(actions, [
+        { action: InputAction.LEFT, pressed: true, player: 0 },
+        { action: InputAction.FIRE, pressed: true, player: 0 }
+    ]);
+
+    // Nothing changed, so nothing is reported
+    actions.length = 0;
+    input.poll();
+    assert.deepEqual(actions, []);
+
+    source.pads = [pad(0, [14])];
+    input.poll();
+    assert.deepEqual(actions, [{ action: InputAction.FIRE, pressed: false, player: 0 }]);
+});
+
+test('the left stick works as a d-pad past the deadzone', () => {
+    const { input, source, actions } = createInput();
+
+    source.pads = [pad(0, [], [0.2, 0.9])];
+    input.poll();
+    assert.deepEqual(actions, [{ action: InputAction.DOWN, pressed: true, player: 0 }]);
+});
+
+test('pads are assigned to players in slot order', () => {
+    const { input, source, actions } = createInput();
+
+    // B on the pad in slot 1, Start on the one in slot 3
+    source.pads = [null, pad(3, [9]), pad(1, [1])];
+    input.poll();
+    assert.deepEqual(actions, [
+        { action: InputAction.START, pressed: true, player: 0 },
+        { action: InputAction.PAUSE, pressed: true, player: 1 }
+    ]);
+
+    // Unplugging a pad releases what it held
+    actions.length = 0;
+    source.pads = [pad(3, [9])];
+    input.poll();
+    assert.deepEqual(actions, [
+        { action: InputAction.START, pressed: false, player: 0 },
+        { action: InputAction.PAUSE, pressed: true, player: 0 },
+        { action: InputAction.PAUSE, pressed: false, player: 1 }
+    ]);
+});
+
+test("spare buttons report the current game's own actions", () => {
+    const { input, source, actions } = createInput();
+    input.gameButtons = { ...ArcadeController.getGame('tetris').buttons };
+
+    // Y, then both shoulders
+    source.pads = [pad(0, [3, 4, 5])];
+    input.poll();
+    assert.deepEqual(actions, [
+        { action: 'rotate180', pressed: true, player: 0 },
+        { action: 'rotateCcw', pressed: true, player: 0 },
+        { action: 'hold', pressed: true, player: 0 }
+    ]);
+
+    // Leaving the game releases what it held, and the buttons go quiet
+    actions.length = 0;
+    input.gameButtons = {};
+    input.poll();
+    assert.deepEqual(actions, [
+        { action: 'rotate180', pressed: false, player: 0 },
+        { action: 'rotateCcw', pressed: false, player: 0 },
+        { action: 'hold', pressed: false, player: 0 }
+    ]);
+});
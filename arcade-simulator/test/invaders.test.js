@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadArcade, startGame, runTicks } = require('./harness.js');
+
+const arcade = loadArcade();
+const { GameEvent } = arcade;
+
+/**
+ * Destroy every alien and let the game notice
+ * @param {SpaceInvadersGame} game - The game
+ */
+function clearWave(game) {
+    game.aliens.forEach(alien => { alien.alive = false; });
+    runTicks(game, 1);
+}
+
+test('a fresh game starts on wave 1 with a full fleet', () => {
+    const game = startGame(arcade, 'SpaceInvadersGame');
+
+    assert.equal(game.wave, 1);
+    assert.equal(game.aliens.length, game.alienRows * game.alienCols);
+    assert.ok(game.aliens.every(alien => alien.alive));
+});
+
+test('clearing the fleet starts the next wave', () => {
+    const game = startGame(arcade, 'SpaceInvadersGame');
+    game.playerBullets.push({ x: 0, y: 100, width: 3, height: 10 });
+
+    clearWave(game);
+
+    assert.equal(game.wave, 2);
+    assert.equal(game.aliens.length, game.alienRows * game.alienCols);
+    assert.ok(game.aliens.every(alien => alien.alive));
+    assert.equal(game.playerBullets.length, 0);
+    assert.equal(game.alienBullets.length, 0);
+    assert.equal(game.score, 200);
+});
+
+test('each wave is faster than the last, down to a floor', () => {
+    const game = startGame(arcade, 'SpaceInvadersGame');
+    let interval = game.alienMoveInterval;
+    let speed = game.alienSpeed;
+
+    for (let wave = 2; wave <= 10; wave++) {
+        clearWave(game);
+        
+        assert.equal(game.wave, wave);
+        assert.ok(game.alienMoveInterval <= interval);
+        assert.equal(game.alienSpeed, speed + 0.5);
+        interval = game.alienMoveInterval;
+        speed = game.alienSpeed;
+    }
+    assert.equal(game.alienMoveInterval, 200);
+});
+
+test('clearing a wave reports it with the shield damage so far', () => {
+    const game = startGame(arcade, 'SpaceInvadersGame');
+    game.shieldBlocksLost = 3;
+
+    clearWave(game);
+
+    const event = game.controller.events.find(e => e.type === GameEvent.WAVE_CLEARED);
+    assert.equal(event.wave, 1);
+    assert.equal(event.shieldBlocksLost, 3);
+});
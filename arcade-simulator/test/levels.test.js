@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadArcade } = require('./harness.js');
+
+const arcade = loadArcade();
+const { SnakeLevels } = arcade;
+
+/**
+ * Copy VM data into this realm so deepEqual compares values, not prototypes
+ * @param {*} value - JSON-safe data
+ * @returns {*} The copy
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * A level using every kind of cell, listed in board order as share codes list them
+ * @returns {Object} The level
+ */
+function sampleLevel() {
+    const level = SnakeLevels.create(20, 25);
+    level.name = 'TEST 1';
+    level.walls.push({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 5, y: 5 });
+    level.foodZones.push({ x: 3, y: 3 }, { x: 4, y: 3 });
+    level.portals.push([{ x: 18, y: 4 }, { x: 1, y: 20 }], [{ x: 7, y: 7 }, { x: 8, y: 9 }]);
+    level.spawns.push({ x: 4, y: 10, direction: 'up' });
+    return level;
+}
+
+test('a share code round-trips the level', () => {
+    const level = sampleLevel();
+    const code = SnakeLevels.toShareCode(level);
+
+    assert.match(code, /^SN1\.20x25\.3W.+\.10,12R\+4,10U\.TEST_1$/);
+    assert.deepEqual(plain(SnakeLevels.fromShareCode(code)), plain(level));
+});
+
+test('an empty level packs into a few characters', () => {
+    const code = SnakeLevels.toShareCode(SnakeLevels.create(20, 25));
+
+    assert.equal(code, 'SN1.20x25.500-.10,12R.MY_LEVEL');
+});
+
+test('malformed share codes are rejected', () => {
+    const code = SnakeLevels.toShareCode(sampleLevel());
+
+    assert.throws(() => SnakeLevels.fromShareCode('hello'));
+    assert.throws(() => SnakeLevels.fromShareCode(code.replace('3W', '4W')), /wrong size/);
+    assert.throws(() => SnakeLevels.fromShareCode(code.replace('10,12R', '10,12Q')), /spawns/);
+    assert.throws(() => SnakeLevels.fromShareCode(code.replace('TEST_1', 'test?')), /name/);
+});
+
+test('oversized share codes are rejected before they are expanded', () => {
+    assert.throws(() => SnakeLevels.fromShareCode('SN1.20x25.999999999W.10,12R.BIG'), /wrong size/);
+    assert.throws(() => SnakeLevels.fromShareCode('SN1.99999x99999.999999999-.10,12R.BIG'), /size/);
+
+    const level = SnakeLevels.create(20, 25);
+    level.cols = 1000;
+    assert.throws(() => SnakeLevels.validate(level), /size/);
+});
+
+test('JSON round-trips the level', () => {
+    const level = sampleLevel();
+
+    assert.deepEqual(plain(SnakeLevels.fromJSON(SnakeLevels.toJSON(level))), plain(level));
+});
+
+test('validation rejects overlapping and out-of-bounds cells', () => {
+    const overlap = sampleLevel();
+    overlap.foodZones.push({ x: 5, y: 5 });
+    assert.throws(() => SnakeLevels.validate(overlap), /overlap/);
+
+    const outside = sampleLevel();
+    outside.walls.push({ x: 20, y: 0 });
+    assert.throws(() => SnakeLevels.validate(outside), /layout/);
+
+    const portal = sampleLevel();
+    portal.portals.push([{ x: 12, y: 12 }]);
+    assert.throws(() => SnakeLevels.validate(portal), /layout/);
+});
+
+test('a spawn point needs room for the whole starting snake', () => {
+    const level = SnakeLevels.create(20, 25);
+    assert.deepEqual(plain(SnakeLevels.problems(level)), []);
+
+    // The tail trails two cells behind the head, here into a wall
+    level.walls.push({ x: 8, y: 12 });
+    assert.deepEqual(plain(SnakeLevels.problems(level)), ['SPAWN 1 HAS NO ROOM']);
+
+    level.spawns = [{ x: 0, y: 5, direction: 'right' }];
+    assert.deepEqual(plain(SnakeLevels.problems(level)), ['SPAWN 1 HAS NO ROOM']);
+
+    level.spawns = [];
+    assert.deepEqual(plain(SnakeLevels.problems(level)), ['ADD A SPAWN POINT']);
+    assert.throws(() => SnakeLevels.validate(level), /Unplayable/);
+});
+
+test('saving a level makes it the one the custom mode plays', () => {
+    const first = sampleLevel();
+    const second = { ...SnakeLevels.create(20, 25), name: 'SECOND' };
+
+    SnakeLevels.save(first);
+    SnakeLevels.save(second);
+    assert.deepEqual(plain(SnakeLevels.getNames()), ['SECOND', 'TEST 1']);
+    assert.equal(SnakeLevels.getSelected().name, 'SECOND');
+
+    // Deleting the selected level falls back to the first one saved
+    SnakeLevels.remove('SECOND');
+    assert.equal(SnakeLevels.getSelected().name, 'TEST 1');
+});
@@ -0,0 +1,543 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadArcade, startGame, runTicks, tap } = require('./harness.js');
+
+const arcade = loadArcade();
+const { InputAction, GameEvent, SnakeLevels, ArcadeController, ReplayRecorder, Replays } = arcade;
+
+/**
+ * Run exactly one snake move
+ * @param {SnakeGame} game - The game
+ */
+function move(game) {
+    game.update(game.moveInterval - game.moveTimer);
+}
+
+/**
+ * Start a versus match
+ * @returns {SnakeGame} The game
+ */
+function startVersus() {
+    return startGame(arcade, 'SnakeGame', { mode: 'versus' });
+}
+
+/**
+ * Press an action for player 2
+ * @param {SnakeGame} game - The game
+ * @param {string} action - An InputAction value
+ */
+function tapP2(game, action) {
+    game.handleKeyDown({ action, player: 1, repeat: false });
+}
+
+test('the snake moves one cell per move interval', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const { x, y } = game.snakes[0].body[0];
+
+    runTicks(game, Math.ceil(game.moveInterval / game.timestep));
+
+    assert.equal(game.snakes[0].body[0].x, x + 1);
+    assert.equal(game.snakes[0].body[0].y, y);
+    assert.equal(game.snakes[0].body.length, 3);
+});
+
+test('eating food grows the snake by one segment and scores', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const snake = game.snakes[0];
+    const head = snake.body[0];
+    game.food = { x: head.x + 1, y: head.y };
+
+    move(game);
+
+    assert.equal(snake.body.length, 4);
+    assert.equal(game.score, 10);
+    assert.ok(game.controller.sounds.includes('eat'));
+    assert.ok(game.controller.events.some(e => e.type === GameEvent.FOOD_EATEN && e.length === 4));
+    assert.ok(!snake.body.some(s => s.x === game.food.x && s.y === game.food.y), 'food respawns off the snake');
+});
+
+test('eating speeds the snake up', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const interval = game.moveInterval;
+    const head = game.snakes[0].body[0];
+    game.food = { x: head.x + 1, y: head.y };
+
+    move(game);
+
+    assert.equal(game.moveInterval, interval - 2);
+});
+
+test('the snake keeps its length while not eating', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    game.food = { x: 0, y: 0 };
+
+    for (let i = 0; i < 3; i++) move(game);
+
+    assert.equal(game.snakes[0].body.length, 3);
+});
+
+test('hitting a wall ends the game', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const snake = game.snakes[0];
+    const y = snake.body[0].y;
+    const right = game.tileCount.x - 1;
+    snake.body = [{ x: right, y }, { x: right - 1, y }, { x: right - 2, y }];
+
+    move(game);
+
+    assert.equal(game.isRunning, false);
+    assert.equal(game.controller.finalScore, 0);
+    assert.ok(game.controller.sounds.includes('hit'));
+});
+
+test('running into its own body ends the game', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const snake = game.snakes[0];
+    snake.body = [
+        { x: 5, y: 5 },
+        { x: 6, y: 5 },
+        { x: 6, y: 6 },
+        { x: 5, y: 6 },
+        { x: 4, y: 6 }
+    ];
+    snake.direction = { x: -1, y: 0 };
+    tap(game, InputAction.DOWN);
+
+    move(game);
+
+    assert.equal(game.isRunning, false);
+});
+
+test('the snake cannot reverse into itself', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    tap(game, InputAction.LEFT);
+
+    move(game);
+
+    assert.equal(game.snakes[0].direction.x, 1);
+    assert.equal(game.isRunning, true);
+});
+
+test('versus starts two snakes facing each other, each steered by its own player', () => {
+    const game = startVersus();
+    const [p1, p2] = game.snakes;
+
+    assert.equal(game.snakes.length, 2);
+    assert.equal(p1.direction.x, 1);
+    assert.equal(p2.direction.x, -1);
+
+    tapP2(game, InputAction.UP);
+    move(game);
+
+    assert.equal(p1.direction.x, 1);
+    assert.equal(p2.direction.y, -1);
+});
+
+test('running into the rival loses the round', () => {
+    const game = startVersus();
+    const [p1, p2] = game.snakes;
+    p1.body = [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }];
+    p2.body = [{ x: 6, y: 7 }, { x: 6, y: 6 }, { x: 6, y: 5 }];
+    p2.direction = { x: 0, y: 1 };
+    game.food = { x: 0, y: 0 };
+
+    move(game);
+
+    assert.equal(p1.alive, false);
+    assert.equal(p2.alive, true);
+    assert.equal(game.roundWinner, 1);
+    assert.deepEqual([...game.wins], [0, 1]);
+    assert.equal(game.isRunning, true);
+});
+
+test('a head-on crash is a draw', () => {
+    const game = startVersus();
+    const [p1, p2] = game.snakes;
+    p1.body = [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }];
+    p2.body = [{ x: 7, y: 5 }, { x: 8, y: 5 }, { x: 9, y: 5 }];
+    game.food = { x: 0, y: 0 };
+
+    move(game);
+
+    assert.equal(game.roundWinner, -1);
+    assert.deepEqual([...game.wins], [0, 0]);
+});
+
+test('a new round starts after the result banner, keeping the match score', () => {
+    const game = startVersus();
+    const start = game.snakes.map(snake => ({ ...snake.body[0] }));
+    game.snakes[0].score = 30;
+    game.endRound([false, true]);
+
+    game.update(game.roundPause);
+
+    assert.deepEqual(game.snakes.map(snake => ({ ...snake.body[0] })), start);
+    assert.ok(game.snakes.every(snake => snake.alive));
+    assert.equal(game.snakes[0].score, 30);
+    assert.deepEqual([...game.wins], [1, 0]);
+});
+
+test('the first player to three rounds wins the match', () => {
+    const game = startVersus();
+    game.snakes[1].score = 50;
+    game.wins = [1, 2];
+
+    game.endRound([true, false]);
+
+    assert.equal(game.isRunning, false);
+    assert.equal(game.getResultTitle(), 'P2 WINS');
+    assert.equal(game.controller.finalScore, 50);
+});
+
+test('wraparound mode carries the snake through the edge', () => {
+    const game = startGame(arcade, 'SnakeGame', { mode: 'wrap' });
+    const snake = game.snakes[0];
+    const y = snake.body[0].y;
+    const right = game.tileCount.x - 1;
+    snake.body = [{ x: right, y }, { x: right - 1, y }, { x: right - 2, y }];
+    game.food = { x: 5, y: 0 };
+
+    move(game);
+
+    assert.equal(game.isRunning, true);
+    assert.equal(snake.body[0].x, 0);
+    assert.equal(snake.body[0].y, y);
+});
+
+test('maze mode lays out walls that the snake dies on', () => {
+    const game = startGame(arcade, 'SnakeGame', { mode: 'maze' });
+    const snake = game.snakes[0];
+    const wall = game.obstacles[0];
+
+    assert.ok(game.obstacles.length > 0);
+    assert.ok(!game.obstacles.some(tile => tile.y === snake.body[0].y), 'the starting row is clear');
+
+    snake.body = [{ x: wall.x - 1, y: wall.y }];
+    snake.direction = { x: 1, y: 0 };
+    move(game);
+
+    assert.equal(game.isRunning, false);
+});
+
+test('time attack ends the run after two minutes', () => {
+    const game = startGame(arcade, 'SnakeGame', { mode: 'time-attack' });
+    game.moveInterval = Infinity;
+
+    game.update(119000);
+    assert.equal(game.isRunning, true);
+
+    game.update(1000);
+    assert.equal(game.isRunning, false);
+});
+
+test('survival drops a block every five seconds, away from the head', () => {
+    const game = startGame(arcade, 'SnakeGame', { mode: 'survival' });
+    const head = game.snakes[0].body[0];
+    game.moveInterval = Infinity;
+
+    for (let i = 0; i < 3; i++) game.update(game.obstacleInterval);
+
+    assert.equal(game.obstacles.length, 3);
+    assert.ok(game.obstacles.every(tile => Math.abs(tile.x - head.x) + Math.abs(tile.y - head.y) >= 4));
+});
+
+test('ranked modes other than the default get their own table', () => {
+    const { ArcadeController } = arcade;
+
+    assert.equal(ArcadeController.getTableId('snake', 'solo'), 'snake');
+    assert.equal(ArcadeController.getTableId('snake', 'maze'), 'snake:maze');
+
+    const tables = ArcadeController.getTables().map(table => table.id);
+    assert.ok(tables.includes('snake:time-attack'));
+    assert.ok(!tables.includes('snake:versus'), 'versus is unranked');
+});
+
+/**
+ * Put a special item right in front of the snake's head
+ * @param {SnakeGame} game - The game
+ * @param {string} type - A SnakeGame.ITEMS key
+ */
+function placeItem(game, type) {
+    const head = game.snakes[0].body[0];
+    game.item = { type, x: head.x + 1, y: head.y, timeLeft: 5000 };
+    game.food = { x: 0, y: 0 };
+}
+
+test('eating food can bring out a special item on a free cell', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const head = game.snakes[0].body[0];
+    game.itemChance = 1;
+    game.food = { x: head.x + 1, y: head.y };
+
+    move(game);
+
+    assert.ok(game.item);
+    assert.ok(game.item.type in arcade.SnakeGame.ITEMS);
+    assert.ok(!game.snakes[0].body.some(s => s.x === game.item.x && s.y === game.item.y));
+    assert.ok(game.item.x !== game.food.x || game.item.y !== game.food.y);
+});
+
+test('an item nobody takes vanishes', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    game.moveInterval = Infinity;
+    game.item = { type: 'golden', x: 0, y: 0, timeLeft: 100 };
+
+    game.update(100);
+
+    assert.equal(game.item, null);
+});
+
+test('golden food is worth bonus points', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    placeItem(game, 'golden');
+
+    move(game);
+
+    assert.equal(game.score, arcade.SnakeGame.ITEMS.golden.points);
+    assert.equal(game.snakes[0].body.length, 3);
+    assert.ok(game.controller.sounds.includes('golden'));
+});
+
+test('slow-motion raises the move interval until it wears off', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const interval = game.moveInterval;
+    placeItem(game, 'slow');
+
+    move(game);
+    assert.equal(game.moveInterval, interval + game.slowdown);
+    assert.ok(game.controller.sounds.includes('slow'));
+
+    game.moveTimer = -Infinity;
+    game.update(arcade.SnakeGame.ITEMS.slow.duration);
+    assert.equal(game.moveInterval, interval);
+    assert.ok(game.controller.sounds.includes('powerdown'));
+});
+
+test('shrink cuts tail segments but leaves a full-size new snake', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const snake = game.snakes[0];
+    snake.body = Array.from({ length: 8 }, (_, i) => ({ x: 10 - i, y: 5 }));
+    placeItem(game, 'shrink');
+
+    move(game);
+    assert.equal(snake.body.length, 5);
+
+    placeItem(game, 'shrink');
+    move(game);
+    assert.equal(snake.body.length, 3);
+});
+
+test('a ghost passes through its own body, but not the walls', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const snake = game.snakes[0];
+    snake.body = [
+        { x: 5, y: 5 },
+        { x: 6, y: 5 },
+        { x: 6, y: 6 },
+        { x: 5, y: 6 },
+        { x: 4, y: 6 }
+    ];
+    snake.direction = { x: 0, y: 1 };
+    snake.ghostTimer = 1000;
+    game.food = { x: 0, y: 0 };
+
+    move(game);
+    assert.equal(game.isRunning, true);
+    assert.equal(snake.body[0].y, 6);
+
+    snake.body = [{ x: 0, y: 3 }];
+    snake.direction = { x: -1, y: 0 };
+    move(game);
+    assert.equal(game.isRunning, false);
+});
+
+test('quick presses between moves queue up, one turn per move', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const snake = game.snakes[0];
+    const { x, y } = snake.body[0];
+    game.food = { x: 0, y: 0 };
+
+    // A U-turn: up then left before the snake has moved
+    tap(game, InputAction.UP);
+    tap(game, InputAction.LEFT);
+
+    move(game);
+    assert.deepEqual({ ...snake.body[0] }, { x, y: y - 1 });
+
+    move(game);
+    assert.deepEqual({ ...snake.body[0] }, { x: x - 1, y: y - 1 });
+    assert.equal(game.isRunning, true);
+});
+
+test('queued turns are checked against the last queued heading', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const snake = game.snakes[0];
+
+    tap(game, InputAction.UP);
+    tap(game, InputAction.DOWN); // Reverses the queued UP
+    tap(game, InputAction.UP); // Repeats it
+    tap(game, InputAction.LEFT);
+
+    assert.deepEqual(Array.from(snake.turns, turn => ({ ...turn })), [{ x: 0, y: -1 }, { x: -1, y: 0 }]);
+});
+
+test('the turn queue is bounded', () => {
+    const game = startGame(arcade, 'SnakeGame');
+
+    for (const action of [InputAction.UP, InputAction.LEFT, InputAction.DOWN, InputAction.RIGHT, InputAction.UP]) {
+        tap(game, action);
+    }
+
+    assert.equal(game.snakes[0].turns.length, game.maxQueuedTurns);
+});
+
+test('halfway between moves the snake is drawn halfway between cells', () => {
+    const game = startGame(arcade, 'SnakeGame');
+    const snake = game.snakes[0];
+    game.food = { x: 0, y: 0 };
+
+    move(game);
+    game.update(game.moveInterval / 2);
+
+    const [head] = game.getRenderPoints(snake);
+    const { x, y } = snake.body[0];
+    assert.equal(head.x, (x - 0.5) * game.gridSize + game.gridSize / 2);
+    assert.equal(head.y, y * game.gridSize + game.gridSize / 2);
+});
+
+test('food goes on the last free cell', () => {
+    // A 3x2 board with four cells taken and the food on a fifth
+    const game = startGame(arcade, 'SnakeGame', { width: 60, height: 40 });
+    const snake = game.snakes[0];
+    snake.body = [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 0 }, { x: 1, y: 0 }];
+    snake.direction = { x: -1, y: 0 };
+    game.resetOccupancy();
+    game.food = { x: 0, y: 1 };
+
+    move(game);
+
+    assert.equal(snake.body.length, 5);
+    assert.deepEqual({ ...game.food }, { x: 0, y: 0 });
+    assert.equal(game.isRunning, true);
+});
+
+test('the free cell count follows the snake around the board', () => {
+    const game = startGame(arcade, 'SnakeGame', { mode: 'survival' });
+    game.spawnObstacle();
+
+    for (let i = 0; i < 12; i++) {
+        if (i === 6) tap(game, InputAction.UP);
+        move(game);
+        
+        // Ranks must match a scan of the board in order
+        const free = [];
+        for (let y = 0; y < game.tileCount.y; y++) {
+            for (let x = 0; x < game.tileCount.x; x++) {
+                if (game.occupancy[y * game.tileCount.x + x] === 0) free.push({ x, y });
+            }
+        }
+        assert.equal(game.getFreeCount(), free.length);
+        [0, 57, free.length - 1].forEach(rank => assert.deepEqual({ ...game.findFreeCell(rank) }, free[rank]));
+    }
+});
+
+test('filling the board wins the game', () => {
+    const game = startGame(arcade, 'SnakeGame', { width: 60, height: 40 });
+    const snake = game.snakes[0];
+    snake.body = [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 0 }];
+    snake.direction = { x: -1, y: 0 };
+    game.resetOccupancy();
+    game.food = { x: 0, y: 1 };
+
+    move(game);
+
+    assert.equal(game.won, true);
+    assert.equal(game.isRunning, false);
+    assert.equal(game.getResultTitle(), 'BOARD FILLED!');
+    assert.ok(game.controller.events.some(e => e.type === GameEvent.BOARD_FILLED && e.length === 6));
+});
+
+/**
+ * Start a custom-mode game on a level
+ * @param {Function} build - Adds to a blank level before it is loaded
+ * @returns {SnakeGame} The game
+ */
+function startLevel(build) {
+    const game = startGame(arcade, 'SnakeGame', { mode: 'custom' });
+    const level = SnakeLevels.create(game.tileCount.x, game.tileCount.y);
+    build(level);
+    game.applyLevel(SnakeLevels.validate(level));
+    game.startRound();
+    return game;
+}
+
+test('a custom level starts the snake on one of its spawn points', () => {
+    const game = startLevel(level => {
+        level.spawns = [{ x: 4, y: 6, direction: 'down' }];
+        level.walls.push({ x: 0, y: 0 });
+    });
+
+    assert.deepEqual(Array.from(game.snakes[0].body, cell => ({ ...cell })), [
+        { x: 4, y: 6 },
+        { x: 4, y: 5 },
+        { x: 4, y: 4 }
+    ]);
+    assert.deepEqual({ ...game.snakes[0].direction }, { x: 0, y: 1 });
+    assert.equal(game.isObstacle({ x: 0, y: 0 }), true);
+});
+
+test('entering a portal comes out of its other end', () => {
+    const game = startLevel(level => {
+        level.portals.push([{ x: 11, y: 12 }, { x: 3, y: 20 }]);
+    });
+    const snake = game.snakes[0];
+    game.food = { x: 0, y: 0 };
+
+    move(game);
+    assert.deepEqual({ ...snake.body[0] }, { x: 3, y: 20 });
+
+    move(game);
+    assert.deepEqual({ ...snake.body[0] }, { x: 4, y: 20 });
+});
+
+test('food stays in the food zones while they have room', () => {
+    const zone = [{ x: 2, y: 2 }, { x: 3, y: 2 }];
+    const game = startLevel(level => {
+        level.foodZones.push(...zone);
+    });
+
+    for (let i = 0; i < 5; i++) {
+        game.spawnFood();
+        assert.ok(zone.some(cell => cell.x === game.food.x && cell.y === game.food.y));
+    }
+});
+
+test('a saved custom run keeps its level', () => {
+    const game = startLevel(level => {
+        level.portals.push([{ x: 1, y: 1 }, { x: 5, y: 5 }]);
+    });
+    const snapshot = JSON.parse(JSON.stringify(game.snapshot()));
+
+    const restored = startGame(arcade, 'SnakeGame', { mode: 'custom' });
+    restored.restore(snapshot);
+
+    assert.deepEqual({ ...restored.portalExit({ x: 1, y: 1 }) }, { x: 5, y: 5 });
+});
+
+test('a custom replay plays the level it was recorded on, not the selected one', () => {
+    const { x: cols, y: rows } = startGame(arcade, 'SnakeGame').tileCount;
+    const recorded = { ...SnakeLevels.create(cols, rows), name: 'RECORDED' };
+    recorded.portals.push([{ x: 1, y: 1 }, { x: 5, y: 5 }]);
+    SnakeLevels.save(recorded);
+
+    const options = ArcadeController.getGame('snake').options({ mode: 'custom', testing: false });
+    const recorder = new ReplayRecorder('snake', 1, [], 'custom', options);
+    const replay = Replays.fromJSON(Replays.toJSON(recorder.finish(0, 0)));
+
+    // Picking another level afterwards must not change what the replay plays
+    SnakeLevels.save({ ...SnakeLevels.create(cols, rows), name: 'EDITED' });
+    const game = startGame(arcade, 'SnakeGame', { mode: 'custom', options: replay.options });
+
+    assert.equal(game.level.name, 'RECORDED');
+    assert.deepEqual({ ...game.portalExit({ x: 1, y: 1 }) }, { x: 5, y: 5 });
+});
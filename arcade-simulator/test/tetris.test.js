@@ -0,0 +1,559 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadArcade, startGame, runTicks, tap } = require('./harness.js');
+
+const arcade = loadArcade();
+const { GameEvent, InputAction, GameState, ArcadeController } = arcade;
+
+/**
+ * Start a game with a chosen falling piece
+ * @param {string} piece - Piece type
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {number} rotation - Rotation state
+ * @param {Object} options - Gameplay settings for the run
+ * @returns {TetrisGame} The game
+ */
+function withPiece(piece, x, y, rotation, options = null) {
+    const game = startGame(arcade, 'TetrisGame', { options });
+    game.currentPiece = piece;
+    game.currentX = x;
+    game.currentY = y;
+    game.currentRotation = rotation;
+    game.lowestY = y;
+    return game;
+}
+
+/**
+ * Fill board rows completely
+ * @param {TetrisGame} game - The game
+ * @param {Array} rows - Row indices
+ */
+function fillRows(game, rows) {
+    for (const y of rows) {
+        game.board[y] = new Array(game.cols).fill('#fff');
+    }
+}
+
+test('checkCollision flags the walls and floor', () => {
+    const game = withPiece('O', 4, 0, 0);
+
+    assert.equal(game.checkCollision(4, 0, 0), false);
+    assert.equal(game.checkCollision(-1, 0, 0), true);
+    assert.equal(game.checkCollision(game.cols - 1, 0, 0), true);
+    assert.equal(game.checkCollision(4, game.rows - 1, 0), true);
+    assert.equal(game.checkCollision(4, game.rows - 2, 0), false);
+});
+
+test('checkCollision flags filled cells but not space above the board', () => {
+    const game = withPiece('O', 4, 0, 0);
+    game.board[10][5] = '#fff';
+
+    assert.equal(game.checkCollision(4, 9, 0), true);
+    assert.equal(game.checkCollision(6, 9, 0), false);
+    assert.equal(game.checkCollision(4, -1, 0), false);
+});
+
+test('rotate turns the piece clockwise in open space', () => {
+    const game = withPiece('T', 4, 5, 0);
+    game.rotate();
+
+    assert.equal(game.currentRotation, 1);
+    assert.equal(game.currentX, 4);
+});
+
+test('rotate kicks off the left wall', () => {
+    // Vertical I in column 0; lying flat needs four free columns to its right
+    const game = withPiece('I', -2, 5, 1);
+    game.rotate();
+
+    assert.equal(game.currentRotation, 2);
+    assert.equal(game.currentX, 0);
+});
+
+test('rotate kicks off the right wall', () => {
+    const game = withPiece('T', 8, 5, 3);
+    game.rotate();
+
+    assert.equal(game.currentRotation, 0);
+    assert.equal(game.currentX, 7);
+});
+
+test('rotate does nothing when no kick fits', () => {
+    const game = withPiece('I', -2, 10, 1);
+    for (let y = 0; y < game.rows; y++) {
+        for (let x = 1; x < game.cols; x++) {
+            game.board[y][x] = '#fff';
+        }
+    }
+    game.rotate();
+
+    assert.equal(game.currentRotation, 1);
+    assert.equal(game.currentX, -2);
+});
+
+test('rotate turns counter-clockwise and half way round', () => {
+    const game = withPiece('T', 4, 5, 0);
+    game.rotate(-1);
+
+    assert.equal(game.currentRotation, 3);
+
+    game.rotate(2);
+
+    assert.equal(game.currentRotation, 1);
+    assert.equal(game.currentX, 4);
+    assert.equal(game.currentY, 5);
+});
+
+test('rotation keys map to turns', () => {
+    const game = withPiece('T', 4, 5, 0);
+
+    tap(game, 'rotateCcw');
+    assert.equal(game.currentRotation, 3);
+
+    tap(game, 'rotate180');
+    assert.equal(game.currentRotation, 1);
+
+    tap(game, 'rotateCw');
+    assert.equal(game.currentRotation, 2);
+});
+
+test('rotate kicks a piece up off the floor', () => {
+    const game = withPiece('T', 4, 18, 0);
+    game.rotate();
+
+    assert.equal(game.currentRotation, 1);
+    assert.equal(game.currentX, 3);
+    assert.equal(game.currentY, 17);
+});
+
+test('rotate uses the I kick table for the I piece', () => {
+    // The JLSTZ table has no two-column kick, so this would fail with it
+    const game = withPiece('I', -2, 5, 1);
+    game.rotate(-1);
+
+    assert.equal(game.currentRotation, 0);
+    assert.equal(game.currentX, 0);
+});
+
+test('rotate kicks a T down into a T-spin triple slot', () => {
+    const game = withPiece('T', 2, 13, 0);
+    fillRows(game, [15, 16, 17]);
+    [[4, 15], [3, 16], [4, 16], [4, 17]].forEach(([x, y]) => { game.board[y][x] = 0; });
+    game.board[13][4] = '#fff';
+
+    game.rotate(-1);
+
+    assert.equal(game.currentRotation, 3);
+    assert.equal(game.currentX, 3);
+    assert.equal(game.currentY, 15);
+
+    game.hardDrop();
+
+    assert.equal(game.lines, 3);
+    assert.equal(lastClear(game).spin, 'tspin');
+});
+
+test('pieces spawn centered with their top row on the board', () => {
+    const game = startGame(arcade, 'TetrisGame');
+
+    [['I', 3, -1], ['O', 4, 0], ['T', 3, 0]].forEach(([piece, x, y]) => {
+        game.queue.unshift(piece);
+        game.spawnPiece();
+        
+        assert.equal(game.currentRotation, 0);
+        assert.equal(game.currentX, x);
+        assert.equal(game.currentY, y);
+    });
+});
+
+test('clearLines scores 100, 300, 500 and 800 for 1-4 lines', () => {
+    [100, 300, 500, 800].forEach((points, index) => {
+        const game = startGame(arcade, 'TetrisGame');
+        const count = index + 1;
+        fillRows(game, Array.from({ length: count }, (_, i) => game.rows - 1 - i));
+        game.board[0][0] = '#fff'; // Not a perfect clear
+        
+        game.clearLines();
+        
+        assert.equal(game.score, points);
+        assert.equal(game.lines, count);
+        assert.ok(game.controller.events.some(e => e.type === GameEvent.LINES_CLEARED && e.count === count));
+    });
+});
+
+test('clearLines multiplies the score by the level', () => {
+    const game = startGame(arcade, 'TetrisGame');
+    game.level = 3;
+    fillRows(game, [game.rows - 1]);
+    game.board[0][0] = '#fff'; // Not a perfect clear
+
+    game.clearLines();
+
+    assert.equal(game.score, 300);
+});
+
+test('clearLines drops the rows above and keeps unfinished rows', () => {
+    const game = startGame(arcade, 'TetrisGame');
+    fillRows(game, [game.rows - 1, game.rows - 3]);
+    game.board[game.rows - 2][0] = '#f00';
+
+    game.clearLines();
+
+    assert.equal(game.board[game.rows - 1][0], '#f00');
+    assert.ok(game.board[game.rows - 2].every(cell => cell === 0));
+    assert.equal(game.board.length, game.rows);
+});
+
+test('every ten lines raises the level and the drop speed', () => {
+    const game = startGame(arcade, 'TetrisGame');
+    game.lines = 9;
+    fillRows(game, [game.rows - 1]);
+
+    game.clearLines();
+
+    assert.equal(game.level, 2);
+    assert.equal(game.dropInterval, 900);
+});
+
+test('the 7-bag deals every piece once per seven', () => {
+    const game = startGame(arcade, 'TetrisGame', { seed: 7 });
+    const pieces = [game.currentPiece];
+    while (pieces.length < 28) {
+        game.spawnPiece();
+        pieces.push(game.currentPiece);
+    }
+
+    for (let bag = 0; bag < 4; bag++) {
+        assert.deepEqual(pieces.slice(bag * 7, bag * 7 + 7).sort(), [...game.pieceTypes].sort());
+    }
+});
+
+test('the queue holds the preview length and feeds the next spawn', () => {
+    const game = startGame(arcade, 'TetrisGame', { options: { preview: 3 } });
+    assert.equal(game.queue.length, 3);
+
+    const next = game.queue[0];
+    game.spawnPiece();
+
+    assert.equal(game.currentPiece, next);
+    assert.equal(game.queue.length, 3);
+});
+
+test('the classic randomizer can repeat a piece within seven', () => {
+    const game = startGame(arcade, 'TetrisGame', { options: { randomizer: 'classic' } });
+    const pieces = [];
+    for (let i = 0; i < 70; i++) {
+        game.spawnPiece();
+        pieces.push(game.currentPiece);
+    }
+
+    assert.ok(pieces.some((piece, i) => pieces.slice(i + 1, i + 7).includes(piece)));
+});
+
+test('unusable options fall back to the defaults', () => {
+    const game = startGame(arcade, 'TetrisGame', { options: { randomizer: 'toString', preview: 'many' } });
+
+    assert.equal(game.randomizer, 'bag');
+    assert.equal(game.queue.length, 5);
+});
+
+test('hold stores the piece and brings out the next one from the top', () => {
+    const game = withPiece('T', 0, 10, 2);
+    const next = game.queue[0];
+
+    tap(game, 'hold');
+
+    assert.equal(game.heldPiece, 'T');
+    assert.equal(game.currentPiece, next);
+    assert.equal(game.currentRotation, 0);
+    assert.equal(game.currentY, next === 'I' ? -1 : 0);
+});
+
+test('hold swaps with the held piece once per drop', () => {
+    const game = withPiece('T', 4, 5, 0);
+    game.heldPiece = 'L';
+
+    game.hold();
+
+    assert.equal(game.currentPiece, 'L');
+    assert.equal(game.heldPiece, 'T');
+    assert.equal(game.currentX, 3);
+
+    game.hold();
+
+    assert.equal(game.currentPiece, 'L');
+
+    game.hardDrop();
+    game.hold();
+
+    assert.equal(game.currentPiece, 'T');
+});
+
+test('holding into a blocked spawn ends the game', () => {
+    const game = withPiece('T', 4, 10, 0);
+    game.heldPiece = 'O';
+    game.board[0][4] = '#fff';
+
+    game.hold();
+
+    assert.equal(game.isRunning, false);
+    assert.equal(game.controller.finalScore, 0);
+});
+
+/**
+ * Press an action without releasing it
+ * @param {TetrisGame} game - The game
+ * @param {string} action - An InputAction value
+ */
+function press(game, action) {
+    game.handleKeyDown({ action, player: 0, repeat: false });
+}
+
+/**
+ * Release an action
+ * @param {TetrisGame} game - The game
+ * @param {string} action - An InputAction value
+ */
+function release(game, action) {
+    game.handleKeyUp({ action, player: 0, repeat: false });
+}
+
+test('a grounded piece locks after the lock delay', () => {
+    const game = withPiece('O', 4, 18, 0, { lockDelay: 500 });
+
+    runTicks(game, 29);
+    assert.equal(game.board[19][4], 0);
+
+    runTicks(game, 2);
+    assert.notEqual(game.board[19][4], 0);
+});
+
+test('moving on the ground restarts the lock delay a limited number of times', () => {
+    const game = withPiece('O', 4, 18, 0, { lockDelay: 500 });
+
+    for (let i = 0; i < 10; i++) {
+        runTicks(game, 20);
+        tap(game, i % 2 ? InputAction.RIGHT : InputAction.LEFT);
+    }
+    assert.equal(game.currentPiece, 'O');
+    assert.equal(game.lockResets, 10);
+
+    game.lockResets = 15;
+    game.lockTimer = 400;
+    tap(game, InputAction.LEFT);
+
+    assert.equal(game.lockTimer, 400);
+});
+
+test('held directions auto shift after DAS, every ARR', () => {
+    const game = withPiece('T', 6, 0, 0, { das: 100, arr: 50 });
+    game.dropInterval = Infinity;
+    press(game, InputAction.LEFT);
+    assert.equal(game.currentX, 5);
+
+    runTicks(game, 5);
+    assert.equal(game.currentX, 5);
+
+    runTicks(game, 2);
+    assert.equal(game.currentX, 4);
+
+    runTicks(game, 3);
+    assert.equal(game.currentX, 3);
+
+    // Key repeat doesn't move the piece; only auto shift does
+    game.handleKeyDown({ action: InputAction.LEFT, player: 0, repeat: true });
+    assert.equal(game.currentX, 3);
+
+    release(game, InputAction.LEFT);
+    runTicks(game, 20);
+    assert.equal(game.currentX, 3);
+});
+
+test('an ARR of zero slides the piece to the wall', () => {
+    const game = withPiece('T', 6, 0, 0, { das: 100, arr: 0 });
+    game.dropInterval = Infinity;
+    press(game, InputAction.RIGHT);
+    runTicks(game, 7);
+
+    assert.equal(game.currentX, game.cols - 3);
+});
+
+test('keys let go while paused are released on resume', () => {
+    const game = withPiece('T', 4, 0, 0, { das: 100, arr: 50, softDrop: 20 });
+    Object.assign(ArcadeController, {
+        currentGame: 'tetris',
+        currentGameInstance: game,
+        state: GameState.PLAYING,
+        mode: null,
+        music: { pause() {}, resume() {} }
+    });
+    press(game, InputAction.LEFT);
+    press(game, InputAction.DOWN);
+
+    // The controller drops releases while paused, so the game never sees them
+    ArcadeController.pauseGame();
+    ArcadeController.handleAction(InputAction.LEFT, false);
+    ArcadeController.handleAction(InputAction.DOWN, false);
+    ArcadeController.resumeGame();
+
+    const { currentX, currentY } = game;
+    runTicks(game, 20);
+    assert.equal(game.currentX, currentX);
+    assert.equal(game.currentY, currentY);
+
+    press(game, InputAction.LEFT);
+    assert.equal(game.currentX, currentX - 1);
+});
+
+test('releasing one direction hands auto shift back to the other', () => {
+    const game = withPiece('T', 4, 0, 0);
+    press(game, InputAction.LEFT);
+    press(game, InputAction.RIGHT);
+
+    assert.equal(game.shiftDirection, 1);
+
+    release(game, InputAction.RIGHT);
+
+    assert.equal(game.shiftDirection, -1);
+    assert.equal(game.shiftTimer, 0);
+});
+
+test('soft drop falls faster than gravity by the soft drop factor', () => {
+    const game = withPiece('T', 4, 0, 0, { softDrop: 20 });
+    press(game, InputAction.DOWN);
+    assert.equal(game.currentY, 1);
+    assert.equal(game.score, 1);
+
+    // 1000ms gravity over 20 is a row every 50ms, each scoring a point
+    runTicks(game, 4);
+    assert.equal(game.currentY, 2);
+    assert.equal(game.score, 2);
+});
+
+/**
+ * Fill the bottom of the board from a picture, '#' for filled cells
+ * @param {TetrisGame} game - The game
+ * @param {Array} rows - Row strings, top to bottom
+ */
+function fillPicture(game, rows) {
+    rows.forEach((row, i) => {
+        game.board[game.rows - rows.length + i] = [...row].map(cell => cell === '#' ? '#fff' : 0);
+    });
+}
+
+/**
+ * Find the event announcing the last clear
+ * @param {TetrisGame} game - The game
+ * @returns {Object} The LINES_CLEARED event
+ */
+function lastClear(game) {
+    return game.controller.events.filter(e => e.type === GameEvent.LINES_CLEARED).pop();
+}
+
+test('a T rotated into a slot with three corners blocked scores a T-spin double', () => {
+    const game = withPiece('T', 2, 17, 1);
+    fillPicture(game, [
+        '###.......',
+        '##...#####',
+        '###.######'
+    ]);
+
+    game.rotate();
+    game.hardDrop();
+
+    const event = lastClear(game);
+    assert.equal(event.spin, 'tspin');
+    assert.equal(event.count, 2);
+    assert.equal(game.score, 1200);
+    assert.deepEqual(Array.from(game.popup.lines, line => line.text), ['T-SPIN', 'DOUBLE']);
+});
+
+test('a T that slides into the same slot is an ordinary clear', () => {
+    const game = withPiece('T', 2, 17, 2);
+    fillPicture(game, [
+        '###.......',
+        '##...#####',
+        '###.######'
+    ]);
+
+    game.hardDrop();
+
+    assert.equal(lastClear(game).spin, null);
+    assert.equal(game.score, 300);
+});
+
+test('a T-spin with only one front corner blocked is a mini', () => {
+    const game = withPiece('T', 0, 18, 0);
+    fillPicture(game, [
+        '..#.......',
+        '...#######'
+    ]);
+    game.lastMoveRotation = true;
+
+    game.hardDrop();
+
+    assert.equal(lastClear(game).spin, 'mini');
+    assert.equal(game.score, 200);
+});
+
+test('clears in a row build a combo', () => {
+    const game = startGame(arcade, 'TetrisGame');
+    game.board[0][0] = '#fff'; // Not a perfect clear
+
+    fillRows(game, [game.rows - 1]);
+    game.clearLines();
+    fillRows(game, [game.rows - 1]);
+    game.clearLines();
+
+    assert.equal(game.combo, 1);
+    assert.equal(game.score, 100 + 150);
+
+    game.clearLines();
+
+    assert.equal(game.combo, -1);
+});
+
+test('a Tetris after a Tetris earns the back-to-back bonus until an easier clear', () => {
+    const game = startGame(arcade, 'TetrisGame');
+    const tetris = [game.rows - 1, game.rows - 2, game.rows - 3, game.rows - 4];
+    game.board[0][0] = '#fff'; // Not a perfect clear
+
+    fillRows(game, tetris);
+    game.clearLines();
+    game.clearLines();
+    fillRows(game, tetris);
+    game.clearLines();
+
+    assert.equal(lastClear(game).backToBack, true);
+    assert.equal(game.score, 800 + 1200);
+
+    fillRows(game, [game.rows - 1]);
+    game.clearLines();
+
+    assert.equal(lastClear(game).backToBack, false);
+    assert.equal(game.backToBack, false);
+});
+
+test('emptying the board adds the perfect clear bonus', () => {
+    const game = startGame(arcade, 'TetrisGame');
+    fillRows(game, [game.rows - 1, game.rows - 2]);
+
+    game.clearLines();
+
+    assert.equal(lastClear(game).perfectClear, true);
+    assert.equal(game.score, 300 + 1200);
+    assert.deepEqual(Array.from(game.popup.lines, line => line.text), ['DOUBLE', 'PERFECT CLEAR']);
+});
+
+test('clear announcements go away after a while', () => {
+    const game = withPiece('T', 4, 0, 0);
+    game.dropInterval = Infinity;
+    game.showPopup([{ text: 'TETRIS', color: '#00ffff' }]);
+
+    runTicks(game, 60);
+    assert.ok(game.popup);
+
+    runTicks(game, 40);
+    assert.equal(game.popup, null);
+});